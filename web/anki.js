@@ -0,0 +1,599 @@
+/**
+ * anki.js — Anki package (.apkg) import and export
+ * An .apkg is a ZIP holding a SQLite collection (collection.anki21 or
+ * collection.anki2), a 'media' JSON map and numbered media files. The
+ * collection is read and written with sql.js (lib/sql-wasm.js + .wasm, loaded
+ * on first use). Import maps note fields to front/back/example/notes and
+ * sub-decks to units and replays review logs through FSRS for SrsDB; export
+ * writes a chapter with its units as sub-decks and the SRS state as Anki
+ * scheduling plus revlog.
+ */
+const AnkiPackage = (() => {
+    'use strict';
+
+    const SQL_DIR = 'lib/';
+    const DAY = 24 * 60 * 60 * 1000;
+    const FIELD_SEP = '\x1f';
+    const MODEL_NAME = 'Arabisch-Deutsch (Lern-App)';
+    const EXPORT_FIELDS = ['Deutsch', 'Arabisch', 'Beispiel', 'Notiz DE', 'Notiz AR', 'Bild', 'Audio'];
+    const CARD_STATES = { 0: 'new', 1: 'learning', 2: 'review', 3: 'relearning' };
+    const REVLOG_TYPES = { new: 0, learning: 0, review: 1, relearning: 2 };
+    const FIELD_ROLES = [
+        ['ar', /arab|عرب|^ar$/i],
+        ['de', /deutsch|german|^de$/i],
+        ['ex', /beispiel|example|satz|sentence/i],
+        ['note', /notiz|note|anmerkung|hinweis|extra/i]
+    ];
+    const MEDIA_TYPES = {
+        jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml',
+        mp3: 'audio/mpeg', ogg: 'audio/ogg', wav: 'audio/wav', m4a: 'audio/mp4', webm: 'audio/webm'
+    };
+
+    const SCHEMA = `
+        CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+            ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+            models text not null, decks text not null, dconf text not null, tags text not null);
+        CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+            usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+            flags integer not null, data text not null);
+        CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+            mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+            ivl integer not null, factor integer not null, reps integer not null, lapses integer not null,
+            left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+        CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+            ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+        CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+        CREATE INDEX ix_notes_usn ON notes (usn);
+        CREATE INDEX ix_cards_usn ON cards (usn);
+        CREATE INDEX ix_revlog_usn ON revlog (usn);
+        CREATE INDEX ix_cards_nid ON cards (nid);
+        CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+        CREATE INDEX ix_revlog_cid ON revlog (cid);
+        CREATE INDEX ix_notes_csum ON notes (csum);
+    `;
+
+    // ── sql.js ──────────────────────────────────────────────────────
+    let _sqlPromise = null;
+
+    function _loadSql() {
+        if (_sqlPromise) return _sqlPromise;
+        _sqlPromise = new Promise((resolve, reject) => {
+            if (typeof initSqlJs === 'function') return resolve();
+            const script = document.createElement('script');
+            script.src = SQL_DIR + 'sql-wasm.js';
+            script.onload = resolve;
+            script.onerror = () => reject(new Error('sql.js nicht gefunden (lib/sql-wasm.js)'));
+            document.head.appendChild(script);
+        }).then(() => initSqlJs({ locateFile: file => SQL_DIR + file }));
+        _sqlPromise.catch(() => { _sqlPromise = null; });
+        return _sqlPromise;
+    }
+
+    function _rows(db, sql, params) {
+        const stmt = db.prepare(sql);
+        if (params) stmt.bind(params);
+        const rows = [];
+        while (stmt.step()) rows.push(stmt.getAsObject());
+        stmt.free();
+        return rows;
+    }
+
+    function _hasTable(db, name) {
+        return _rows(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]).length > 0;
+    }
+
+    // ── Fields ──────────────────────────────────────────────────────
+    /** Anki field HTML → card text with **bold** / *italic* markers, media references removed */
+    function _fieldText(html) {
+        const marked = (html || '')
+            .replace(/\[sound:[^\]]*\]/g, '')
+            .replace(/<img[^>]*>/gi, '')
+            .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, ' ')
+            .replace(/<(b|strong)>([\s\S]*?)<\/\1>/gi, '**$2**')
+            .replace(/<(i|em)>([\s\S]*?)<\/\1>/gi, '*$2*');
+        const doc = new DOMParser().parseFromString(marked, 'text/html');
+        return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /** First image and sound file referenced in a note */
+    function _mediaRefs(fields) {
+        const html = fields.join(' ');
+        const img = html.match(/<img[^>]+src=["']?([^"'>]+)/i);
+        const sound = html.match(/\[sound:([^\]]+)\]/);
+        return { image: img ? img[1] : null, audio: sound ? sound[1] : null };
+    }
+
+    /** Role of each note type field by its name: 'ar' | 'de' | 'ex' | 'note' | null */
+    function _fieldRoles(fieldNames) {
+        return fieldNames.map(name => {
+            const match = FIELD_ROLES.find(([, re]) => re.test(name));
+            return match ? match[0] : null;
+        });
+    }
+
+    /**
+     * Map the fields of a note to our card fields. Fields without a telling
+     * name (Front/Back, Vorderseite, …) are told apart by their script.
+     * @returns {Object|null} { de, ar, deIdx, arIdx, ex, noteDe, noteAr } or null without a word pair
+     */
+    function _mapNote(values, roles) {
+        const texts = values.map(_fieldText);
+        let ar = roles.indexOf('ar');
+        let de = roles.indexOf('de');
+        if (ar < 0) ar = texts.findIndex((t, i) => i !== de && isArabic(t));
+        if (de < 0) de = texts.findIndex((t, i) => i !== ar && t && !isArabic(t));
+        if (ar < 0 || de < 0 || !texts[ar] || !texts[de]) return null;
+
+        const mapped = { de: texts[de], ar: texts[ar], deIdx: de, arIdx: ar, ex: '', noteDe: '', noteAr: '' };
+        const join = (a, b) => a ? `${a} · ${b}` : b;
+        texts.forEach((text, i) => {
+            if (!text || i === ar || i === de) return;
+            if (roles[i] === 'ex' && !mapped.ex) mapped.ex = text;
+            else if (roles[i] === 'note' && isArabic(text)) mapped.noteAr = join(mapped.noteAr, text);
+            else if (roles[i] === 'note') mapped.noteDe = join(mapped.noteDe, text);
+        });
+        return mapped;
+    }
+
+    /** Index of the first field a card template shows on the question side, -1 if unknown */
+    function _questionField(qfmt, fieldNames) {
+        const re = /\{\{([^{}]+)\}\}/g;
+        let m;
+        while ((m = re.exec(qfmt || ''))) {
+            const ref = m[1].trim();
+            if (/^[#^/!]/.test(ref)) continue; // conditionals and comments
+            const idx = fieldNames.indexOf(ref.split(':').pop().trim());
+            if (idx >= 0) return idx;
+        }
+        return -1;
+    }
+
+    // ── Collection (read) ───────────────────────────────────────────
+    /** Note types: id → { type, flds: [names], tmpls: [{ ord, qfmt }] } */
+    function _readModels(db) {
+        const models = {};
+        if (_hasTable(db, 'notetypes')) {
+            // Schema 18: templates are protobuf, question fields stay unknown
+            _rows(db, 'SELECT id FROM notetypes').forEach(nt => { models[nt.id] = { type: 0, flds: [], tmpls: [] }; });
+            _rows(db, 'SELECT ntid, name FROM fields ORDER BY ntid, ord').forEach(f => {
+                if (models[f.ntid]) models[f.ntid].flds.push(f.name);
+            });
+            _rows(db, 'SELECT ntid, ord FROM templates ORDER BY ntid, ord').forEach(t => {
+                if (models[t.ntid]) models[t.ntid].tmpls.push({ ord: t.ord, qfmt: '' });
+            });
+            return models;
+        }
+        const raw = JSON.parse(_rows(db, 'SELECT models FROM col')[0].models || '{}');
+        Object.values(raw).forEach(m => {
+            models[m.id] = {
+                type: m.type || 0,
+                flds: (m.flds || []).slice().sort((a, b) => a.ord - b.ord).map(f => f.name),
+                tmpls: (m.tmpls || []).map(t => ({ ord: t.ord, qfmt: t.qfmt }))
+            };
+        });
+        return models;
+    }
+
+    /** Deck names by id, with '::' between levels */
+    function _readDecks(db) {
+        const decks = {};
+        if (_hasTable(db, 'decks')) {
+            _rows(db, 'SELECT id, name FROM decks').forEach(d => { decks[d.id] = d.name.split(FIELD_SEP).join('::'); });
+        } else {
+            const raw = JSON.parse(_rows(db, 'SELECT decks FROM col')[0].decks || '{}');
+            Object.values(raw).forEach(d => { decks[d.id] = d.name; });
+        }
+        return decks;
+    }
+
+    /** Ease factor (‰) → FSRS difficulty 1–10 */
+    function _difficultyFromFactor(factor) {
+        const ease = (factor || 2500) / 1000;
+        return Math.min(10, Math.max(1, 10 - (ease - 1.3) / 2.2 * 9));
+    }
+
+    /**
+     * Review state of an Anki card: stability/difficulty replayed from its review
+     * log through FSRS, due date and counters as Anki has them.
+     * @returns {Object|null} { state, reviews } for SrsAdapter.importStates(), null for new cards
+     */
+    function _srsState(card, log, crt, fsrs) {
+        const state = CARD_STATES[card.type];
+        if (!state || state === 'new') return null;
+
+        const reviews = [];
+        let sim = { state: 'new', stability: 0, difficulty: 0, reps: 0, lapses: 0, step: 0 };
+        let lastTs = 0;
+        (log || []).forEach(r => {
+            if (r.ease < 1 || r.ease > 4) return; // manual reschedule
+            const rating = r.ease - 1;
+            const elapsedDays = lastTs ? (r.id - lastTs) / DAY : 0;
+            const result = fsrs.schedule(sim, rating, elapsedDays);
+            reviews.push({
+                rating, state: sim.state, elapsedDays,
+                stability: result.stability, difficulty: result.difficulty, interval: result.interval,
+                timestamp: r.id, source: 'anki'
+            });
+            sim = { ...sim, ...result };
+            lastTs = r.id;
+        });
+
+        // Learning cards are due at a timestamp (seconds), review cards on a day number since crt
+        const rawDue = card.odid ? card.odue : card.due;
+        const due = rawDue > 1e8 ? rawDue * 1000 : (crt + rawDue * 86400) * 1000;
+        const ivlDays = Math.max(card.ivl, 1);
+        return {
+            state: {
+                state,
+                due,
+                stability: sim.stability || ivlDays,
+                difficulty: sim.difficulty || _difficultyFromFactor(card.factor),
+                reps: card.reps,
+                lapses: card.lapses,
+                step: 0,
+                lastReviewed: lastTs || due - ivlDays * DAY
+            },
+            reviews
+        };
+    }
+
+    function _mimeType(name) {
+        const ext = (name.split('.').pop() || '').toLowerCase();
+        return MEDIA_TYPES[ext] || '';
+    }
+
+    /**
+     * Read an .apkg into the import format of doImport():
+     * { type, chapter, units, cards, attachments, skipped }. Cards carry `srs`
+     * when Anki has scheduling state for them.
+     */
+    async function parse(file, name) {
+        const zip = await JSZip.loadAsync(file);
+        // Newer exports also contain a collection.anki2 that only says "please update"
+        const entry = zip.file('collection.anki21') || (!zip.file('collection.anki21b') && zip.file('collection.anki2'));
+        if (!entry) {
+            throw new Error(zip.file('collection.anki21b')
+                ? 'Neues Anki-Format — bitte in Anki mit „Unterstützung älterer Anki-Versionen" exportieren'
+                : 'Keine Anki-Sammlung im Paket gefunden');
+        }
+
+        const SQL = await _loadSql();
+        const db = new SQL.Database(await entry.async('uint8array'));
+        try {
+            const weights = await SrsDB.getMeta('fsrs_weights');
+            return await _readCollection(db, zip, name, FSRS.create({ weights: weights || undefined }));
+        } finally {
+            db.close();
+        }
+    }
+
+    async function _readCollection(db, zip, name, fsrs) {
+        const crt = _rows(db, 'SELECT crt FROM col')[0].crt;
+        const models = _readModels(db);
+        const decks = _readDecks(db);
+        const notes = new Map(_rows(db, 'SELECT id, mid, tags, flds FROM notes').map(n => [n.id, n]));
+        const cards = _rows(db, 'SELECT id, nid, did, odid, ord, type, due, odue, ivl, factor, reps, lapses FROM cards ORDER BY nid, ord');
+        const revlog = new Map();
+        _rows(db, 'SELECT id, cid, ease FROM revlog ORDER BY id').forEach(r => {
+            if (!revlog.has(r.cid)) revlog.set(r.cid, []);
+            revlog.get(r.cid).push(r);
+        });
+
+        // media: { "0": "bild.jpg", … } → file name → archive entry
+        const mediaFile = zip.file('media');
+        const mediaMap = mediaFile ? JSON.parse(await mediaFile.async('text') || '{}') : {};
+        const mediaEntries = new Map(Object.entries(mediaMap).map(([num, file]) => [file, num]));
+        const mediaBlobs = new Map();
+        const loadMedia = async (file) => {
+            if (!mediaBlobs.has(file)) {
+                const zipEntry = mediaEntries.has(file) && zip.file(mediaEntries.get(file));
+                mediaBlobs.set(file, zipEntry ? new Blob([await zipEntry.async('blob')], { type: _mimeType(file) }) : null);
+            }
+            return mediaBlobs.get(file);
+        };
+
+        // One root deck → chapter named after it, sub-decks become units
+        const deckName = did => decks[did] || 'Default';
+        const roots = new Set(cards.map(c => deckName(c.odid || c.did).split('::')[0]));
+        const singleRoot = roots.size === 1;
+        const data = {
+            type: 'arabisch-app-export',
+            chapter: { name: singleRoot ? [...roots][0] : name, icon: '🃏' },
+            units: [],
+            cards: [],
+            attachments: [],
+            skipped: 0
+        };
+        const unitRefs = new Map();
+        const unitRef = (did) => {
+            const parts = deckName(did).split('::');
+            const path = (singleRoot ? parts.slice(1) : parts).join(' › ');
+            if (!path) return null;
+            if (!unitRefs.has(path)) {
+                const id = `unit_${unitRefs.size}`;
+                unitRefs.set(path, id);
+                data.units.push({ id, name: path, icon: '📄', order: unitRefs.size - 1 });
+            }
+            return unitRefs.get(path);
+        };
+
+        const mappedNotes = new Map();
+        for (const card of cards) {
+            const note = notes.get(card.nid);
+            const model = note && models[note.mid];
+            if (!model || model.type === 1) { // cloze notes have no word pair
+                data.skipped++;
+                continue;
+            }
+            const values = note.flds.split(FIELD_SEP);
+            if (!mappedNotes.has(note.id)) mappedNotes.set(note.id, _mapNote(values, _fieldRoles(model.flds)));
+            const mapped = mappedNotes.get(note.id);
+            if (!mapped) {
+                data.skipped++;
+                continue;
+            }
+
+            const tmpl = model.tmpls.find(t => t.ord === card.ord);
+            let questionIdx = tmpl ? _questionField(tmpl.qfmt, model.flds) : -1;
+            if (questionIdx < 0) {
+                // Unknown template: first card asks the earlier field, the second one the later
+                questionIdx = card.ord === 0 ? Math.min(mapped.deIdx, mapped.arIdx) : Math.max(mapped.deIdx, mapped.arIdx);
+            }
+            const frontLang = questionIdx === mapped.arIdx ? 'ar' : 'de';
+
+            data.cards.push({
+                unitRef: unitRef(card.odid || card.did),
+                front: frontLang === 'ar' ? mapped.ar : mapped.de,
+                back: frontLang === 'ar' ? mapped.de : mapped.ar,
+                frontLang,
+                ex: mapped.ex,
+                noteDe: mapped.noteDe,
+                noteAr: mapped.noteAr,
+                tags: (note.tags || '').trim().split(/\s+/).filter(Boolean),
+                srs: _srsState(card, revlog.get(card.id), crt, fsrs)
+            });
+
+            const refs = _mediaRefs(values);
+            for (const kind of ['image', 'audio']) {
+                const blob = refs[kind] && await loadMedia(refs[kind]);
+                if (blob) data.attachments.push({ kind, blob, de: mapped.de, ar: mapped.ar, frontLang, mimeType: blob.type, name: refs[kind] });
+            }
+        }
+        return data;
+    }
+
+    // ── Collection (write) ──────────────────────────────────────────
+    async function _checksum(text) {
+        const hash = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+        const hex = [...new Uint8Array(hash).slice(0, 4)].map(b => b.toString(16).padStart(2, '0')).join('');
+        return parseInt(hex, 16);
+    }
+
+    function _guid() {
+        const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&()*+,-./:;<=>?@[]^_`{|}~';
+        let guid = '';
+        for (let i = 0; i < 10; i++) guid += chars[Math.floor(Math.random() * chars.length)];
+        return guid;
+    }
+
+    function _model(id, deckId, mod) {
+        const extras = '{{#Beispiel}}<div class="ex">{{Beispiel}}</div>{{/Beispiel}}{{Bild}}{{Audio}}';
+        const tmpl = (name, ord, qfmt, afmt) => ({ name, ord, qfmt, afmt, did: null, bqfmt: '', bafmt: '' });
+        return {
+            id, name: MODEL_NAME, type: 0, mod, usn: -1, sortf: 0, did: deckId, tags: [], vers: [],
+            flds: EXPORT_FIELDS.map((name, ord) => ({
+                name, ord, sticky: false, rtl: name === 'Arabisch' || name === 'Notiz AR', font: 'Arial', size: 20, media: []
+            })),
+            tmpls: [
+                tmpl('Deutsch → Arabisch', 0,
+                    '{{Deutsch}}<div class="note">{{Notiz DE}}</div>',
+                    '{{FrontSide}}<hr id="answer"><div class="ar">{{Arabisch}}</div><div class="note">{{Notiz AR}}</div>' + extras),
+                tmpl('Arabisch → Deutsch', 1,
+                    '<div class="ar">{{Arabisch}}</div><div class="note">{{Notiz AR}}</div>',
+                    '{{FrontSide}}<hr id="answer">{{Deutsch}}<div class="note">{{Notiz DE}}</div>' + extras)
+            ],
+            css: '.card { font-family: Arial; font-size: 22px; text-align: center; }\n' +
+                '.ar { font-size: 34px; direction: rtl; }\n.note, .ex { font-size: 15px; color: #666; }\nimg { max-width: 90%; }',
+            latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n' +
+                '\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+            latexPost: '\\end{document}',
+            latexsvg: false,
+            req: [[0, 'any', [0]], [1, 'any', [1]]]
+        };
+    }
+
+    function _deck(id, name, mod) {
+        return {
+            id, name, mod, usn: -1, desc: '', dyn: 0, conf: 1, collapsed: false, browserCollapsed: false,
+            extendNew: 0, extendRev: 0, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0]
+        };
+    }
+
+    const DECK_CONF = {
+        1: {
+            id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+            new: { delays: [1, 10], ints: [1, 4, 0], initialFactor: 2500, order: 1, perDay: 20, bury: false },
+            rev: { perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36500, hardFactor: 1.2, bury: false },
+            lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 1 }
+        }
+    };
+
+    /** SRS record → Anki card scheduling columns */
+    function _scheduling(srs, crt, position) {
+        if (!srs || srs.state === 'new' || !srs.reps) {
+            return { type: 0, queue: 0, due: position, ivl: 0, factor: 0, left: 0 };
+        }
+        const factor = Math.round((1.3 + (10 - (srs.difficulty || 5)) / 9 * 2.2) * 1000);
+        if (srs.state === 'review') {
+            const ivl = Math.max(1, Math.round((srs.due - (srs.lastReviewed || srs.due)) / DAY) || Math.round(srs.stability) || 1);
+            return { type: 2, queue: 2, due: Math.round((srs.due / 1000 - crt) / 86400), ivl, factor, left: 0 };
+        }
+        return {
+            type: srs.state === 'relearning' ? 3 : 1, queue: 1, due: Math.floor(srs.due / 1000),
+            ivl: srs.state === 'relearning' ? 1 : 0, factor, left: 1
+        };
+    }
+
+    /** Anki revlog interval: days, or negative seconds below one day */
+    function _revlogIvl(days) {
+        if (!days) return 0;
+        return days >= 1 ? Math.round(days) : -Math.round(days * 86400);
+    }
+
+    /**
+     * Export a chapter (units as sub-decks) with its SRS state and media as .apkg.
+     */
+    async function exportChapter(catId) {
+        const cat = AppState.categories.find(c => c.id === catId);
+        if (!cat) return;
+        const subs = getSubcategories(catId);
+        const catIds = new Set([catId, ...subs.map(s => s.id)]);
+        const cards = AppState.cards.filter(c => catIds.has(c.cat));
+        if (cards.length === 0) {
+            showToast('📭 Keine Karten zum Exportieren', 'info');
+            return;
+        }
+
+        let SQL;
+        try {
+            SQL = await _loadSql();
+        } catch (e) {
+            showToast('❌ ' + e.message, 'error');
+            return;
+        }
+
+        const srsRecords = new Map();
+        const reviewsByCard = new Map();
+        try {
+            (await SrsDB.getAllCards()).forEach(r => srsRecords.set(r.id, r));
+            (await SrsDB.getAllReviews()).forEach(r => {
+                if (!reviewsByCard.has(r.cardId)) reviewsByCard.set(r.cardId, []);
+                reviewsByCard.get(r.cardId).push(r);
+            });
+        } catch (e) {
+            console.warn('SRS-Daten für Anki-Export nicht verfügbar:', e);
+        }
+
+        const now = Date.now();
+        const mod = Math.floor(now / 1000);
+        const crt = Math.floor(new Date(now).setHours(0, 0, 0, 0) / 1000);
+        let nextId = now;
+        const newId = () => nextId++;
+
+        // Decks: chapter, units as "Kapitel::Einheit" ('::' inside names would nest)
+        const deckLabel = name => name.replace(/::/g, ':');
+        const deckIds = new Map();
+        const decks = { 1: _deck(1, 'Default', mod) };
+        [cat, ...subs].forEach(c => {
+            const id = newId();
+            deckIds.set(c.id, id);
+            decks[id] = _deck(id, c.id === catId ? deckLabel(cat.name) : `${deckLabel(cat.name)}::${deckLabel(c.name)}`, mod);
+        });
+        const modelId = newId();
+        const model = _model(modelId, deckIds.get(catId), mod);
+
+        const db = new SQL.Database();
+        const zip = new JSZip();
+        try {
+            db.run(SCHEMA);
+
+            // One note per word pair, one Anki card per direction
+            const notes = [];
+            const notesByPair = new Map();
+            cards.forEach(card => {
+                const de = card.frontLang === 'ar' ? card.back : card.front;
+                const ar = card.frontLang === 'ar' ? card.front : card.back;
+                const key = ArabicNormalizer.pairKey(de, ar);
+                const ord = card.frontLang === 'ar' ? 1 : 0;
+                const candidates = notesByPair.get(key) || [];
+                let note = candidates.find(n => !n.cards[ord]);
+                if (!note) {
+                    note = { de, ar, card, cards: {} };
+                    candidates.push(note);
+                    notesByPair.set(key, candidates);
+                    notes.push(note);
+                }
+                note.cards[ord] = card;
+            });
+
+            const media = {};
+            let position = 0;
+            let revlogCount = 0;
+            const usedRevlogIds = new Set();
+            for (const note of notes) {
+                const first = note.card;
+                const fields = [
+                    renderFormattedText(note.de), renderFormattedText(note.ar),
+                    escapeHtml(first.ex || ''), escapeHtml(first.noteDe || ''), escapeHtml(first.noteAr || ''), '', ''
+                ];
+                for (const card of Object.values(note.cards)) {
+                    const attached = await Attachments.getFor(card.id);
+                    if (!attached.image && !attached.audio) continue;
+                    Object.values(attached).forEach(r => {
+                        const num = String(Object.keys(media).length);
+                        const ext = r.kind === 'image' ? 'jpg' : ((r.name || '').split('.').pop() || 'mp3');
+                        const file = `${sanitizeFilename(note.de)}_${num}.${ext}`;
+                        media[num] = file;
+                        zip.file(num, r.blob);
+                        if (r.kind === 'image') fields[5] = `<img src="${file}">`;
+                        else fields[6] = `[sound:${file}]`;
+                    });
+                    break;
+                }
+
+                const noteId = newId();
+                const sortField = note.de.replace(/\*/g, '');
+                const tags = (first.tags || []).length > 0 ? ` ${first.tags.join(' ')} ` : '';
+                db.run('INSERT INTO notes VALUES (?,?,?,?,?,?,?,?,?,?,?)', [
+                    noteId, _guid(), modelId, mod, -1, tags, fields.join(FIELD_SEP), sortField, await _checksum(sortField), 0, ''
+                ]);
+
+                for (const [ord, card] of Object.entries(note.cards)) {
+                    const ankiId = newId();
+                    const srs = srsRecords.get(card.id);
+                    const s = _scheduling(srs, crt, position++);
+                    db.run('INSERT INTO cards VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)', [
+                        ankiId, noteId, deckIds.get(card.cat), Number(ord), mod, -1, s.type, s.queue, s.due, s.ivl, s.factor,
+                        srs ? srs.reps || 0 : 0, srs ? srs.lapses || 0 : 0, s.left, 0, 0, 0, ''
+                    ]);
+
+                    let lastIvl = 0;
+                    (reviewsByCard.get(card.id) || []).sort((a, b) => a.timestamp - b.timestamp).forEach(r => {
+                        let id = r.timestamp;
+                        while (usedRevlogIds.has(id)) id++;
+                        usedRevlogIds.add(id);
+                        const ivl = _revlogIvl(r.interval);
+                        db.run('INSERT INTO revlog VALUES (?,?,?,?,?,?,?,?,?)', [
+                            id, ankiId, -1, r.rating + 1, ivl, lastIvl, s.factor || 2500, 0, REVLOG_TYPES[r.state] || 0
+                        ]);
+                        lastIvl = ivl;
+                        revlogCount++;
+                    });
+                }
+            }
+
+            const conf = {
+                nextPos: position + 1, estTimes: true, activeDecks: [1], sortType: 'noteFld', timeLim: 0,
+                sortBackwards: false, addToCur: true, curDeck: 1, newSpread: 0, dueCounts: true,
+                curModel: modelId, collapseTime: 1200
+            };
+            db.run('INSERT INTO col VALUES (1,?,?,?,11,0,0,0,?,?,?,?,?)', [
+                crt, now, now, JSON.stringify(conf), JSON.stringify({ [modelId]: model }),
+                JSON.stringify(decks), JSON.stringify(DECK_CONF), '{}'
+            ]);
+
+            zip.file('collection.anki2', db.export());
+            zip.file('media', JSON.stringify(media));
+            const blob = await zip.generateAsync({ type: 'blob' });
+            downloadFile(blob, sanitizeFilename(cat.name) + '.apkg', 'application/octet-stream');
+            showToast(`🃏 ${position} Karten${revlogCount > 0 ? `, ${revlogCount} Wiederholungen` : ''} als Anki-Paket exportiert!`, 'success');
+        } catch (e) {
+            console.error('Anki export error:', e);
+            showToast('❌ Anki-Export fehlgeschlagen', 'error');
+        } finally {
+            db.close();
+        }
+    }
+
+    return { parse, exportChapter };
+})();
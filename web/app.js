@@ -17,6 +17,7 @@ const AppState = {
     selectedIcon: null,
     isProcessing: false,
     previewURL: null,
+    ocrSource: null,     // last scanned image (Blob), for cropping card images
     // Swipe state
     touchStartX: 0,
     touchStartY: 0,
@@ -85,71 +86,129 @@ function getGroupProgress(groupId) {
 const ICONS = ['📝', '🏃', '🏠', '🍕', '✈️', '🏥', '💼', '🎓', '⚽', '🎵', '📚', '🌍', '🎨', '🔧', '💊', '🎯', '🚗', '📱', '💡', '🎪'];
 
 // ===== STORAGE =====
+// Cards and chapters live in IndexedDB (card-db.js). save() diffs AppState against
+// the last persisted snapshot and writes only the records that changed.
 const Storage = {
-    load() {
+    _persistedCats: new Map(),   // id → JSON of last written record
+    _persistedCards: new Map(),
+    _writeChain: Promise.resolve(),
+    _needsFullWrite: false,
+    loaded: false,               // false when the card DB could not be read
+
+    async load() {
         try {
-            AppState.categories = JSON.parse(localStorage.getItem('cats')) || [
+            const data = await CardDB.load(() => [
                 { id: 'verben', name: 'Verben', icon: '🏃' },
                 { id: 'nomen', name: 'Nomen', icon: '📝' },
                 { id: 'alltag', name: 'Alltag', icon: '🏠' },
-            ];
-            AppState.cards = JSON.parse(localStorage.getItem('cards')) || [];
-
-            // Migration: fix 'parent' → 'parentId' from broken imports
-            let migrated = 0;
-            AppState.categories.forEach(c => {
-                if (c.parent && !c.parentId) {
-                    c.parentId = c.parent;
-                    delete c.parent;
-                    migrated++;
-                }
-            });
-            if (migrated > 0) {
-                console.log(`🔧 Migration: ${migrated} Kategorien repariert (parent → parentId)`);
-                localStorage.setItem('cats', JSON.stringify(AppState.categories));
-            }
+            ]);
+            AppState.categories = data.categories;
+            AppState.cards = data.cards;
+            this._snapshot();
+            this.loaded = true;
 
             const savedPending = sessionStorage.getItem('pending');
             if (savedPending) {
                 AppState.pending = JSON.parse(savedPending);
             }
 
-            // Cleanup: remove cards directly on a parent chapter (orphans from old import bug)
-            const parentIds = new Set(AppState.categories.filter(c => !c.parentId).map(c => c.id));
-            const unitIds = new Set(AppState.categories.filter(c => c.parentId).map(c => c.id));
-            const beforeCount = AppState.cards.length;
-            // Keep cards that belong to a unit, or to a chapter that has NO children (flat chapter)
-            AppState.cards = AppState.cards.filter(card => {
-                if (unitIds.has(card.cat)) return true; // card belongs to a unit — keep
-                if (parentIds.has(card.cat)) {
-                    // card on a parent chapter — keep only if this chapter has no units
-                    const hasUnits = AppState.categories.some(c => c.parentId === card.cat);
-                    return !hasUnits; // keep if flat chapter, delete if has units
-                }
-                return true; // unknown — keep
-            });
-            const removed = beforeCount - AppState.cards.length;
-            if (removed > 0) {
-                console.log(`🧹 Cleanup: ${removed} verwaiste Karten entfernt (direkt am Kapitel statt in Einheit)`);
-                localStorage.setItem('cards', JSON.stringify(AppState.cards));
-            }
-
             console.log(`📊 Geladen: ${AppState.categories.length} Kapitel, ${AppState.cards.length} Karten, ${AppState.pending.length} Pending`);
         } catch (e) {
             console.error('❌ Storage Load Error:', e);
         }
     },
 
-    save() {
-        try {
-            localStorage.setItem('cats', JSON.stringify(AppState.categories));
-            localStorage.setItem('cards', JSON.stringify(AppState.cards));
-        } catch (e) {
-            console.error('❌ Storage Save Error:', e);
-            if (e.name === 'QuotaExceededError') {
-                showToast('⚠️ Speicher voll! Lösche alte Kapitel.', 'warning');
+    /** Remember what is on disk so the next save() can write only the difference */
+    _snapshot() {
+        this._persistedCats = new Map(AppState.categories.map(c => [c.id, JSON.stringify(c)]));
+        this._persistedCards = new Map(AppState.cards.map(c => [c.id, JSON.stringify(c)]));
+    },
+
+    /** Compute puts/deletes of `items` against the `persisted` snapshot (and update it) */
+    _diff(items, persisted) {
+        const puts = [];
+        const seen = new Set();
+        items.forEach(item => {
+            const json = JSON.stringify(item);
+            seen.add(item.id);
+            if (persisted.get(item.id) !== json) {
+                puts.push(item);
+                persisted.set(item.id, json);
             }
+        });
+        const deletes = [];
+        persisted.forEach((_, id) => {
+            if (!seen.has(id)) deletes.push(id);
+        });
+        deletes.forEach(id => persisted.delete(id));
+        return { puts, deletes };
+    },
+
+    /**
+     * Persist changed categories/cards. Returns a promise that resolves once
+     * the write has committed; callers may ignore it (writes are queued in order).
+     */
+    save() {
+        AppState.cards.forEach(c => { if (!c.id) c.id = CardDB.newId(); });
+
+        // A previous write failed — the snapshot can't be trusted, rewrite everything
+        if (this._needsFullWrite) {
+            this._needsFullWrite = false;
+            const live = new Set(AppState.cards.map(c => c.id));
+            const deleted = [...this._persistedCards.keys()].filter(id => !live.has(id));
+            this._snapshot();
+            return this._enqueue(async () => {
+                await CardDB.replaceAll(AppState.categories, AppState.cards);
+                this._dropCardMedia(deleted);
+            });
+        }
+
+        const cats = this._diff(AppState.categories, this._persistedCats);
+        const cards = this._diff(AppState.cards, this._persistedCards);
+        if (!cats.puts.length && !cats.deletes.length && !cards.puts.length && !cards.deletes.length) {
+            return this._writeChain;
         }
+
+        return this._enqueue(async () => {
+            await CardDB.applyChanges({
+                putCategories: cats.puts,
+                deleteCategories: cats.deletes,
+                putCards: cards.puts,
+                deleteCards: cards.deletes
+            });
+            // Keep SRS records in step with edits, moves and deletions
+            if (cards.puts.length || cards.deletes.length) {
+                SrsAdapter.applyCardChanges(cards.puts, cards.deletes)
+                    .catch(err => console.warn('SRS Abgleich fehlgeschlagen:', err));
+            }
+            this._dropCardMedia(cards.deletes);
+        });
+    },
+
+    /** Remove pronunciation clips and media of deleted cards (once their deletion has committed) */
+    _dropCardMedia(ids) {
+        ids.forEach(id => {
+            Recordings.removeFor(id)
+                .catch(err => console.warn('Aufnahmen löschen fehlgeschlagen:', err));
+            Attachments.removeFor(id)
+                .catch(err => console.warn('Anhänge löschen fehlgeschlagen:', err));
+        });
+    },
+
+    /** Queue a write after all previous ones; errors are reported, not thrown */
+    _enqueue(write) {
+        this._writeChain = this._writeChain
+            .then(write)
+            .catch(e => {
+                console.error('❌ Storage Save Error:', e);
+                this._needsFullWrite = true;
+                if (e && e.name === 'QuotaExceededError') {
+                    showToast('⚠️ Speicher voll! Lösche alte Kapitel.', 'warning');
+                } else {
+                    showToast('❌ Speichern fehlgeschlagen', 'error');
+                }
+            });
+        return this._writeChain;
     },
 
     savePending() {
@@ -375,7 +434,7 @@ function updateCatDropdowns() {
         if (prevTarget) sel.value = prevTarget; // Restore selection
     }
     if (csvSel) {
-        csvSel.innerHTML = options;
+        csvSel.innerHTML = options + '<option value="">➕ Neues Kapitel aus Datei</option>';
         if (prevCsv) csvSel.value = prevCsv; // Restore selection
     }
 }
@@ -495,6 +554,14 @@ function renderSubcategories(groupId) {
                 <span class="mode-label">SRS</span>
             </button>
         </div>
+        <div class="quiz-mode-toggle">
+            <span>Quiz-Antwort:</span>
+            ${Object.entries(QuizEngine.ANSWER_MODES).map(([mode, label]) => `
+                <button class="quiz-mode-option ${QuizEngine.getAnswerMode() === mode ? 'active' : ''}" data-mode="${mode}"
+                        onclick="setQuizAnswerMode('${mode}')">${label}</button>
+            `).join('')}
+            <button class="quiz-mode-option" onclick="openQuizSettings()" title="Quiz-Einstellungen">⚙️</button>
+        </div>
         ${scopeLabel ? `<div class="scope-info">📌 ${scopeLabel} ausgewählt</div>` : '<div class="scope-info scope-hint">👆 Wähle unten eine Einheit oder \"Alle Karten\"</div>'}
     `;
 
@@ -673,7 +740,7 @@ function _updateSelectionCards(groupId) {
             unitCards.forEach(card => {
                 const de = card.frontLang === 'de' ? card.front : card.back;
                 const ar = card.frontLang === 'de' ? card.back : card.front;
-                const key = `${de}|${ar}`;
+                const key = `${de}|${ar}`; // exact: spelling variants are distinct cards
                 if (!seen.has(key)) {
                     seen.add(key);
                     merged.push(card);
@@ -1024,7 +1091,84 @@ function _clearResumeIndex(catId) {
 }
 
 function startQuiz(direction) {
-    QuizEngine.start(AppState.currentCat, direction);
+    // Current scope: one unit, the selected units or the whole group; a session
+    // code entered in the settings replays that session
+    QuizEngine.start({ cards: AppState.currentCards, title: getLearnScopeTitle(), direction, ...QuizEngine.takeReplay() });
+}
+
+/** Header label for the current learn scope */
+function getLearnScopeTitle() {
+    if (AppState.learnScope === 'multi') {
+        const group = AppState.categories.find(c => c.id === AppState.currentGroup);
+        return `${group ? `${group.icon || '📖'} ${group.name} · ` : ''}${AppState.selectedUnits.length} Einheiten`;
+    }
+    const cat = AppState.categories.find(c => c.id === AppState.currentCat);
+    return cat ? `${cat.icon || '📖'} ${cat.name}` : 'Quiz';
+}
+
+/** Session builder settings: question count, direction mix, weighting, time limits */
+function openQuizSettings() {
+    const s = QuizEngine.getSettings();
+    const opt = (value, label, current) =>
+        `<option value="${value}" ${String(current) === String(value) ? 'selected' : ''}>${label}</option>`;
+    document.getElementById('quizSettingsBody').innerHTML = `
+        <label for="quizSetCount">Fragen pro Runde:</label>
+        <select id="quizSetCount" class="form-input">
+            ${QuizEngine.COUNT_OPTIONS.map(n => opt(n, n > 0 ? n : 'Alle', s.count)).join('')}
+        </select>
+        <label for="quizSetDirection">Richtung:</label>
+        <select id="quizSetDirection" class="form-input">
+            ${opt('false', 'Wie gewählt (DE→AR oder AR→DE)', s.directionMix)}
+            ${opt('true', 'Gemischt', s.directionMix)}
+        </select>
+        <label for="quizSetWeighting">Auswahl der Wörter:</label>
+        <select id="quizSetWeighting" class="form-input">
+            ${opt('weak', 'Schwache Wörter bevorzugen', s.weighting)}
+            ${opt('random', 'Zufällig', s.weighting)}
+        </select>
+        <label for="quizSetQuestionSeconds">Zeit pro Frage:</label>
+        <select id="quizSetQuestionSeconds" class="form-input">
+            ${[0, 5, 10, 15, 30].map(n => opt(n, n > 0 ? `${n} Sekunden` : 'Aus', s.questionSeconds)).join('')}
+        </select>
+        <label for="quizSetSessionMinutes">Zeit für die Runde:</label>
+        <select id="quizSetSessionMinutes" class="form-input">
+            ${[0, 1, 2, 5, 10].map(n => opt(n, n > 0 ? `${n} Min.` : 'Aus', s.sessionMinutes)).join('')}
+        </select>
+        <label for="quizSetSeed">Sitzung wiederholen (Code vom Ergebnis):</label>
+        <input type="text" id="quizSetSeed" class="form-input" placeholder="z.B. #1K3Z9Q — leer = neue Fragen"
+            value="${QuizEngine._nextSeed !== null ? '#' + QuizEngine.formatSeed(QuizEngine._nextSeed) : ''}"
+            autocomplete="off" autocapitalize="characters" spellcheck="false">
+    `;
+    document.getElementById('quizSettingsModal').classList.add('active');
+}
+
+function saveQuizSettings() {
+    const code = document.getElementById('quizSetSeed').value.trim();
+    const seed = code ? QuizEngine.parseSeed(code) : null;
+    if (code && seed === null) {
+        showToast('⚠️ Ungültiger Sitzungs-Code', 'warning');
+        return;
+    }
+    QuizEngine.setNextSeed(seed);
+    QuizEngine.saveSettings({
+        count: parseInt(document.getElementById('quizSetCount').value, 10),
+        directionMix: document.getElementById('quizSetDirection').value === 'true',
+        weighting: document.getElementById('quizSetWeighting').value,
+        questionSeconds: parseInt(document.getElementById('quizSetQuestionSeconds').value, 10),
+        sessionMinutes: parseInt(document.getElementById('quizSetSessionMinutes').value, 10)
+    });
+    closeModal('quizSettingsModal');
+    showToast(seed !== null
+        ? `✅ Nächstes Quiz wiederholt Sitzung #${QuizEngine.formatSeed(seed)}`
+        : '✅ Quiz-Einstellungen gespeichert', 'success');
+}
+
+/** Multiple choice or typed answers for both quiz directions */
+function setQuizAnswerMode(mode) {
+    QuizEngine.setAnswerMode(mode);
+    document.querySelectorAll('.quiz-mode-option').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
 }
 
 // ===== ICON PICKER =====
@@ -1061,6 +1205,38 @@ function closeGearMenu() {
     if (popup) popup.classList.remove('active');
 }
 
+/** Cycle the Arabic comparison strictness (dedupe, search, answer checking) */
+function cycleArabicStrictness() {
+    const levels = ArabicNormalizer.LEVELS;
+    const next = levels[(levels.indexOf(ArabicNormalizer.getLevel()) + 1) % levels.length];
+    ArabicNormalizer.setLevel(next);
+    renderArabicStrictness();
+    const hints = {
+        exact: 'Tashkeel zählt',
+        standard: 'ohne Tashkeel, Alef-Formen gleich',
+        loose: 'auch Hamza, ة/ه und ى/ي gleich'
+    };
+    showToast(`🔤 Arabisch-Vergleich: ${ArabicNormalizer.LEVEL_LABELS[next]} (${hints[next]})`, 'info');
+}
+
+/** Toggle whether duplicates are looked up in the target unit only or in all chapters */
+function cycleDuplicateScope() {
+    const next = Duplicates.getScope() === 'unit' ? 'global' : 'unit';
+    Duplicates.setScope(next);
+    renderDuplicateScope();
+    showToast(`🔁 Duplikate suchen in: ${Duplicates.SCOPES[next]}`, 'info');
+}
+
+function renderArabicStrictness() {
+    const label = document.getElementById('arabicStrictnessLabel');
+    if (label) label.textContent = ArabicNormalizer.LEVEL_LABELS[ArabicNormalizer.getLevel()];
+}
+
+function renderDuplicateScope() {
+    const label = document.getElementById('duplicateScopeLabel');
+    if (label) label.textContent = Duplicates.SCOPES[Duplicates.getScope()];
+}
+
 // Close gear menu on outside click or ESC
 document.addEventListener('click', (e) => {
     const wrapper = document.getElementById('gearMenuWrapper');
@@ -1117,6 +1293,9 @@ function _restoreExportModal() {
         <button class="btn btn-secondary mb-sm" id="exportCsvBtn" onclick="exportCSVOnly()">
             📄 Nur Vokabeln (CSV)
         </button>
+        <button class="btn btn-secondary mb-sm" id="exportAnkiBtn" onclick="exportAnkiOnly()">
+            🃏 Anki-Paket (.apkg, mit Lernstand)
+        </button>
         <button class="btn btn-secondary" onclick="closeModal('exportModal')">Abbrechen</button>
     `;
 }
@@ -1151,12 +1330,19 @@ async function handleUpload(input) {
 
     const file = input.files[0];
 
+    if (BatchOcr.isRunning()) {
+        showToast('⏳ Stapel-Scan läuft — bitte pausieren oder warten', 'warning');
+        input.value = '';
+        return;
+    }
+
     if (AppState.pending.length > 0) {
         if (!confirm(`${AppState.pending.length} Wörter bereits in der Liste.\n\nÜberschreiben?\n\nOK = Löschen\nAbbrechen = Behalten`)) {
             input.value = '';
             return;
         }
         Storage.clearPending();
+        BatchOcr.release().catch(err => console.warn('Stapel-Scan Wörter freigeben fehlgeschlagen:', err));
         renderPending();
     }
 
@@ -1187,17 +1373,27 @@ async function processImage(file) {
     showProgress();
     updateProgress('🔧 Bild wird optimiert...', 10);
     const { originalBlob, processedBlob, thumbnail } = await ImagePreprocessor.process(file);
+    AppState.ocrSource = originalBlob;
     showPreview(thumbnail);
-    const words = await performOCR(originalBlob, processedBlob, (status, pct) => updateProgress(status, pct));
+    const source = OcrReview.addSource(originalBlob);
+    const words = await performOCR(originalBlob, processedBlob, (status, pct) => updateProgress(status, pct), OcrLayout.session());
+    words.forEach(w => { w.source = source; });
     handleOCRResults(words);
 }
 
 async function processPdf(file) {
     showProgress();
+    const layout = OcrLayout.session(); // one layout for all scanned pages
     const { words, thumbnail } = await PdfHandler.process(
         file,
         (status, pct) => updateProgress(status, pct),
-        async (blob) => await performOCR(blob, () => { })
+        async (blob) => {
+            AppState.ocrSource = blob;
+            const source = OcrReview.addSource(blob);
+            const words = await performOCR(blob, () => { }, layout);
+            words.forEach(w => { w.source = source; });
+            return words;
+        }
     );
     if (thumbnail) showPreview(thumbnail);
     handleOCRResults(words);
@@ -1277,7 +1473,8 @@ function addWord() {
 }
 
 function removeWord(i) {
-    AppState.pending.splice(i, 1);
+    const [removed] = AppState.pending.splice(i, 1);
+    if (removed && removed.mediaId) Attachments.removeFor(removed.mediaId).catch(() => { });
     Storage.savePending();
     renderPending();
 }
@@ -1311,6 +1508,24 @@ function editWord(i) {
     document.getElementById(`editDe${i}`).focus();
 }
 
+/** Attach an image/audio to a pending word; copied onto its cards in createCards() */
+function editWordMedia(i) {
+    const w = AppState.pending[i];
+    if (!w) return;
+    if (!w.mediaId) {
+        w.mediaId = CardDB.newId();
+        Storage.savePending();
+    }
+    Attachments.openEditor(w.mediaId, {
+        title: `${w.de} → ${w.ar}`,
+        onChange: hasMedia => {
+            w.hasMedia = hasMedia;
+            Storage.savePending();
+            renderPending();
+        }
+    });
+}
+
 /** Wrap selected text in an input field with markdown markers */
 function wrapSelection(inputId, marker) {
     const input = document.getElementById(inputId);
@@ -1380,15 +1595,21 @@ function renderPending() {
         if (targetDropdown) targetDropdown.value = AppState.csvTargetCat;
     }
 
+    // Review against the scan only while its page is still in memory
+    document.getElementById('ocrReviewBtn').classList.toggle('hidden', !OcrReview.isAvailable());
+
     list.innerHTML = AppState.pending.map((w, i) => `
-        <div class="pending-word" id="pending-row-${i}">
+        <div class="pending-word ${OcrReview.isLow(w) ? 'ocr-low' : ''}" id="pending-row-${i}">
             <div class="pending-word-text">
                 <span>${renderFormattedText(w.de)}</span> → <span class="ar">${renderFormattedText(w.ar)}</span>
+                ${OcrReview.isLow(w) ? `<span class="ocr-low-label" title="OCR unsicher">⚠️ ${Math.round(w.confidence * 100)}%</span>` : ''}
+                ${w.chapter || w.unit ? `<span class="csv-unit">📄 ${escapeHtml([w.chapter, w.unit].filter(Boolean).join(' › '))}</span>` : ''}
                 ${w.noteDe ? `<div class="flashcard-note" style="margin-top: 4px;">DE: ${escapeHtml(w.noteDe)}</div>` : ''}
                 ${w.noteAr ? `<div class="flashcard-note" style="margin-top: 4px;">AR: ${escapeHtml(w.noteAr)}</div>` : ''}
                 ${w.ex ? `<div class="example">💡 ${escapeHtml(w.ex)}</div>` : ''}
             </div>
             <div class="pending-word-actions">
+                <button class="icon-btn ${w.hasMedia ? 'active' : ''}" onclick="editWordMedia(${i})" aria-label="Anhänge" title="Bild/Audio anhängen">📎</button>
                 <button class="icon-btn" onclick="editWord(${i})" aria-label="Bearbeiten" title="Bearbeiten">✏️</button>
                 <button class="remove-btn" onclick="removeWord(${i})" aria-label="Entfernen">×</button>
             </div>
@@ -1412,52 +1633,85 @@ function renderFormattedText(text) {
 }
 
 // ===== CARD CREATION =====
-function createCards() {
+async function createCards() {
     // Use CSV target chapter if set, otherwise use dropdown
     const catId = AppState.csvTargetCat || document.getElementById('targetCat').value;
     const dir = document.querySelector('input[name="dir"]:checked').value;
 
-    if (!catId) { showToast('⚠️ Kapitel wählen!', 'warning'); return; }
+    if (!catId && !AppState.pending.every(w => w.chapter)) { showToast('⚠️ Kapitel wählen!', 'warning'); return; }
     if (AppState.pending.length === 0) { showToast('⚠️ Keine Wörter vorhanden!', 'warning'); return; }
 
+    // Existing word pairs: let the user skip, overwrite or merge them first
+    const tree = planCSVTree(catId, AppState.pending);
+    const dupes = await Duplicates.resolve(AppState.pending.map((w, i) => ({ ...w, cat: tree.nodes[i].key })));
+    if (!dupes) return;
+
     let created = 0;
-    AppState.pending.forEach(w => {
+    const now = Date.now();
+    const mediaCopies = []; // [pending mediaId, card id]
+    // Duplicates (skip/overwrite/merge) add no card — create only chapters/units that receive one
+    const added = createCSVTree(tree, AppState.pending.map((w, i) => i).filter(i => !dupes.actions.has(i)));
+    AppState.pending.forEach((w, i) => {
+        const cat = tree.nodes[i].id;
+        const action = dupes.actions.get(i);
+        if (action) {
+            Duplicates.apply(w, dupes.matches.get(i), action);
+            if (w.mediaId && action !== 'skip') dupes.matches.get(i).forEach(c => mediaCopies.push([w.mediaId, c.id]));
+            return;
+        }
         if (dir === 'both' || dir === 'de-ar') {
+            const id = CardDB.newId();
+            if (w.mediaId) mediaCopies.push([w.mediaId, id]);
             AppState.cards.push({
+                id,
                 front: w.de, back: w.ar,
                 frontLang: 'de', backLang: 'ar',
-                ex: w.ex, noteDe: w.noteDe || '', noteAr: w.noteAr || '', note: w.note || '', cat: catId,
-                score: 0, correctCount: 0, wrongCount: 0, lastSeen: null
+                ex: w.ex, noteDe: w.noteDe || '', noteAr: w.noteAr || '', note: w.note || '', cat,
+                score: 0, correctCount: 0, wrongCount: 0, lastSeen: null, created: now
             });
             created++;
         }
         if (dir === 'both' || dir === 'ar-de') {
+            const id = CardDB.newId();
+            if (w.mediaId) mediaCopies.push([w.mediaId, id]);
             AppState.cards.push({
+                id,
                 front: w.ar, back: w.de,
                 frontLang: 'ar', backLang: 'de',
-                ex: w.ex, noteDe: w.noteDe || '', noteAr: w.noteAr || '', note: w.note || '', cat: catId,
-                score: 0, correctCount: 0, wrongCount: 0, lastSeen: null
+                ex: w.ex, noteDe: w.noteDe || '', noteAr: w.noteAr || '', note: w.note || '', cat,
+                score: 0, correctCount: 0, wrongCount: 0, lastSeen: null, created: now
             });
             created++;
         }
     });
 
     Storage.save();
+    try {
+        for (const [mediaId, cardId] of mediaCopies) await Attachments.copy(mediaId, cardId);
+        for (const mediaId of new Set(mediaCopies.map(m => m[0]))) await Attachments.removeFor(mediaId);
+    } catch (e) {
+        console.error('Anhänge übernehmen fehlgeschlagen:', e);
+    }
     AppState.csvTargetCat = null; // Clear CSV target
     fullReset();
 
-    const cat = AppState.categories.find(c => c.id === catId);
-    showToast(`✅ ${created} Karten erstellt in "${cat.name}"!`, 'success');
+    const names = tree.chapters.map(ch => ch.name).join('", "');
+    const dupeInfo = dupes.count > 0 ? ` · ${Duplicates.describe(dupes)}` : '';
+    const addedInfo = added > 0 ? ` · ${added} Kapitel/Einheiten neu angelegt` : '';
+    showToast(`✅ ${created} Karten erstellt in "${names}"!${addedInfo}${dupeInfo}`, 'success');
     renderCategories();
 }
 
 function fullReset() {
     Storage.clearPending();
+    BatchOcr.release().catch(err => console.warn('Stapel-Scan Wörter freigeben fehlgeschlagen:', err));
     if (AppState.previewURL) {
         URL.revokeObjectURL(AppState.previewURL);
         AppState.previewURL = null;
     }
     AppState.isProcessing = false;
+    AppState.ocrSource = null;
+    OcrReview.reset();
     const input = document.getElementById('fileInput');
     if (input) input.value = '';
     hidePreview();
@@ -1475,6 +1729,11 @@ function showCard() {
     Stats.trackActivity('flashcard');
     Stats.checkGoalMet();
 
+    const backLang = card.backLang || (card.frontLang === 'de' ? 'ar' : 'de');
+    const speakBtn = side => Speech.isSupported()
+        ? `<button class="speak-btn" onclick="event.stopPropagation(); speakCardSide('${side}')" title="Anhören">🔊</button>`
+        : '';
+
     document.getElementById('categoryGrid').innerHTML = `
       <div style="grid-column: 1 / -1; text-align: center;">
         <div class="learn-chapter-header">
@@ -1485,27 +1744,35 @@ function showCard() {
             <div class="flashcard ${AppState.flipped ? 'flipped' : ''}" id="flashcardEl" onclick="flipCard()">
                 <div class="flashcard-face flashcard-front">
                     <div class="flashcard-number">${AppState.currentIdx + 1}/${AppState.currentCards.length}</div>
+                    ${speakBtn('front')}
                     <div class="flashcard-text ${card.frontLang === 'ar' ? 'ar' : ''}">${renderFormattedText(card.front)}</div>
                     ${card.frontLang === 'de' && card.noteDe ? `<div class="flashcard-note">${escapeHtml(card.noteDe)}</div>` : ''}
                     ${card.frontLang === 'ar' && card.noteAr ? `<div class="flashcard-note">${escapeHtml(card.noteAr)}</div>` : ''}
                 </div>
                 <div class="flashcard-face flashcard-back">
                     <div class="flashcard-number">${AppState.currentIdx + 1}/${AppState.currentCards.length}</div>
+                    ${speakBtn('back')}
                     <div class="flashcard-text ${(card.backLang || (card.frontLang === 'de' ? 'ar' : 'de')) === 'ar' ? 'ar' : ''}">${renderFormattedText(card.back)}</div>
                     ${(card.backLang || (card.frontLang === 'de' ? 'ar' : 'de')) === 'de' && card.noteDe ? `<div class="flashcard-note">${escapeHtml(card.noteDe)}</div>` : ''}
                     ${(card.backLang || (card.frontLang === 'de' ? 'ar' : 'de')) === 'ar' && card.noteAr ? `<div class="flashcard-note">${escapeHtml(card.noteAr)}</div>` : ''}
                     ${card.ex ? `<div class="flashcard-example">💡 ${escapeHtml(card.ex)}</div>` : ''}
+                    <div id="flashcardMedia"></div>
                 </div>
             </div>
         </div>
         <div class="card-controls">
             <button class="btn btn-secondary" onclick="prevCard()" ${AppState.currentIdx === 0 ? 'disabled' : ''}>← Zurück</button>
+            <button class="btn btn-secondary" onclick="editCardMedia()" title="Bild/Audio anhängen">📎</button>
             <button class="btn btn-primary" onclick="nextCard()">Weiter →</button>
         </div>
+        <div id="pronPractice"></div>
       </div>
     `;
 
     setupSwipeListeners();
+    Attachments.mount('flashcardMedia', card.id);
+    renderPronPractice(card);
+    Speech.autoplay(AppState.flipped ? card.back : card.front, AppState.flipped ? backLang : card.frontLang);
 }
 
 function flipCard() {
@@ -1513,6 +1780,44 @@ function flipCard() {
     const el = document.getElementById('flashcardEl');
     if (el) el.classList.toggle('flipped', AppState.flipped);
     haptic('light');
+
+    const card = AppState.currentCards[AppState.currentIdx];
+    if (card) {
+        const backLang = card.backLang || (card.frontLang === 'de' ? 'ar' : 'de');
+        Speech.autoplay(AppState.flipped ? card.back : card.front, AppState.flipped ? backLang : card.frontLang);
+        renderPronPractice(card);
+    }
+}
+
+/** Attach an image/audio to the current flashcard */
+function editCardMedia() {
+    const card = AppState.currentCards[AppState.currentIdx];
+    if (!card) return;
+    Attachments.openEditor(card.id, {
+        title: `${card.front} → ${card.back}`,
+        onChange: () => Attachments.mount('flashcardMedia', card.id)
+    });
+}
+
+/** Record/compare controls, only while the Arabic side is showing */
+function renderPronPractice(card) {
+    const el = document.getElementById('pronPractice');
+    if (!el) return;
+    const arabicShown = (card.frontLang === 'ar') !== AppState.flipped;
+    if (!arabicShown) {
+        el.innerHTML = '';
+        el.dataset.cardId = '';
+        return;
+    }
+    Recordings.mount('pronPractice', card.id, card.frontLang === 'ar' ? card.front : card.back);
+}
+
+/** Speak the front or back of the current flashcard */
+function speakCardSide(side) {
+    const card = AppState.currentCards[AppState.currentIdx];
+    if (!card) return;
+    const backLang = card.backLang || (card.frontLang === 'de' ? 'ar' : 'de');
+    Speech.speak(side === 'front' ? card.front : card.back, side === 'front' ? card.frontLang : backLang);
 }
 
 function nextCard() {
@@ -1652,57 +1957,23 @@ function renderCSVCatSelect() {
  * Check if a string contains Arabic characters
  */
 function isArabic(str) {
-    return /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF]/.test(str);
+    return ArabicNormalizer.isArabic(str);
 }
 
 /**
- * Import CSV — auto-detects column order (DE;AR or AR;DE)
- * Auto-detects encoding (UTF-8 → fallback Windows-1252)
- * Creates only DE→AR cards
+ * Import CSV/TSV — opens the import wizard (csv-import.js) for column mapping.
+ * Without a selected chapter the wizard creates one (file name or Kapitel column).
  */
 function importCSV(input) {
     if (!input.files || !input.files[0]) return;
 
     const catId = document.getElementById('csvTargetCat').value;
-    if (!catId) {
-        showToast('⚠️ Bitte zuerst ein Kapitel wählen!', 'warning');
-        input.value = '';
-        return;
-    }
-
     const file = input.files[0];
-
-    // Try UTF-8 first, then fallback to Windows-1252
-    tryReadCSV(file, catId, 'UTF-8', input);
-}
-
-function tryReadCSV(file, catId, encoding, input) {
-    const reader = new FileReader();
-
-    reader.onload = function (e) {
-        const text = e.target.result;
-
-        // Check for garbled text: replacement chars or lots of ? where Arabic should be
-        const hasGarbled = text.includes('\uFFFD') || /\?{2,}/.test(text);
-        const hasArabic = isArabic(text);
-
-        if (encoding === 'UTF-8' && !hasArabic && hasGarbled) {
-            console.log('⚠️ UTF-8 fehlgeschlagen, versuche Windows-1252...');
-            tryReadCSV(file, catId, 'windows-1252', input);
-            return;
-        }
-
-        // If still no Arabic after both encodings, try ISO-8859-6 (Arabic encoding)
-        if (encoding === 'windows-1252' && !hasArabic) {
-            console.log('⚠️ Windows-1252 fehlgeschlagen, versuche ISO-8859-6...');
-            tryReadCSV(file, catId, 'ISO-8859-6', input);
-            return;
-        }
-
-        processCSVText(text, catId, input);
-    };
-
-    reader.readAsText(file, encoding);
+    input.value = '';
+    CsvImport.open(file, catId).catch(e => {
+        console.error('CSV-Import fehlgeschlagen:', e);
+        showToast('❌ CSV konnte nicht gelesen werden', 'error');
+    });
 }
 
 /**
@@ -1726,154 +1997,22 @@ function cleanCSVField(str) {
     return str.trim();
 }
 
-function processCSVText(text, catId, input) {
-    // Remove BOM if present
-    const cleanText = text.replace(/^\uFEFF/, '');
-    const lines = cleanText.split(/\r?\n/).filter(l => l.trim());
-
-    if (lines.length < 1) {
-        showToast('⚠️ CSV ist leer', 'warning');
-        input.value = '';
-        return;
-    }
-
-    // Auto-detect if line 1 is a header: check if it contains Arabic
-    // If first line has no Arabic, it's likely a header → skip it
-    let dataLines;
-    const firstLine = lines[0];
-    if (!isArabic(firstLine) && /[a-zA-ZäöüÄÖÜ]/.test(firstLine)) {
-        dataLines = lines.slice(1); // Skip header
-    } else {
-        dataLines = lines; // No header, all data
-    }
-
-    if (dataLines.length === 0) {
+/**
+ * Add words confirmed in the CSV wizard to the pending list.
+ * Words may carry `chapter`/`unit` names, resolved to categories in createCards().
+ */
+function addCSVWords(words, catId, skipped) {
+    if (words.length === 0) {
         showToast('⚠️ Keine Daten in CSV', 'warning');
-        input.value = '';
         return;
     }
-
-    let imported = 0;
-    let skipped = 0;
-
-    dataLines.forEach(rawLine => {
-        // Clean up Excel quoting: strip surrounding quotes and leading/trailing semicolons
-        let line = rawLine.trim();
-        // Remove wrapping quotes: ";data;data" → ;data;data
-        if (line.startsWith('"') && line.endsWith('"')) {
-            line = line.slice(1, -1).trim();
-        }
-        // Remove leading semicolons: ;data;data → data;data
-        while (line.startsWith(';')) {
-            line = line.slice(1).trim();
-        }
-
-        // Detect separator: try semicolon, then tab, then comma
-        let sep = ';';
-        if (!line.includes(';') && line.includes('\t')) sep = '\t';
-        else if (!line.includes(';') && !line.includes('\t') && line.includes(',')) sep = ',';
-
-        // Split and filter out empty parts (handles double separators like ;;)
-        const parts = line.split(sep).map(s => s.trim()).filter(s => s.length > 0);
-
-        if (parts.length < 2) { skipped++; return; }
-
-        // Find the Arabic part and the German part
-        let de = '', ar = '', ex = '';
-
-        // Check each part for Arabic content
-        const arabicParts = [];
-        const otherParts = [];
-
-        parts.forEach(p => {
-            if (isArabic(p)) {
-                arabicParts.push(p);
-            } else {
-                otherParts.push(p);
-            }
-        });
-
-        if (arabicParts.length > 0 && otherParts.length > 0) {
-            ar = arabicParts.join(' '); // Join if Arabic split across parts
-            de = otherParts[0];
-            ex = otherParts[1] || '';
-        } else {
-            // Fallback: first two non-empty parts
-            de = parts[0];
-            ar = parts[1];
-            ex = parts[2] || '';
-        }
-
-        if (!de || !ar) { skipped++; return; }
-
-        // Auto-clean unwanted characters from fields
-        de = cleanCSVField(de);
-        ar = cleanCSVField(ar);
-        ex = cleanCSVField(ex);
-
-        if (!de || !ar) { skipped++; return; }
-
-        // Extract notes for German AND Arabic distinctly
-        let noteDe = '';
-        let noteAr = '';
-        const dashPatterns = [' - ', ' \u2013 '];
-
-        // --- 1. German Note ---
-        let dashIdx = -1;
-        let dashLen = 0;
-        for (const pat of dashPatterns) {
-            const idx = de.indexOf(pat);
-            if (idx > 0) { dashIdx = idx; dashLen = pat.length; break; }
-        }
-        if (dashIdx < 0) {
-            const bareIdx = de.indexOf('-');
-            if (bareIdx > 0) {
-                const rightPart = de.substring(bareIdx + 1).trim();
-                // Avoid splitting words like "Magen-Darm" if there's no space and the right part is short
-                if (rightPart && rightPart.length > 2) {
-                    dashIdx = bareIdx;
-                    dashLen = 1;
-                }
-            }
-        }
-        if (dashIdx > 0) {
-            noteDe = de.substring(dashIdx + dashLen).trim();
-            de = de.substring(0, dashIdx).trim();
-        }
-
-        // --- 2. Arabic Note ---
-        dashIdx = -1;
-        dashLen = 0;
-        for (const pat of dashPatterns) {
-            const idx = ar.indexOf(pat);
-            if (idx > 0) { dashIdx = idx; dashLen = pat.length; break; }
-        }
-        if (dashIdx < 0) {
-            const bareIdx = ar.indexOf('-');
-            if (bareIdx > 0) {
-                const rightPart = ar.substring(bareIdx + 1).trim();
-                if (rightPart) {
-                    dashIdx = bareIdx;
-                    dashLen = 1;
-                }
-            }
-        }
-        if (dashIdx > 0) {
-            noteAr = ar.substring(dashIdx + dashLen).trim();
-            ar = ar.substring(0, dashIdx).trim();
-        }
-
-        console.log(`📥 Preview: DE="${de}" | AR="${ar}"${noteDe ? ` | NOTEDE="${noteDe}"` : ''}${noteAr ? ` | NOTEAR="${noteAr}"` : ''}`);
-        AppState.pending.push({ de, ar, ex, noteDe, noteAr });
-        imported++;
-    });
+    AppState.pending.push(...words);
 
     // Store the target chapter for later creation
     AppState.csvTargetCat = catId;
 
     Storage.savePending();
     renderPending();
-    input.value = '';
 
     // Scroll to pending list so user sees the preview
     setTimeout(() => {
@@ -1881,14 +2020,98 @@ function processCSVText(text, catId, input) {
         if (pending) pending.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }, 200);
 
-    if (imported > 0) {
-        showToast(`📋 ${imported} Wörter geladen — prüfe unten & klicke "Karten erstellen"!`, 'success');
-    }
+    const tree = planCSVTree(catId, words);
+    const known = Duplicates.find(words.map((w, i) => ({ ...w, cat: tree.nodes[i].key }))).length;
+    const knownInfo = known > 0 ? ` (${known} bereits vorhanden)` : '';
+    showToast(`📋 ${words.length} Wörter geladen${knownInfo} — prüfe unten & klicke "Karten erstellen"!`, 'success');
     if (skipped > 0) {
         showToast(`⚠️ ${skipped} Zeilen übersprungen`, 'warning');
     }
 }
 
+/**
+ * Plan the chapter/unit tree for pending words. `chapter`/`unit` names (CSV columns)
+ * match existing chapters and units by name; unknown ones get id null until
+ * createCSVTree(). Words without names go to `catId` (a chapter or unit).
+ * Every node has a `key` for duplicate checks before it exists: its id, or
+ * 'new:' + lowercased chapter name (or id) [/unit name] for nodes still to be created.
+ * @returns {{ chapters: Array, nodes: Array }} chapters in order of first appearance
+ *   ({ name, icon, id, key, count, units: [{ name, id, key, count }] }) and each word's node
+ */
+function planCSVTree(catId, words) {
+    const target = AppState.categories.find(c => c.id === catId);
+    const targetChapter = target && AppState.categories.find(c => c.id === (target.parentId || target.id));
+    const chapters = [];
+    const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+    const chapterNode = name => {
+        const existing = name ? getGroups().find(g => same(g.name, name)) : targetChapter;
+        let node = chapters.find(n => existing ? n.id === existing.id : !n.id && same(n.name, name));
+        if (!node) {
+            node = {
+                name: existing ? existing.name : name, icon: existing ? existing.icon : '📖',
+                id: existing ? existing.id : null, key: existing ? existing.id : `new:${name.toLowerCase()}`, count: 0, units: []
+            };
+            chapters.push(node);
+        }
+        return node;
+    };
+    const unitNode = (chapter, name, existing) => {
+        if (!existing && chapter.id) existing = getSubcategories(chapter.id).find(u => same(u.name, name));
+        let node = chapter.units.find(n => existing ? n.id === existing.id : !n.id && same(n.name, name));
+        if (!node) {
+            node = {
+                name: existing ? existing.name : name,
+                id: existing ? existing.id : null, key: existing ? existing.id : `new:${chapter.id || chapter.name.toLowerCase()}/${name.toLowerCase()}`, count: 0
+            };
+            chapter.units.push(node);
+        }
+        return node;
+    };
+
+    const nodes = words.map(w => {
+        const chapter = chapterNode(w.chapter);
+        let node = chapter;
+        if (w.unit) node = unitNode(chapter, w.unit);
+        else if (!w.chapter && target.parentId) node = unitNode(chapter, target.name, target);
+        node.count++;
+        return node;
+    });
+    return { chapters, nodes };
+}
+
+/**
+ * Create the chapters and units planned by planCSVTree() that don't exist yet,
+ * appended after the existing ones in order of first appearance. Only nodes of
+ * the words at `indices` (those that become cards) are created, so no empty
+ * chapter is left behind.
+ * @returns {number} number of created categories
+ */
+function createCSVTree(tree, indices) {
+    const newId = () => 'cat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
+    const nextOrder = cats => cats.reduce((max, c) => Math.max(max, (c.order || 0) + 1), 0);
+    const used = new Set(indices.map(i => tree.nodes[i]));
+    let chapterOrder = nextOrder(getGroups());
+    let added = 0;
+    tree.chapters.forEach(chapter => {
+        const units = chapter.units.filter(unit => used.has(unit));
+        if (!used.has(chapter) && units.length === 0) return;
+        if (!chapter.id) {
+            chapter.id = newId();
+            AppState.categories.push({ id: chapter.id, name: chapter.name, icon: chapter.icon, parentId: null, order: chapterOrder++ });
+            added++;
+        }
+        let unitOrder = nextOrder(getSubcategories(chapter.id));
+        units.forEach(unit => {
+            if (unit.id) return;
+            unit.id = newId();
+            AppState.categories.push({ id: unit.id, name: unit.name, icon: '📄', parentId: chapter.id, order: unitOrder++ });
+            added++;
+        });
+    });
+    return added;
+}
+
 
 
 // ===== HELPERS =====
@@ -2669,12 +2892,16 @@ function exportFullJSON() {
             subCards.forEach(card => {
                 exportData.cards.push({
                     unitRef: unitId,
+                    id: card.id,
                     front: card.front,
                     back: card.back,
                     frontLang: card.frontLang || 'de',
+                    ex: card.ex || '',
                     noteDe: card.noteDe || '',
                     noteAr: card.noteAr || '',
-                    note: card.note || ''
+                    note: card.note || '',
+                    tags: card.tags || [],
+                    created: card.created || null
                 });
             });
         });
@@ -2683,12 +2910,16 @@ function exportFullJSON() {
         ownCards.forEach(card => {
             exportData.cards.push({
                 unitRef: null,
+                id: card.id,
                 front: card.front,
                 back: card.back,
                 frontLang: card.frontLang || 'de',
+                ex: card.ex || '',
                 noteDe: card.noteDe || '',
                 noteAr: card.noteAr || '',
-                note: card.note || ''
+                note: card.note || '',
+                tags: card.tags || [],
+                created: card.created || null
             });
         });
     } else {
@@ -2697,12 +2928,16 @@ function exportFullJSON() {
         catCards.forEach(card => {
             exportData.cards.push({
                 unitRef: null,
+                id: card.id,
                 front: card.front,
                 back: card.back,
                 frontLang: card.frontLang || 'de',
+                ex: card.ex || '',
                 noteDe: card.noteDe || '',
                 noteAr: card.noteAr || '',
-                note: card.note || ''
+                note: card.note || '',
+                tags: card.tags || [],
+                created: card.created || null
             });
         });
     }
@@ -2718,6 +2953,13 @@ function exportFullJSON() {
 }
 
 /** Export CSV only (old behavior) */
+function exportAnkiOnly() {
+    const catId = _exportDialogCatId;
+    if (!catId) return;
+    closeModal('exportModal');
+    AnkiPackage.exportChapter(catId);
+}
+
 function exportCSVOnly() {
     const catId = _exportDialogCatId;
     if (!catId) return;
@@ -2797,8 +3039,34 @@ function handleImportFile(input) {
             console.error('ZIP read error:', err);
             showToast('❌ ZIP konnte nicht gelesen werden', 'error');
         });
+    } else if (name.endsWith('.apkg')) {
+        if (typeof JSZip === 'undefined') {
+            showToast('❌ JSZip nicht geladen', 'error');
+            return;
+        }
+        importAnkiPackage(file);
     } else {
-        showToast('❌ Nur .json oder .zip Dateien', 'error');
+        showToast('❌ Nur .json, .zip oder .apkg Dateien', 'error');
+    }
+}
+
+/** Parse an Anki package: sub-decks = units, review state goes to SRS in doImport() */
+async function importAnkiPackage(file) {
+    showToast('⏳ Anki-Paket wird gelesen...', 'info');
+    try {
+        const data = await AnkiPackage.parse(file, file.name.replace(/\.apkg$/i, ''));
+        if (data.cards.length === 0) {
+            showToast('📭 Keine Wortpaare im Anki-Paket gefunden', 'info');
+            return;
+        }
+        if (data.skipped > 0) {
+            showToast(`⚠️ ${data.skipped} Anki-Karten ohne Wortpaar übersprungen (z.B. Lückentext)`, 'warning');
+        }
+        _pendingImportData = data;
+        showImportTargetModal(data);
+    } catch (err) {
+        console.error('Anki import error:', err);
+        showToast('❌ ' + err.message, 'error');
     }
 }
 
@@ -2826,7 +3094,7 @@ async function parseZipImport(zip, zipName) {
             const parts = lines[j].split(/[,;\t]/).map(s => s.trim());
             if (parts.length >= 2 && parts[0] && parts[1]) {
                 // Detect column order: if first col has Arabic chars → ar,de; else de,ar
-                const hasArabic = /[\u0600-\u06FF]/.test(parts[0]);
+                const hasArabic = isArabic(parts[0]);
                 let arVal = hasArabic ? parts[0] : parts[1];
                 let deVal = hasArabic ? parts[1] : parts[0];
                 // Extract note from arabic field
@@ -2852,6 +3120,10 @@ async function parseZipImport(zip, zipName) {
         return;
     }
 
+    // Pronunciation clips (aufnahmen/) and media (anhaenge/), attached to the cards in doImport()
+    data.recordings = await Recordings.readFromZip(zip);
+    data.attachments = await Attachments.readFromZip(zip);
+
     _pendingImportData = data;
     showImportTargetModal(data);
 }
@@ -2893,19 +3165,21 @@ function toggleImportMode() {
 }
 
 /** Execute the import with selected target */
-function doImport() {
+async function doImport() {
     const data = _pendingImportData;
     if (!data) return;
 
     const isNew = document.getElementById('importModeNew').checked;
     let targetChapterId;
     let chapterNameForSummary;
+    // Collected first and only added once the duplicate review is confirmed
+    const newCategories = [];
 
     if (isNew) {
         // Create new chapter
         const name = document.getElementById('importChapterName').value.trim() || data.chapter.name || 'Importiert';
         targetChapterId = 'cat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
-        AppState.categories.push({
+        newCategories.push({
             id: targetChapterId,
             name: name,
             icon: data.chapter.icon || '📖',
@@ -2940,7 +3214,7 @@ function doImport() {
             }
             existingUnitNames.push(unitName.toLowerCase());
 
-            AppState.categories.push({
+            newCategories.push({
                 id: unitId,
                 name: unitName,
                 icon: unit.icon || '📄',
@@ -2951,31 +3225,60 @@ function doImport() {
         });
     }
 
+    // Word pairs per imported card, for the duplicate check
+    const entries = data.cards.map(cardData => {
+        const frontLang = cardData.frontLang || 'de';
+        return {
+            de: frontLang === 'de' ? cardData.front : cardData.back,
+            ar: frontLang === 'de' ? cardData.back : cardData.front,
+            frontLang,
+            cat: (cardData.unitRef && unitIdMap[cardData.unitRef]) || targetChapterId,
+            ex: cardData.ex || '',
+            noteDe: cardData.noteDe || '',
+            noteAr: cardData.noteAr || '',
+            note: cardData.note || ''
+        };
+    });
+    const dupes = await Duplicates.resolve(entries);
+    if (!dupes) return; // Cancelled — import modal stays open
+
+    AppState.categories.push(...newCategories);
+
     // Create cards
     let cardCount = 0;
-    data.cards.forEach(cardData => {
-        let targetCat = targetChapterId;
-        if (cardData.unitRef && unitIdMap[cardData.unitRef]) {
-            targetCat = unitIdMap[cardData.unitRef];
+    const srsStates = []; // review state brought along (Anki)
+    const usedIds = new Set(AppState.cards.map(c => c.id));
+    data.cards.forEach((cardData, i) => {
+        const entry = entries[i];
+        const action = dupes.actions.get(i);
+        if (action) {
+            Duplicates.apply(entry, dupes.matches.get(i), action);
+            return;
         }
 
-        const exists = AppState.cards.some(c =>
-            c.cat === targetCat && c.front === cardData.front && c.back === cardData.back
-        );
-        if (!exists) {
-            AppState.cards.push({
-                id: 'card_' + Date.now() + '_' + Math.random().toString(36).substr(2, 8),
-                cat: targetCat,
-                front: cardData.front,
-                back: cardData.back,
-                frontLang: cardData.frontLang || 'de',
-                backLang: (cardData.frontLang || 'de') === 'de' ? 'ar' : 'de',
-                note: cardData.note || '',
-                score: 0,
-                lastSeen: null
-            });
-            cardCount++;
-        }
+        // Keep the exported ID unless it is already taken (e.g. same file imported twice)
+        const keepId = CardDB.isUuid(cardData.id) && !usedIds.has(cardData.id);
+        const id = keepId ? cardData.id : CardDB.newId();
+        usedIds.add(id);
+        const card = {
+            id,
+            cat: entry.cat,
+            front: cardData.front,
+            back: cardData.back,
+            frontLang: entry.frontLang,
+            backLang: entry.frontLang === 'de' ? 'ar' : 'de',
+            ex: entry.ex,
+            noteDe: entry.noteDe,
+            noteAr: entry.noteAr,
+            note: entry.note,
+            tags: Array.isArray(cardData.tags) ? cardData.tags : [],
+            score: 0,
+            lastSeen: null,
+            created: cardData.created || Date.now()
+        };
+        AppState.cards.push(card);
+        if (cardData.srs) srsStates.push({ card, ...cardData.srs });
+        cardCount++;
     });
 
     Storage.save();
@@ -2983,9 +3286,36 @@ function doImport() {
     closeModal('importTargetModal');
     renderCategories();
 
+    if (srsStates.length > 0) {
+        try {
+            await SrsAdapter.importStates(srsStates);
+        } catch (e) {
+            console.error('SRS-Import fehlgeschlagen:', e);
+        }
+    }
+
+    let recordingCount = 0;
+    let attachmentCount = 0;
+    const hasRecordings = data.recordings && data.recordings.length > 0;
+    const hasAttachments = data.attachments && data.attachments.length > 0;
+    if (hasRecordings || hasAttachments) {
+        const chapterCatIds = new Set([targetChapterId, ...getSubcategories(targetChapterId).map(s => s.id)]);
+        const chapterCards = AppState.cards.filter(c => chapterCatIds.has(c.cat));
+        try {
+            if (hasRecordings) recordingCount = await Recordings.attach(data.recordings, chapterCards);
+            if (hasAttachments) attachmentCount = await Attachments.attach(data.attachments, chapterCards);
+        } catch (e) {
+            console.error('Medien-Import fehlgeschlagen:', e);
+        }
+    }
+
     const unitCount = data.units ? data.units.length : 0;
     const summaryParts = [`${cardCount} Karten`];
     if (unitCount > 0) summaryParts.push(`${unitCount} Einheiten`);
+    if (recordingCount > 0) summaryParts.push(`${recordingCount} Aufnahmen`);
+    if (attachmentCount > 0) summaryParts.push(`${attachmentCount} Anhänge`);
+    if (srsStates.length > 0) summaryParts.push(`${srsStates.length} mit Lernstand`);
+    if (dupes.count > 0) summaryParts.push(Duplicates.describe(dupes));
     summaryParts.push(`→ "${chapterNameForSummary}"`);
     showToast(`✅ Importiert: ${summaryParts.join(', ')}`, 'success');
 }
@@ -3022,9 +3352,16 @@ async function exportZIP(catId, cat, subs) {
     }
 
     try {
+        const chapterCatIds = new Set([catId, ...subs.map(s => s.id)]);
+        const chapterCards = AppState.cards.filter(c => chapterCatIds.has(c.cat));
+        const recordingCount = await Recordings.exportToZip(zip, chapterCards);
+        const attachmentCount = await Attachments.exportToZip(zip, chapterCards);
         const blob = await zip.generateAsync({ type: 'blob' });
         downloadFile(blob, sanitizeFilename(cat.name) + '.zip', 'application/zip');
-        showToast(`📤 ${totalPairs} Karten als ZIP exportiert!`, 'success');
+        const extras = [];
+        if (recordingCount > 0) extras.push(`${recordingCount} Aufnahmen`);
+        if (attachmentCount > 0) extras.push(`${attachmentCount} Anhänge`);
+        showToast(`📤 ${totalPairs} Karten${extras.map(e => ` + ${e}`).join('')} als ZIP exportiert!`, 'success');
     } catch (e) {
         console.error('ZIP export error:', e);
         showToast('❌ Export fehlgeschlagen', 'error');
@@ -3037,7 +3374,7 @@ function buildCSV(cards) {
         let de, ar;
         if (card.frontLang === 'de') { de = card.front; ar = card.back; }
         else { de = card.back; ar = card.front; }
-        const key = `${de}|${ar}`;
+        const key = `${de}|${ar}`; // exact: only the two directions of one pair collapse
         if (!pairMap.has(key)) pairMap.set(key, { ar, de, note: card.note || '' });
     });
 
@@ -3116,11 +3453,14 @@ function _downloadFallback(blob, filename) {
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
 }
-function initApp() {
-    Storage.load();
+async function initApp() {
+    await Storage.load();
     Stats.load();
     renderCategories();
     renderPending();
+    renderArabicStrictness();
+    renderDuplicateScope();
+    OcrLayout.renderToggle();
     setupDragDrop();
 
     // Only register Service Worker in browser context (not in Capacitor native app)
@@ -3141,6 +3481,26 @@ function initApp() {
             .catch(err => console.warn('SW Fehler:', err));
     }
 
+    // Move SRS records from legacy content-hash IDs onto card UUIDs (runs once,
+    // and only against cards that actually loaded)
+    if (Storage.loaded) {
+        SrsAdapter.migrateLegacyIds(AppState.cards)
+            .catch(err => console.warn('SRS ID-Migration fehlgeschlagen:', err));
+    }
+
+    // Drop media of pending words from an earlier session. Only with a readable,
+    // non-empty card list — otherwise every card's media would look orphaned.
+    if (Storage.loaded && AppState.cards.length > 0) {
+        const cardIds = AppState.cards.map(c => c.id);
+        const pendingMediaIds = AppState.pending.map(w => w.mediaId).filter(Boolean);
+        Attachments.prune(new Set([...cardIds, ...pendingMediaIds]))
+            .catch(err => console.warn('Anhänge aufräumen fehlgeschlagen:', err));
+    }
+
+    // Unfinished batch OCR from an earlier session
+    BatchOcr.load()
+        .catch(err => console.warn('Stapel-Scan laden fehlgeschlagen:', err));
+
     // Detect native plugins and show native-only UI
     _initNativePlugins();
 
@@ -0,0 +1,112 @@
+/**
+ * arabic-normalizer.js — Shared normalization for Arabic and German text
+ * Used for deduplication, search and answer checking so that spelling variants
+ * (tashkeel, tatweel, alef/hamza forms, ta marbuta) compare as equal.
+ *
+ * Strictness levels:
+ *   exact    — Unicode NFKC (presentation forms → letters), whitespace only; tashkeel kept
+ *   standard — + tashkeel, Quranic marks and tatweel removed, alef variants → ا
+ *   loose    — + hamza carriers (ؤ → و, ئ → ي, ء dropped), ى → ي, ة → ه,
+ *              Persian letter forms, Arabic-Indic digits → 0–9
+ * The user's default level is stored in localStorage 'arabicStrictness'.
+ */
+const ArabicNormalizer = (() => {
+    'use strict';
+
+    const LEVELS = ['exact', 'standard', 'loose'];
+    const LEVEL_LABELS = { exact: 'Exakt', standard: 'Standard', loose: 'Tolerant' };
+    const DEFAULT_LEVEL = 'standard';
+    const STORAGE_KEY = 'arabicStrictness';
+
+    // Arabic letters incl. supplements, extended-A and presentation forms
+    const ARABIC_REGEX = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+    // Tashkeel (fatha … sukun, shadda, superscript alef), Quranic annotation marks
+    const DIACRITICS_REGEX = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06DC\u06DF-\u06E8\u06EA-\u06ED]/g;
+    const TATWEEL_REGEX = /\u0640/g;
+
+    let _level = null;
+
+    function getLevel() {
+        if (!_level) {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            _level = LEVELS.includes(saved) ? saved : DEFAULT_LEVEL;
+        }
+        return _level;
+    }
+
+    function setLevel(level) {
+        if (!LEVELS.includes(level)) return;
+        _level = level;
+        localStorage.setItem(STORAGE_KEY, level);
+    }
+
+    function isArabic(str) {
+        return ARABIC_REGEX.test(str || '');
+    }
+
+    function stripDiacritics(str) {
+        return (str || '').replace(DIACRITICS_REGEX, '').replace(TATWEEL_REGEX, '');
+    }
+
+    /**
+     * Normalize Arabic text (non-Arabic characters pass through unchanged).
+     * @param {string} str
+     * @param {string} [level] — 'exact' | 'standard' | 'loose', default: user setting
+     */
+    function normalize(str, level) {
+        level = level || getLevel();
+        let s = (str || '').normalize('NFKC').replace(/\s+/g, ' ').trim();
+        if (level === 'exact') return s;
+
+        s = stripDiacritics(s).replace(/[أإآٱ]/g, 'ا');
+        if (level === 'standard') return s;
+
+        return s
+            .replace(/ؤ/g, 'و')
+            .replace(/ئ/g, 'ي')
+            .replace(/ء/g, '')
+            .replace(/ى/g, 'ي')
+            .replace(/ة/g, 'ه')
+            .replace(/ک/g, 'ك')
+            .replace(/ی/g, 'ي')
+            .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+            .replace(/[\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) - 0x06F0));
+    }
+
+    /** German comparison form: case-folded, ß → ss, formatting markers removed */
+    function normalizeGerman(str) {
+        return (str || '')
+            .normalize('NFC')
+            .replace(/\*/g, '')
+            .toLowerCase()
+            .replace(/ß/g, 'ss')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /** Comparison key for text of either language (search, answer matching) */
+    function key(str, level) {
+        return normalize(normalizeGerman(str), level);
+    }
+
+    /** Dedupe key for a DE/AR word pair */
+    function pairKey(de, ar, level) {
+        return `${normalizeGerman(de)}|${key(ar, level)}`;
+    }
+
+    function equals(a, b, level) {
+        return key(a, level) === key(b, level);
+    }
+
+    /** Does `text` contain `query` after normalization? */
+    function includes(text, query, level) {
+        return key(text, level).includes(key(query, level));
+    }
+
+    return {
+        LEVELS, LEVEL_LABELS, ARABIC_REGEX,
+        getLevel, setLevel,
+        isArabic, stripDiacritics, normalize, normalizeGerman,
+        key, pairKey, equals, includes
+    };
+})();
@@ -0,0 +1,485 @@
+/**
+ * attachments.js — Per-card media: one image and one audio clip per card
+ * Blobs live in IndexedDB 'attachments_database' (store: attachments, key
+ * [cardId, kind]). Images come from the camera, a file or a crop of the current
+ * OCR source image (AppState.ocrSource) and are scaled down to JPEG. Shown with
+ * the answer on flashcard, quiz and SRS review; exportToZip()/readFromZip()
+ * carry them through the ZIP export under anhaenge/.
+ */
+const Attachments = (() => {
+    'use strict';
+
+    const DB_NAME = 'attachments_database';
+    const DB_VERSION = 1;
+    const KINDS = { image: '🖼️ Bild', audio: '🔈 Audio' };
+    const MAX_IMAGE_SIZE = 1024;
+    const MAX_AUDIO_BYTES = 5 * 1024 * 1024;
+    const ZIP_FOLDER = 'anhaenge/';
+    let _db = null;
+
+    // ── Open / Upgrade ──────────────────────────────────────────────
+    function init() {
+        if (_db) return Promise.resolve(_db);
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onerror = () => reject(req.error);
+            req.onupgradeneeded = (e) => {
+                const db = e.target.result;
+                if (!db.objectStoreNames.contains('attachments')) {
+                    const store = db.createObjectStore('attachments', { keyPath: ['cardId', 'kind'] });
+                    store.createIndex('cardId', 'cardId', { unique: false });
+                }
+            };
+            req.onsuccess = () => {
+                _db = req.result;
+                resolve(_db);
+            };
+        });
+    }
+
+    function _tx(mode = 'readonly') {
+        return _db.transaction('attachments', mode).objectStore('attachments');
+    }
+
+    function _promisify(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // ── CRUD ────────────────────────────────────────────────────────
+    /** @returns {Promise<Object>} { image?, audio? } records of one card */
+    async function getFor(cardId) {
+        await init();
+        const records = await _promisify(_tx().index('cardId').getAll(cardId));
+        const result = {};
+        records.forEach(r => { result[r.kind] = r; });
+        return result;
+    }
+
+    /** Store (or replace) the image or audio of a card */
+    async function set(cardId, kind, blob, name) {
+        await init();
+        const record = {
+            cardId, kind, blob,
+            mimeType: blob.type || (kind === 'image' ? 'image/jpeg' : 'audio/mpeg'),
+            name: name || '',
+            createdAt: Date.now()
+        };
+        await _promisify(_tx('readwrite').put(record));
+        return record;
+    }
+
+    async function remove(cardId, kind) {
+        await init();
+        return _promisify(_tx('readwrite').delete([cardId, kind]));
+    }
+
+    async function removeFor(cardId) {
+        await init();
+        const media = await getFor(cardId);
+        for (const kind of Object.keys(media)) await remove(cardId, kind);
+    }
+
+    /** Copy all media of one card (or pending word) to another card */
+    async function copy(fromId, toId) {
+        const media = await getFor(fromId);
+        for (const r of Object.values(media)) await set(toId, r.kind, r.blob, r.name);
+        return Object.keys(media).length;
+    }
+
+    /** Delete media whose card (or pending word) no longer exists */
+    async function prune(validIds) {
+        await init();
+        const all = await _promisify(_tx().getAll());
+        const orphans = all.filter(r => !validIds.has(r.cardId));
+        for (const r of orphans) await remove(r.cardId, r.kind);
+        return orphans.length;
+    }
+
+    // ── Image handling ──────────────────────────────────────────────
+    function _loadImage(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Bild konnte nicht geladen werden'));
+            };
+            img.src = url;
+        });
+    }
+
+    /** Draw (a region of) an image into a JPEG of at most MAX_IMAGE_SIZE px */
+    function _toJpeg(img, sx = 0, sy = 0, sw = img.naturalWidth, sh = img.naturalHeight) {
+        const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(sw, sh));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(sw * scale));
+        canvas.height = Math.max(1, Math.round(sh * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+    }
+
+    // ── Display ─────────────────────────────────────────────────────
+    const _hostUrls = new Map(); // host id → object URL of the shown image
+    let _audio = null;
+
+    /**
+     * Show the media of a card (first of `cardIds` that has any) in the element
+     * with id `hostId`. Renders nothing if there is no media.
+     * @param {string|string[]} cardIds — several ids e.g. for a quiz word pair
+     */
+    async function mount(hostId, cardIds) {
+        const el = document.getElementById(hostId);
+        if (!el) return;
+        const ids = Array.isArray(cardIds) ? cardIds : [cardIds];
+        const token = ids.join(',');
+        el.dataset.cardIds = token;
+
+        let cardId = null;
+        let media = {};
+        try {
+            for (const id of ids) {
+                media = await getFor(id);
+                if (media.image || media.audio) {
+                    cardId = id;
+                    break;
+                }
+            }
+        } catch (e) {
+            console.warn('Anhänge laden fehlgeschlagen:', e);
+        }
+        // The view may have moved on to another card meanwhile
+        if (el.dataset.cardIds !== token) return;
+
+        if (_hostUrls.has(hostId)) URL.revokeObjectURL(_hostUrls.get(hostId));
+        _hostUrls.delete(hostId);
+        if (!cardId) {
+            el.innerHTML = '';
+            return;
+        }
+
+        let imageHtml = '';
+        if (media.image) {
+            const url = URL.createObjectURL(media.image.blob);
+            _hostUrls.set(hostId, url);
+            imageHtml = `<img class="card-media-img" src="${url}" alt="">`;
+        }
+        el.innerHTML = `
+            <div class="card-media">
+                ${imageHtml}
+                ${media.audio ? `<button class="pron-btn" onclick="event.stopPropagation(); Attachments.playAudio('${cardId}')">🔈 Audio</button>` : ''}
+            </div>
+        `;
+    }
+
+    async function playAudio(cardId) {
+        const media = await getFor(cardId);
+        if (!media.audio) return;
+        if (_audio) _audio.pause();
+        if (typeof Speech !== 'undefined') Speech.stop();
+        const url = URL.createObjectURL(media.audio.blob);
+        _audio = new Audio(url);
+        _audio.onended = () => URL.revokeObjectURL(url);
+        _audio.play().catch(e => console.warn('Wiedergabe fehlgeschlagen:', e));
+    }
+
+    // ── Editor dialog ───────────────────────────────────────────────
+    let _editor = null; // { cardId, title, onChange, previewUrl }
+    let _crop = null;   // { img, scale, start, rect } while cropping
+
+    /**
+     * Edit the image/audio of a card or pending word.
+     * @param {Object} [opts] — { title, onChange(hasMedia) }
+     */
+    function openEditor(cardId, opts = {}) {
+        _editor = { cardId, title: opts.title || '', onChange: opts.onChange || null, previewUrl: null };
+        _crop = null;
+
+        let modal = document.getElementById('attachmentModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'attachmentModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>📎 Anhänge</h3>
+                ${_editor.title ? `<p class="media-editor-title">${renderFormattedText(_editor.title)}</p>` : ''}
+                <div id="mediaEditorBody"></div>
+                <button class="btn btn-secondary" onclick="Attachments._closeEditor()">Schließen</button>
+            </div>
+        `;
+        modal.classList.add('active');
+        _renderEditor();
+    }
+
+    async function _renderEditor() {
+        const body = document.getElementById('mediaEditorBody');
+        if (!body || !_editor) return;
+        const media = await getFor(_editor.cardId);
+
+        if (_editor.previewUrl) URL.revokeObjectURL(_editor.previewUrl);
+        _editor.previewUrl = media.image ? URL.createObjectURL(media.image.blob) : null;
+        const canCrop = !!AppState.ocrSource;
+
+        body.innerHTML = `
+            <div class="media-editor-section">
+                <label>${KINDS.image}</label>
+                ${_editor.previewUrl
+                    ? `<img class="media-editor-preview" src="${_editor.previewUrl}" alt="">`
+                    : '<div class="media-editor-empty">Kein Bild</div>'}
+                <div class="media-editor-actions">
+                    <button class="btn btn-secondary btn-small" onclick="Attachments._pick('image', true)">📷 Kamera</button>
+                    <button class="btn btn-secondary btn-small" onclick="Attachments._pick('image')">📁 Datei</button>
+                    ${canCrop ? '<button class="btn btn-secondary btn-small" onclick="Attachments._startCrop()">✂️ Aus Scan</button>' : ''}
+                    ${media.image ? `<button class="btn btn-secondary btn-small" onclick="Attachments._remove('image')">🗑</button>` : ''}
+                </div>
+            </div>
+            <div class="media-editor-section">
+                <label>${KINDS.audio}</label>
+                ${media.audio
+                    ? `<div class="media-editor-audio">
+                           <button class="pron-btn" onclick="Attachments.playAudio('${_editor.cardId}')">▶️ Abspielen</button>
+                           <span>${escapeHtml(media.audio.name)}</span>
+                       </div>`
+                    : '<div class="media-editor-empty">Kein Audio</div>'}
+                <div class="media-editor-actions">
+                    <button class="btn btn-secondary btn-small" onclick="Attachments._pick('audio')">📁 Datei</button>
+                    ${media.audio ? `<button class="btn btn-secondary btn-small" onclick="Attachments._remove('audio')">🗑</button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /** Open a file picker (or the camera) for an image or audio file */
+    function _pick(kind, camera) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = kind === 'image' ? 'image/*' : 'audio/*';
+        if (camera) input.setAttribute('capture', 'environment');
+        input.onchange = () => {
+            if (input.files && input.files[0]) _storeFile(kind, input.files[0]);
+        };
+        input.click();
+    }
+
+    async function _storeFile(kind, file) {
+        if (!_editor) return;
+        try {
+            if (kind === 'image') {
+                const img = await _loadImage(file);
+                await set(_editor.cardId, 'image', await _toJpeg(img), file.name);
+            } else {
+                if (file.size > MAX_AUDIO_BYTES) {
+                    showToast('⚠️ Audio zu groß (max. 5 MB)', 'warning');
+                    return;
+                }
+                await set(_editor.cardId, 'audio', file, file.name);
+            }
+            _changed();
+        } catch (e) {
+            console.error('Anhang speichern fehlgeschlagen:', e);
+            showToast('❌ ' + e.message, 'error');
+        }
+    }
+
+    async function _remove(kind) {
+        if (!_editor) return;
+        await remove(_editor.cardId, kind);
+        _changed();
+    }
+
+    async function _changed() {
+        await _renderEditor();
+        if (_editor && _editor.onChange) {
+            const media = await getFor(_editor.cardId);
+            _editor.onChange(!!(media.image || media.audio));
+        }
+    }
+
+    function _closeEditor() {
+        if (_editor && _editor.previewUrl) URL.revokeObjectURL(_editor.previewUrl);
+        _editor = null;
+        _crop = null;
+        closeModal('attachmentModal');
+    }
+
+    // ── Crop from OCR source ────────────────────────────────────────
+    async function _startCrop() {
+        const body = document.getElementById('mediaEditorBody');
+        if (!body || !AppState.ocrSource) return;
+        let img;
+        try {
+            img = await _loadImage(AppState.ocrSource);
+        } catch (e) {
+            showToast('❌ ' + e.message, 'error');
+            return;
+        }
+
+        body.innerHTML = `
+            <p class="media-crop-hint">Rahmen um das Motiv ziehen</p>
+            <canvas id="mediaCropCanvas" class="media-crop-canvas"></canvas>
+            <div class="media-editor-actions">
+                <button class="btn btn-primary btn-small" onclick="Attachments._applyCrop()">✂️ Übernehmen</button>
+                <button class="btn btn-secondary btn-small" onclick="Attachments._cancelCrop()">Abbrechen</button>
+            </div>
+        `;
+        const canvas = document.getElementById('mediaCropCanvas');
+        const width = Math.min(body.clientWidth || 320, img.naturalWidth);
+        const scale = width / img.naturalWidth;
+        canvas.width = width;
+        canvas.height = Math.round(img.naturalHeight * scale);
+        _crop = { img, scale, start: null, rect: null };
+
+        const point = (e) => {
+            const box = canvas.getBoundingClientRect();
+            return {
+                x: Math.max(0, Math.min(canvas.width, (e.clientX - box.left) * canvas.width / box.width)),
+                y: Math.max(0, Math.min(canvas.height, (e.clientY - box.top) * canvas.height / box.height))
+            };
+        };
+        canvas.addEventListener('pointerdown', e => {
+            canvas.setPointerCapture(e.pointerId);
+            _crop.start = point(e);
+            _crop.rect = null;
+        });
+        canvas.addEventListener('pointermove', e => {
+            if (!_crop || !_crop.start) return;
+            const p = point(e);
+            _crop.rect = {
+                x: Math.min(p.x, _crop.start.x), y: Math.min(p.y, _crop.start.y),
+                w: Math.abs(p.x - _crop.start.x), h: Math.abs(p.y - _crop.start.y)
+            };
+            _drawCrop();
+        });
+        canvas.addEventListener('pointerup', () => { if (_crop) _crop.start = null; });
+        _drawCrop();
+    }
+
+    function _drawCrop() {
+        const canvas = document.getElementById('mediaCropCanvas');
+        if (!canvas || !_crop) return;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(_crop.img, 0, 0, canvas.width, canvas.height);
+        const r = _crop.rect;
+        if (!r) return;
+        // Dim everything outside the selection
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.fillRect(0, 0, canvas.width, r.y);
+        ctx.fillRect(0, r.y + r.h, canvas.width, canvas.height - r.y - r.h);
+        ctx.fillRect(0, r.y, r.x, r.h);
+        ctx.fillRect(r.x + r.w, r.y, canvas.width - r.x - r.w, r.h);
+        ctx.strokeStyle = '#d4a843';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(r.x, r.y, r.w, r.h);
+    }
+
+    async function _applyCrop() {
+        if (!_editor || !_crop) return;
+        const r = _crop.rect;
+        if (!r || r.w < 10 || r.h < 10) {
+            showToast('⚠️ Bitte einen Bereich aufziehen', 'warning');
+            return;
+        }
+        const s = _crop.scale;
+        const blob = await _toJpeg(_crop.img, r.x / s, r.y / s, r.w / s, r.h / s);
+        _crop = null;
+        await set(_editor.cardId, 'image', blob, 'scan.jpg');
+        _changed();
+    }
+
+    function _cancelCrop() {
+        _crop = null;
+        _renderEditor();
+    }
+
+    // ── ZIP export / import ─────────────────────────────────────────
+    function _extension(record) {
+        const fromName = (record.name || '').match(/\.([a-z0-9]{2,4})$/i);
+        if (fromName) return fromName[1].toLowerCase();
+        if (record.kind === 'image') return 'jpg';
+        if (/ogg/.test(record.mimeType)) return 'ogg';
+        if (/wav/.test(record.mimeType)) return 'wav';
+        if (/mp4|aac|m4a/.test(record.mimeType)) return 'm4a';
+        return 'mp3';
+    }
+
+    /**
+     * Add the media of `cards` to a JSZip under anhaenge/ with an index.json
+     * naming card and word pair for each file.
+     * @returns {Promise<number>} number of files written
+     */
+    async function exportToZip(zip, cards) {
+        const index = [];
+        for (const card of cards) {
+            const media = await getFor(card.id);
+            const de = card.frontLang === 'ar' ? card.back : card.front;
+            const ar = card.frontLang === 'ar' ? card.front : card.back;
+            Object.values(media).forEach(r => {
+                const file = `${sanitizeFilename(de)}_${card.id.slice(0, 8)}_${r.kind}.${_extension(r)}`;
+                zip.file(ZIP_FOLDER + file, r.blob);
+                index.push({ file, kind: r.kind, cardId: card.id, de, ar, frontLang: card.frontLang, mimeType: r.mimeType, name: r.name });
+            });
+        }
+        if (index.length > 0) zip.file(ZIP_FOLDER + 'index.json', JSON.stringify(index, null, 2));
+        return index.length;
+    }
+
+    /**
+     * Read media from a ZIP written by exportToZip().
+     * @returns {Promise<Array>} [{ kind, blob, de, ar, frontLang, mimeType, name }]
+     */
+    async function readFromZip(zip) {
+        const indexFile = zip.file(ZIP_FOLDER + 'index.json');
+        if (!indexFile) return [];
+        let index;
+        try {
+            index = JSON.parse(await indexFile.async('text'));
+        } catch (e) {
+            console.warn('Anhänge-Index unlesbar:', e);
+            return [];
+        }
+        const items = [];
+        for (const entry of Array.isArray(index) ? index : []) {
+            const file = zip.file(ZIP_FOLDER + entry.file);
+            if (!file || !KINDS[entry.kind]) continue;
+            const data = await file.async('blob');
+            items.push({ ...entry, blob: new Blob([data], { type: entry.mimeType || '' }) });
+        }
+        return items;
+    }
+
+    /**
+     * Attach imported media to cards by word pair (same direction preferred).
+     * @returns {Promise<number>} number of files stored
+     */
+    async function attach(items, cards) {
+        const lookup = Duplicates.cardLookup(cards);
+        let stored = 0;
+        for (const item of items) {
+            const card = lookup(item.de, item.ar, item.frontLang);
+            if (!card) continue;
+            await set(card.id, item.kind, item.blob, item.name);
+            stored++;
+        }
+        return stored;
+    }
+
+    return {
+        KINDS,
+        init, getFor, set, remove, removeFor, copy, prune,
+        mount, playAudio, openEditor,
+        exportToZip, readFromZip, attach,
+        _pick, _remove, _closeEditor, _startCrop, _applyCrop, _cancelCrop
+    };
+})();
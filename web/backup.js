@@ -0,0 +1,485 @@
+/**
+ * backup.js — full backup / restore of all app data in one ZIP
+ * Archive (format 'lern-app-backup', version 1):
+ *   manifest.json          type, version, createdAt, counts
+ *   data/cards.json        { categories, cards }
+ *   data/srs.json          SrsDB.exportAll() — cards, meta, reviews
+ *   data/stats.json        Stats.data
+ *   data/settings.json     settings and reading positions from localStorage
+ *                          (OCR API keys are left out and kept on restore)
+ *   ebooks/index.json      book records without data; files next to it
+ *   aufnahmen/, anhaenge/  Recordings / Attachments (exportToZip)
+ * Restore validates the archive, shows a diff against the local data and then
+ * replaces everything or merges (adds what is missing, local records win).
+ * Cards whose chapter is missing are moved to an „Ohne Kapitel“ chapter.
+ */
+const Backup = (() => {
+    'use strict';
+
+    const FORMAT = 'lern-app-backup';
+    const VERSION = 1;
+    // localStorage keys carried in the backup (settings + reading positions)
+    const SETTINGS_KEYS = [
+        'speechSettings', 'arabicStrictness', 'duplicateScope', 'csvPresets', 'ocrSettings', 'ocrLayouts',
+        'quizSettings', 'quizAnswerMode', 'quizConfusions',
+        'ebookTheme', 'ebookFontSize', 'quranPage', 'flashcard_resume'
+    ];
+    const EBOOK_FOLDER = 'ebooks/';
+    // Cards whose chapter is missing from the archive are moved here on import
+    const ORPHAN_CATEGORY = { id: 'backup-ohne-kapitel', name: 'Ohne Kapitel', icon: '📦' };
+
+    let _pending = null; // archive waiting for the replace/merge decision
+
+    /** localStorage value as carried in a backup — OCR API keys stay on the device */
+    function _settingValue(key) {
+        const value = localStorage.getItem(key);
+        if (key !== OcrProviders.STORAGE_KEY || value === null) return value;
+        try {
+            return JSON.stringify(OcrProviders.withoutSecrets(JSON.parse(value)));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /** Backup value to write for `key`; OCR settings keep the local API keys */
+    function _restoredValue(key, value) {
+        const local = localStorage.getItem(key);
+        if (key !== OcrProviders.STORAGE_KEY || local === null) return value;
+        try {
+            return JSON.stringify(OcrProviders.withSecretsFrom(JSON.parse(value), JSON.parse(local)));
+        } catch (e) {
+            return value;
+        }
+    }
+
+    // ── Export ──────────────────────────────────────────────────────
+    async function exportAll() {
+        showToast('⏳ Backup wird erstellt...', 'info');
+        try {
+            await Storage.save();
+            const zip = new JSZip();
+
+            const srs = await SrsDB.exportAll();
+            const settings = {};
+            SETTINGS_KEYS.forEach(key => {
+                const value = _settingValue(key);
+                if (value !== null) settings[key] = value;
+            });
+
+            zip.file('data/cards.json', JSON.stringify({ categories: AppState.categories, cards: AppState.cards }));
+            zip.file('data/srs.json', JSON.stringify({ cards: srs.cards, meta: srs.meta, reviews: srs.reviews }));
+            zip.file('data/stats.json', JSON.stringify(Stats.data));
+            zip.file('data/settings.json', JSON.stringify(settings));
+
+            // Older entries keep the file as book.blob instead of book.data
+            const ebooks = [];
+            let skippedBooks = 0;
+            for (const book of await EbookDB.list()) {
+                const { data, blob, ...meta } = book;
+                const content = data || (blob ? await blob.arrayBuffer() : null);
+                if (!content) {
+                    skippedBooks++;
+                    continue;
+                }
+                const file = `${ebooks.length + 1}_${sanitizeFilename(book.name)}.${book.format || 'bin'}`;
+                zip.file(EBOOK_FOLDER + file, content);
+                ebooks.push({ ...meta, type: meta.type || (blob && blob.type) || undefined, file });
+            }
+            zip.file(EBOOK_FOLDER + 'index.json', JSON.stringify(ebooks, null, 2));
+
+            const recordings = await Recordings.exportToZip(zip, AppState.cards);
+            const attachments = await Attachments.exportToZip(zip, AppState.cards);
+
+            const counts = {
+                categories: AppState.categories.length,
+                cards: AppState.cards.length,
+                srsCards: srs.cards.length,
+                reviews: srs.reviews.length,
+                ebooks: ebooks.length,
+                skippedEbooks: skippedBooks,
+                recordings,
+                attachments
+            };
+            zip.file('manifest.json', JSON.stringify({ type: FORMAT, version: VERSION, createdAt: new Date().toISOString(), counts }, null, 2));
+
+            const blob = await zip.generateAsync({ type: 'blob' });
+            downloadFile(blob, `lern-app-backup_${new Date().toISOString().split('T')[0]}.zip`, 'application/zip');
+            const skipped = skippedBooks > 0 ? ` (${skippedBooks} ohne Daten übersprungen)` : '';
+            showToast(`💾 Backup: ${counts.cards} Karten, ${counts.reviews} Wiederholungen, ${counts.ebooks} Bücher${skipped}`, skippedBooks > 0 ? 'warning' : 'success');
+        } catch (e) {
+            console.error('Backup fehlgeschlagen:', e);
+            showToast('❌ Backup fehlgeschlagen', 'error');
+        }
+    }
+
+    // ── Read & validate ─────────────────────────────────────────────
+    async function _readJSON(zip, path, required) {
+        const file = zip.file(path);
+        if (!file) {
+            if (required) throw new Error(`${path} fehlt`);
+            return null;
+        }
+        try {
+            return JSON.parse(await file.async('text'));
+        } catch (e) {
+            throw new Error(`${path} ist beschädigt`);
+        }
+    }
+
+    /**
+     * Open and validate a backup archive.
+     * @throws {Error} with a user-facing message when the archive is unusable
+     */
+    async function read(file) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(file);
+        } catch (e) {
+            throw new Error('Keine gültige ZIP-Datei');
+        }
+
+        const manifest = await _readJSON(zip, 'manifest.json', true);
+        if (!manifest || manifest.type !== FORMAT) throw new Error('Kein Backup dieser App');
+        if (!(manifest.version >= 1)) throw new Error('Unbekannte Backup-Version');
+        if (manifest.version > VERSION) throw new Error('Backup stammt aus einer neueren App-Version');
+
+        const data = await _readJSON(zip, 'data/cards.json', true);
+        if (!data || !Array.isArray(data.categories) || !Array.isArray(data.cards)) {
+            throw new Error('data/cards.json hat ein falsches Format');
+        }
+        const catIds = new Set(data.categories.map(c => c && c.id));
+        if (catIds.has(undefined) || catIds.size !== data.categories.length) {
+            throw new Error('Kapitel ohne oder mit doppelter ID');
+        }
+        // Unusable entries are dropped; cards without a valid chapter are re-homed
+        const categories = data.categories.slice();
+        const cards = data.cards.filter(c => c && typeof c === 'object');
+        const droppedCards = data.cards.length - cards.length;
+        cards.forEach(c => { if (!c.id) c.id = CardDB.newId(); });
+        const orphans = cards.filter(c => !catIds.has(c.cat));
+        if (orphans.length > 0) {
+            if (!catIds.has(ORPHAN_CATEGORY.id)) {
+                const order = categories.filter(c => !c.parentId).length;
+                categories.push({ ...ORPHAN_CATEGORY, parentId: null, order });
+            }
+            orphans.forEach(c => { c.cat = ORPHAN_CATEGORY.id; });
+            console.warn(`Backup: ${orphans.length} Karten ohne gültiges Kapitel → „${ORPHAN_CATEGORY.name}“`);
+        }
+
+        const srs = await _readJSON(zip, 'data/srs.json', false) || {};
+        const ebooks = await _readJSON(zip, EBOOK_FOLDER + 'index.json', false);
+        const missingBooks = (Array.isArray(ebooks) ? ebooks : []).filter(b => !b.id || !zip.file(EBOOK_FOLDER + b.file));
+        if (missingBooks.length > 0) throw new Error(`${missingBooks.length} Bücher fehlen im Archiv`);
+
+        return {
+            zip,
+            manifest,
+            categories,
+            cards,
+            repaired: { orphans: orphans.length, dropped: droppedCards },
+            srs: {
+                cards: Array.isArray(srs.cards) ? srs.cards : [],
+                meta: Array.isArray(srs.meta) ? srs.meta : [],
+                reviews: Array.isArray(srs.reviews) ? srs.reviews : []
+            },
+            stats: await _readJSON(zip, 'data/stats.json', false),
+            settings: await _readJSON(zip, 'data/settings.json', false) || {},
+            ebooks: Array.isArray(ebooks) ? ebooks : []
+        };
+    }
+
+    // ── Diff ────────────────────────────────────────────────────────
+    /** Compare records by id: { total, added, changed, localOnly } */
+    function _diffById(incoming, local) {
+        const localById = new Map(local.map(r => [r.id, JSON.stringify(r)]));
+        const incomingIds = new Set();
+        let added = 0;
+        let changed = 0;
+        incoming.forEach(r => {
+            incomingIds.add(r.id);
+            if (!localById.has(r.id)) added++;
+            else if (localById.get(r.id) !== JSON.stringify(r)) changed++;
+        });
+        const localOnly = local.filter(r => !incomingIds.has(r.id)).length;
+        return { total: incoming.length, added, changed, localOnly };
+    }
+
+    const _reviewKey = r => `${r.cardId}|${r.timestamp}`;
+
+    async function diff(archive) {
+        const local = await SrsDB.exportAll();
+        const books = await EbookDB.list();
+        const localReviews = new Set(local.reviews.map(_reviewKey));
+        const backupReviews = new Set(archive.srs.reviews.map(_reviewKey));
+        const localDays = Object.keys(Stats.data.history || {});
+        const backupDays = Object.keys((archive.stats && archive.stats.history) || {});
+        const localSettings = SETTINGS_KEYS.filter(key => localStorage.getItem(key) !== null);
+        const backupSettings = Object.keys(archive.settings).filter(key => SETTINGS_KEYS.includes(key));
+
+        return {
+            categories: _diffById(archive.categories, AppState.categories),
+            cards: _diffById(archive.cards, AppState.cards),
+            srsCards: _diffById(archive.srs.cards, local.cards),
+            reviews: {
+                total: archive.srs.reviews.length,
+                added: archive.srs.reviews.filter(r => !localReviews.has(_reviewKey(r))).length,
+                changed: 0,
+                localOnly: local.reviews.filter(r => !backupReviews.has(_reviewKey(r))).length
+            },
+            ebooks: _diffById(archive.ebooks.map(b => ({ id: b.id })), books.map(b => ({ id: b.id }))),
+            statsDays: {
+                total: backupDays.length,
+                added: backupDays.filter(d => !localDays.includes(d)).length,
+                changed: backupDays.filter(d => localDays.includes(d) &&
+                    JSON.stringify(archive.stats.history[d]) !== JSON.stringify(Stats.data.history[d])).length,
+                localOnly: localDays.filter(d => !backupDays.includes(d)).length
+            },
+            settings: {
+                total: backupSettings.length,
+                added: backupSettings.filter(key => !localSettings.includes(key)).length,
+                changed: backupSettings.filter(key => localSettings.includes(key) && _settingValue(key) !== archive.settings[key]).length,
+                localOnly: localSettings.filter(key => !backupSettings.includes(key)).length
+            }
+        };
+    }
+
+    // ── Restore ─────────────────────────────────────────────────────
+    /** Merge two lists by id; records in `base` win */
+    function _mergeById(base, incoming) {
+        const ids = new Set(base.map(r => r.id));
+        return base.concat(incoming.filter(r => !ids.has(r.id)));
+    }
+
+    async function _restoreCards(archive, replace) {
+        const categories = replace ? archive.categories : _mergeById(AppState.categories, archive.categories);
+        const cards = replace ? archive.cards : _mergeById(AppState.cards, archive.cards);
+        await Storage.save();
+        await CardDB.replaceAll(categories, cards);
+        AppState.categories = categories;
+        AppState.cards = cards;
+        Storage._snapshot();
+    }
+
+    async function _restoreSrs(archive, replace) {
+        if (replace) {
+            await SrsDB.clearAll();
+            return SrsDB.importAll(archive.srs);
+        }
+        const local = await SrsDB.exportAll();
+        const localCards = new Map(local.cards.map(c => [c.id, c]));
+        const localMeta = new Set(local.meta.map(m => m.key));
+        const localReviews = new Set(local.reviews.map(_reviewKey));
+        return SrsDB.importAll({
+            // Keep whichever side was reviewed more recently
+            cards: archive.srs.cards.filter(c => {
+                const mine = localCards.get(c.id);
+                return !mine || (c.lastReviewed || 0) > (mine.lastReviewed || 0);
+            }),
+            meta: archive.srs.meta.filter(m => !localMeta.has(m.key)),
+            // Review ids are auto-increment keys — drop them so nothing is overwritten
+            reviews: archive.srs.reviews
+                .filter(r => !localReviews.has(_reviewKey(r)))
+                .map(({ id, ...review }) => review)
+        });
+    }
+
+    function _restoreStats(archive, replace) {
+        if (!archive.stats) return;
+        if (replace) {
+            Stats.data = { ...Stats.data, ...archive.stats };
+        } else {
+            // Per day keep the entry with more activity
+            const history = { ...(archive.stats.history || {}) };
+            Object.entries(Stats.data.history || {}).forEach(([day, entry]) => {
+                const other = history[day];
+                if (!other || (entry.learned || 0) >= (other.learned || 0)) history[day] = entry;
+            });
+            Stats.data.history = history;
+            Stats.data.streak = Math.max(Stats.data.streak || 0, archive.stats.streak || 0);
+            if ((archive.stats.lastActiveDate || '') > (Stats.data.lastActiveDate || '')) {
+                Stats.data.lastActiveDate = archive.stats.lastActiveDate;
+            }
+        }
+        Stats.save();
+    }
+
+    function _restoreSettings(archive, replace) {
+        SETTINGS_KEYS.forEach(key => {
+            const value = archive.settings[key];
+            if (typeof value === 'string') {
+                if (replace || localStorage.getItem(key) === null) localStorage.setItem(key, _restoredValue(key, value));
+            } else if (replace) {
+                localStorage.removeItem(key);
+            }
+        });
+    }
+
+    async function _restoreEbooks(archive, replace) {
+        const local = await EbookDB.list();
+        if (replace) {
+            for (const book of local) await EbookDB.delete(book.id);
+        }
+        const existing = new Set(replace ? [] : local.map(b => b.id));
+        let restored = 0;
+        for (const entry of archive.ebooks) {
+            if (existing.has(entry.id)) continue;
+            const { file, ...meta } = entry;
+            const data = await archive.zip.file(EBOOK_FOLDER + file).async('arraybuffer');
+            await EbookDB.save({ ...meta, data });
+            restored++;
+        }
+        return restored;
+    }
+
+    /** Recordings and attachments are keyed by card id, which the backup preserves */
+    async function _restoreMedia(archive, replace) {
+        const cardIds = new Set(AppState.cards.map(c => c.id));
+        if (replace) {
+            await Recordings.prune(new Set());
+            await Attachments.prune(new Set());
+        }
+        let restored = 0;
+        for (const clip of await Recordings.readFromZip(archive.zip)) {
+            if (!cardIds.has(clip.cardId)) continue;
+            const existing = replace ? [] : await Recordings.listFor(clip.cardId);
+            if (existing.some(c => c.createdAt === clip.createdAt)) continue;
+            await Recordings.add(clip);
+            restored++;
+        }
+        for (const item of await Attachments.readFromZip(archive.zip)) {
+            if (!cardIds.has(item.cardId)) continue;
+            if (!replace && (await Attachments.getFor(item.cardId))[item.kind]) continue;
+            await Attachments.set(item.cardId, item.kind, item.blob, item.name);
+            restored++;
+        }
+        return restored;
+    }
+
+    /**
+     * Write an archive into the app.
+     * @param {'replace'|'merge'} mode — replace drops everything not in the backup
+     */
+    async function restore(archive, mode) {
+        const replace = mode === 'replace';
+        await _restoreCards(archive, replace);
+        await _restoreSrs(archive, replace);
+        _restoreStats(archive, replace);
+        _restoreSettings(archive, replace);
+        const ebooks = await _restoreEbooks(archive, replace);
+        const media = await _restoreMedia(archive, replace);
+        return { ebooks, media };
+    }
+
+    // ── UI ──────────────────────────────────────────────────────────
+    function pickFile() {
+        let input = document.getElementById('backupFileInput');
+        if (!input) {
+            input = document.createElement('input');
+            input.type = 'file';
+            input.id = 'backupFileInput';
+            input.accept = '.zip';
+            input.style.display = 'none';
+            input.onchange = () => {
+                const file = input.files && input.files[0];
+                input.value = '';
+                if (file) open(file);
+            };
+            document.body.appendChild(input);
+        }
+        input.click();
+    }
+
+    /** Validate a backup file and show the diff with replace/merge choices */
+    async function open(file) {
+        let archive;
+        try {
+            archive = await read(file);
+        } catch (e) {
+            console.error('Backup ungültig:', e);
+            showToast(`❌ Backup ungültig: ${e.message}`, 'error');
+            return;
+        }
+        _pending = archive;
+        _renderDialog(archive, await diff(archive));
+    }
+
+    function _renderDialog(archive, d) {
+        let modal = document.getElementById('backupModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'backupModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+
+        const rows = [
+            ['📚 Kapitel & Einheiten', d.categories],
+            ['🃏 Karten', d.cards],
+            ['🧠 Lernstand (SRS)', d.srsCards],
+            ['🔁 Wiederholungen', d.reviews],
+            ['📈 Statistik-Tage', d.statsDays],
+            ['⚙️ Einstellungen', d.settings],
+            ['📖 Bücher', d.ebooks]
+        ];
+        const created = new Date(archive.manifest.createdAt);
+        const m = archive.manifest.counts || {};
+        const mediaInfo = (m.recordings || m.attachments) ? ` · ${m.recordings || 0} Aufnahmen, ${m.attachments || 0} Anhänge` : '';
+        const { orphans, dropped } = archive.repaired;
+        const repairInfo = [
+            orphans > 0 ? `${orphans} Karten ohne gültiges Kapitel kommen nach „${ORPHAN_CATEGORY.name}“` : '',
+            dropped > 0 ? `${dropped} unlesbare Karten werden übersprungen` : ''
+        ].filter(Boolean).join('<br>');
+
+        modal.innerHTML = `
+            <div class="modal-content backup-modal">
+                <h3>♻️ Backup wiederherstellen</h3>
+                <p class="backup-hint">Erstellt am ${isNaN(created) ? '?' : created.toLocaleString('de-DE')}${mediaInfo}</p>
+                ${repairInfo ? `<p class="backup-hint">⚠️ ${repairInfo}</p>` : ''}
+                <table class="backup-diff">
+                    <tr><th></th><th>Backup</th><th>Neu</th><th>Anders</th><th>Nur hier</th></tr>
+                    ${rows.map(([label, r]) => `
+                        <tr><td>${label}</td><td>${r.total}</td><td>${r.added}</td><td>${r.changed}</td><td>${r.localOnly}</td></tr>
+                    `).join('')}
+                </table>
+                <p class="backup-hint">
+                    <b>Ersetzen</b> stellt den Stand des Backups her — „Nur hier“ wird gelöscht.<br>
+                    <b>Zusammenführen</b> ergänzt nur Neues, vorhandene Daten bleiben.
+                </p>
+                <button class="btn btn-primary mb-sm" onclick="Backup._apply('merge')">➕ Zusammenführen</button>
+                <button class="btn btn-secondary mb-sm backup-replace" onclick="Backup._apply('replace')">♻️ Alles ersetzen</button>
+                <button class="btn btn-secondary" onclick="Backup._cancel()">Abbrechen</button>
+            </div>
+        `;
+        modal.classList.add('active');
+    }
+
+    async function _apply(mode) {
+        if (!_pending) return;
+        if (mode === 'replace' && !confirm('Alle Daten durch das Backup ersetzen? Das kann nicht rückgängig gemacht werden.')) return;
+        const archive = _pending;
+        _pending = null;
+        closeModal('backupModal');
+        showToast('⏳ Backup wird wiederhergestellt...', 'info');
+        try {
+            const result = await restore(archive, mode);
+            renderCategories();
+            showToast(`✅ Backup ${mode === 'replace' ? 'wiederhergestellt' : 'zusammengeführt'} · ${result.ebooks} Bücher, ${result.media} Medien — App lädt neu`, 'success');
+            // Modules cache settings and SRS state; start over from the restored data
+            setTimeout(() => location.reload(), 2000);
+        } catch (e) {
+            console.error('Wiederherstellung fehlgeschlagen:', e);
+            showToast('❌ Wiederherstellung fehlgeschlagen', 'error');
+        }
+    }
+
+    function _cancel() {
+        _pending = null;
+        closeModal('backupModal');
+    }
+
+    return {
+        FORMAT, VERSION, SETTINGS_KEYS,
+        exportAll, read, diff, restore, pickFile, open,
+        _apply, _cancel
+    };
+})();
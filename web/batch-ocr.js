@@ -0,0 +1,436 @@
+/**
+ * batch-ocr.js — Batch OCR of many photos or a PDF page range
+ * One batch at a time, kept in IndexedDB 'batch_ocr_database' (stores: job,
+ * pages) so a reload doesn't lose work: photos and the PDF are stored with
+ * the queue, pages interrupted by a reload go back to the queue. Pages run
+ * one after another; pause stops after the current page, failed pages can be
+ * retried. Each finished page's words go straight to the pending list with
+ * `chapter` / `unit` set, so createCards() files them into that unit and
+ * creates chapter and unit if they don't exist yet (planCSVTree).
+ * The words are also kept on the page record: the pending list lives in
+ * sessionStorage, so after the tab was closed load() puts them back. They are
+ * dropped (release) once the pending list was turned into cards or discarded.
+ */
+const BatchOcr = (() => {
+    'use strict';
+
+    const DB_NAME = 'batch_ocr_database';
+    const DB_VERSION = 1;
+    const STATUS = {
+        queued: '⏳ Wartet',
+        running: '🔄 Läuft',
+        done: '✅ Fertig',
+        failed: '❌ Fehler'
+    };
+    let _db = null;
+    let _job = null;    // { id: 'current', chapter, pdf, pdfName, paused, createdAt }
+    let _pages = [];    // [{ index, label, unit, blob?, pageNum?, status, count, error, words? }]
+    let _running = false;
+    let _draft = null;  // new batch form: { files, pdf, pdfPages, from, to, chapter, unitMode, unitName }
+
+    // ── Open / Upgrade ──────────────────────────────────────────────
+    function init() {
+        if (_db) return Promise.resolve(_db);
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onerror = () => reject(req.error);
+            req.onupgradeneeded = (e) => {
+                const db = e.target.result;
+                if (!db.objectStoreNames.contains('job')) db.createObjectStore('job', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('pages')) db.createObjectStore('pages', { keyPath: 'index' });
+            };
+            req.onsuccess = () => {
+                _db = req.result;
+                resolve(_db);
+            };
+        });
+    }
+
+    function _tx(store, mode = 'readonly') {
+        return _db.transaction(store, mode).objectStore(store);
+    }
+
+    function _promisify(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function _savePage(page) {
+        await _promisify(_tx('pages', 'readwrite').put(page));
+    }
+
+    async function _saveJob() {
+        await _promisify(_tx('job', 'readwrite').put(_job));
+    }
+
+    /** Load an unfinished batch after a reload; pages cut off mid-run are queued again */
+    async function load() {
+        await init();
+        _job = await _promisify(_tx('job').get('current')) || null;
+        _pages = _job ? await _promisify(_tx('pages').getAll()) : [];
+        for (const page of _pages.filter(p => p.status === 'running')) {
+            page.status = 'queued';
+            await _savePage(page);
+        }
+        _restorePending();
+        renderStatus();
+    }
+
+    /** Put words of finished pages back into pending when the session lost them */
+    function _restorePending() {
+        const missing = _pages.filter(p => p.words && p.words.length > 0 &&
+            !AppState.pending.some(w => w.batchPage === p.index));
+        if (missing.length === 0) return;
+        missing.forEach(p => AppState.pending.push(...p.words.map(w => ({ ...w }))));
+        Storage.savePending();
+        renderPending();
+        const count = missing.reduce((sum, p) => sum + p.words.length, 0);
+        showToast(`📚 ${count} Wortpaare aus dem Stapel-Scan wiederhergestellt`, 'info');
+    }
+
+    /** The pending list was turned into cards or discarded: stop keeping page words */
+    async function release() {
+        const kept = _pages.filter(p => p.words);
+        for (const page of kept) {
+            delete page.words;
+            await _savePage(page);
+        }
+    }
+
+    async function _clear() {
+        await init();
+        await _promisify(_tx('job', 'readwrite').clear());
+        await _promisify(_tx('pages', 'readwrite').clear());
+        _job = null;
+        _pages = [];
+    }
+
+    // ── Queue ───────────────────────────────────────────────────────
+    const _count = status => _pages.filter(p => p.status === status).length;
+
+    function isRunning() {
+        return _running;
+    }
+
+    /**
+     * Start a new batch.
+     * @param {Object} spec { chapter, pdf?, pdfName?, pages: [{ label, unit, blob?, pageNum? }] }
+     */
+    async function start(spec) {
+        await _clear();
+        _job = { id: 'current', chapter: spec.chapter, pdf: spec.pdf || null, pdfName: spec.pdfName || '', paused: false, createdAt: Date.now() };
+        _pages = spec.pages.map((p, index) => ({ ...p, index, status: 'queued', count: 0, error: '' }));
+        await _saveJob();
+        for (const page of _pages) await _savePage(page);
+        _run();
+    }
+
+    async function _run() {
+        if (_running || !_job) return;
+        const job = _job;
+        _running = true;
+        job.paused = false;
+        await _saveJob();
+        _render();
+
+        const layout = OcrLayout.session(); // one layout for the whole run
+        let pdf = null;
+        try {
+            let page;
+            while (_job === job && !job.paused && (page = _pages.find(p => p.status === 'queued'))) {
+                page.status = 'running';
+                page.error = '';
+                await _savePage(page);
+                _render();
+                try {
+                    if (page.pageNum && !pdf) pdf = await PdfHandler.open(_job.pdf);
+                    const words = await _recognize(page, pdf, layout);
+                    words.forEach(w => {
+                        w.chapter = job.chapter;
+                        w.unit = page.unit;
+                        w.batchPage = page.index;
+                    });
+                    AppState.pending.push(...words);
+                    Storage.savePending();
+                    renderPending();
+                    page.status = 'done';
+                    page.count = words.length;
+                    page.words = words.map(w => ({ ...w })); // stored with the page, replaces the photo
+                } catch (e) {
+                    console.error(`❌ Stapel-Scan ${page.label}:`, e);
+                    page.status = 'failed';
+                    page.error = e.message;
+                }
+                if (_job !== job) break; // discarded meanwhile
+                if (page.status === 'done') delete page.blob; // photo no longer needed
+                await _savePage(page);
+                _render();
+            }
+        } finally {
+            if (pdf) pdf.destroy();
+            _running = false;
+        }
+
+        if (_job !== job) {
+            // Discarded and a new batch started while the last page was running
+            if (_job) _run();
+            return;
+        }
+        _render();
+        if (_count('queued') === 0) {
+            const failed = _count('failed');
+            showToast(failed > 0
+                ? `⚠️ Stapel-Scan fertig — ${failed} Seite(n) fehlgeschlagen`
+                : `✅ Stapel-Scan fertig: ${_pages.reduce((sum, p) => sum + p.count, 0)} Wortpaare`, failed > 0 ? 'warning' : 'success');
+        }
+    }
+
+    /** OCR one page: a stored photo or a PDF page (text layer first) */
+    async function _recognize(page, pdf, layout) {
+        if (page.pageNum) {
+            const result = await PdfHandler.extractPage(pdf, page.pageNum, async (blob) => {
+                const source = OcrReview.addSource(blob);
+                const words = await performOCR(blob, () => { }, layout);
+                words.forEach(w => { w.source = source; });
+                return words;
+            });
+            return result.words;
+        }
+        const { originalBlob, processedBlob } = await ImagePreprocessor.process(page.blob);
+        const source = OcrReview.addSource(originalBlob);
+        const words = await performOCR(originalBlob, processedBlob, () => { }, layout);
+        words.forEach(w => { w.source = source; });
+        return words;
+    }
+
+    async function _pause() {
+        if (!_job) return;
+        _job.paused = true;
+        await _saveJob();
+        showToast('⏸ Stapel-Scan pausiert nach der aktuellen Seite', 'info');
+        _render();
+    }
+
+    function _resume() {
+        _run();
+    }
+
+    async function _retryFailed() {
+        for (const page of _pages.filter(p => p.status === 'failed')) {
+            page.status = 'queued';
+            page.error = '';
+            await _savePage(page);
+        }
+        _run();
+    }
+
+    async function _discard() {
+        const open = _count('queued') + _count('failed');
+        if (open > 0 && !confirm(`Stapel-Scan verwerfen?\n\n${open} Seite(n) sind noch nicht erkannt. Bereits erkannte Wörter bleiben in der Liste.`)) return;
+        if (_job) _job.paused = true;
+        await _clear();
+        _render();
+        renderStatus();
+    }
+
+    async function _setUnit(index, unit) {
+        const page = _pages[index];
+        page.unit = unit.trim() || page.label;
+        await _savePage(page);
+    }
+
+    // ── UI ──────────────────────────────────────────────────────────
+    /** One-line status in the upload area while a batch exists */
+    function renderStatus() {
+        const el = document.getElementById('batchOcrStatus');
+        if (!el) return;
+        if (!_job) {
+            el.classList.add('hidden');
+            return;
+        }
+        const done = _count('done');
+        el.classList.remove('hidden');
+        el.textContent = `📚 Stapel „${_job.chapter}“: ${done}/${_pages.length} Seiten`
+            + (_running ? (_job.paused ? ' — pausiert gleich' : ' — läuft') : (_count('queued') > 0 ? ' — pausiert' : ''))
+            + (_count('failed') > 0 ? ` · ${_count('failed')} Fehler` : '');
+    }
+
+    function open() {
+        if (!_job) {
+            _draft = { files: [], pdf: null, pdfPages: 0, from: 1, to: 1, chapter: '', unitMode: 'page', unitName: '' };
+        }
+        _modal().classList.add('active');
+        _render();
+    }
+
+    function _modal() {
+        let modal = document.getElementById('batchOcrModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'batchOcrModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+        return modal;
+    }
+
+    function _render() {
+        renderStatus();
+        const modal = _modal();
+        if (!modal.classList.contains('active')) return; // rebuilt on the next open()
+        modal.innerHTML = `<div class="modal-content batch-ocr">${_job ? _renderQueue() : _renderForm()}</div>`;
+    }
+
+    function _renderForm() {
+        const d = _draft;
+        const groups = getGroups();
+        return `
+            <h3>📚 Stapel-Scan</h3>
+            <p class="batch-ocr-hint">Viele Fotos oder einen Seitenbereich eines PDFs nacheinander erkennen. Der Fortschritt bleibt auch nach einem Neuladen erhalten.</p>
+            <input type="file" id="batchOcrFiles" accept="image/*,application/pdf" multiple style="display:none" onchange="BatchOcr._pickFiles(this)">
+            <button class="btn btn-secondary mb-sm" onclick="document.getElementById('batchOcrFiles').click()">📂 Fotos oder PDF wählen</button>
+            ${d.pdf ? `
+                <div class="batch-ocr-range">
+                    📄 ${escapeHtml(d.pdf.name)} (${d.pdfPages} Seiten) — Seite
+                    <input type="number" class="form-input" min="1" max="${d.pdfPages}" value="${d.from}" onchange="BatchOcr._setRange('from', this.value)">
+                    bis
+                    <input type="number" class="form-input" min="1" max="${d.pdfPages}" value="${d.to}" onchange="BatchOcr._setRange('to', this.value)">
+                </div>` : ''}
+            ${d.files.length > 0 ? `<div class="batch-ocr-range">🖼 ${d.files.length} Foto(s)</div>` : ''}
+            <label class="ocr-field">📖 Kapitel (vorhanden oder neu)
+                <input type="text" id="batchOcrChapter" class="form-input" list="batchOcrChapters" value="${escapeAttr(d.chapter)}"
+                    placeholder="z.B. Medina Band 1" onchange="BatchOcr._set('chapter', this.value)">
+                <datalist id="batchOcrChapters">
+                    ${groups.map(g => `<option value="${escapeAttr(g.name)}">`).join('')}
+                </datalist>
+            </label>
+            <label class="direction-option">
+                <input type="radio" name="batchOcrUnit" value="page" ${d.unitMode === 'page' ? 'checked' : ''} onchange="BatchOcr._set('unitMode', 'page')">
+                <span>📄 Eine Einheit pro Seite</span>
+            </label>
+            <label class="direction-option">
+                <input type="radio" name="batchOcrUnit" value="one" ${d.unitMode === 'one' ? 'checked' : ''} onchange="BatchOcr._set('unitMode', 'one')">
+                <span>📦 Alles in eine Einheit:</span>
+            </label>
+            ${d.unitMode === 'one' ? `
+                <input type="text" id="batchOcrUnitName" class="form-input" value="${escapeAttr(d.unitName)}" placeholder="Name der Einheit"
+                    onchange="BatchOcr._set('unitName', this.value)">` : ''}
+            <p class="batch-ocr-hint">Fehlende Kapitel und Einheiten werden beim Erstellen der Karten angelegt.</p>
+            <button class="btn btn-primary mb-sm" onclick="BatchOcr._startDraft()">▶️ Starten</button>
+            <button class="btn btn-secondary" onclick="closeModal('batchOcrModal')">Abbrechen</button>
+        `;
+    }
+
+    function _renderQueue() {
+        const done = _count('done');
+        const failed = _count('failed');
+        const queued = _count('queued');
+        const pct = Math.round((done + failed) / _pages.length * 100);
+        return `
+            <h3>📚 Stapel „${escapeHtml(_job.chapter)}“</h3>
+            <div class="progress-bar-bg"><div class="progress-bar" style="width:${pct}%"></div></div>
+            <p class="batch-ocr-hint">${done}/${_pages.length} fertig${failed > 0 ? ` · ${failed} Fehler` : ''}${queued > 0 ? ` · ${queued} wartend` : ''}</p>
+            <div class="batch-ocr-pages">
+                ${_pages.map(p => `
+                    <div class="batch-ocr-page ${p.status}">
+                        <span class="batch-ocr-label">${escapeHtml(p.label)}</span>
+                        ${p.status === 'queued' || p.status === 'failed'
+                            ? `<input type="text" class="form-input" value="${escapeAttr(p.unit)}" title="Einheit" onchange="BatchOcr._setUnit(${p.index}, this.value)">`
+                            : `<span class="batch-ocr-unit">📄 ${escapeHtml(p.unit)}</span>`}
+                        <span class="batch-ocr-state" title="${escapeAttr(p.error)}">${STATUS[p.status]}${p.status === 'done' ? ` (${p.count})` : ''}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="batch-ocr-actions">
+                ${_running
+                    ? `<button class="btn btn-secondary btn-small" onclick="BatchOcr._pause()" ${_job.paused ? 'disabled' : ''}>⏸ Pause</button>`
+                    : (queued > 0 ? '<button class="btn btn-primary btn-small" onclick="BatchOcr._resume()">▶️ Fortsetzen</button>' : '')}
+                ${!_running && failed > 0 ? `<button class="btn btn-secondary btn-small" onclick="BatchOcr._retryFailed()">🔁 ${failed} erneut versuchen</button>` : ''}
+                <button class="btn btn-secondary btn-small" onclick="BatchOcr._discard()">🗑 ${queued + failed > 0 ? 'Verwerfen' : 'Abschließen'}</button>
+            </div>
+            <button class="btn btn-secondary" onclick="closeModal('batchOcrModal')">Schließen${_running ? ' (läuft weiter)' : ''}</button>
+        `;
+    }
+
+    // ── New batch form ──────────────────────────────────────────────
+    async function _pickFiles(input) {
+        const files = Array.from(input.files || []);
+        input.value = '';
+        const pdf = files.find(f => f.type === 'application/pdf' || f.name.toLowerCase().endsWith('.pdf'));
+        const images = files.filter(f => f.type.startsWith('image/') || /\.(jpg|jpeg|png|heic|heif|webp)$/i.test(f.name));
+
+        if (pdf) {
+            if (files.length > 1) showToast('ℹ️ PDF gewählt — weitere Dateien werden ignoriert', 'info');
+            let doc = null;
+            try {
+                doc = await PdfHandler.open(pdf);
+                _draft = { ..._draft, files: [], pdf, pdfPages: doc.numPages, from: 1, to: doc.numPages };
+            } catch (e) {
+                showToast('❌ PDF konnte nicht geöffnet werden: ' + e.message, 'error');
+            } finally {
+                if (doc) doc.destroy();
+            }
+        } else if (images.length > 0) {
+            images.sort((a, b) => a.name.localeCompare(b.name, 'de', { numeric: true }));
+            _draft = { ..._draft, files: images, pdf: null, pdfPages: 0 };
+        } else {
+            showToast('❌ Format nicht unterstützt (JPG, PNG, HEIC, PDF)', 'error');
+        }
+        if (!_draft.chapter) _draft.chapter = (pdf ? pdf.name.replace(/\.pdf$/i, '') : '');
+        _render();
+    }
+
+    function _set(key, value) {
+        _draft[key] = typeof value === 'string' ? value.trim() : value;
+        if (key === 'unitMode') _render();
+    }
+
+    function _setRange(key, value) {
+        const n = Math.max(1, Math.min(_draft.pdfPages, parseInt(value, 10) || 1));
+        _draft[key] = n;
+        if (_draft.from > _draft.to) _draft[key === 'from' ? 'to' : 'from'] = n;
+        _render();
+    }
+
+    async function _startDraft() {
+        const d = _draft;
+        // Read inputs directly — a pending onchange may not have fired yet
+        d.chapter = document.getElementById('batchOcrChapter').value.trim();
+        const unitInput = document.getElementById('batchOcrUnitName');
+        if (unitInput) d.unitName = unitInput.value.trim();
+
+        if (!d.pdf && d.files.length === 0) { showToast('⚠️ Fotos oder PDF wählen!', 'warning'); return; }
+        if (!d.chapter) { showToast('⚠️ Kapitel angeben!', 'warning'); return; }
+        if (d.unitMode === 'one' && !d.unitName) { showToast('⚠️ Name der Einheit angeben!', 'warning'); return; }
+
+        const unit = label => d.unitMode === 'one' ? d.unitName : label;
+        let pages;
+        if (d.pdf) {
+            pages = [];
+            for (let n = d.from; n <= d.to; n++) pages.push({ label: `Seite ${n}`, unit: unit(`Seite ${n}`), pageNum: n });
+        } else {
+            pages = d.files.map(f => {
+                const label = f.name.replace(/\.[^.]+$/, '');
+                return { label, unit: unit(label), blob: f };
+            });
+        }
+
+        try {
+            await start({ chapter: d.chapter, pdf: d.pdf, pdfName: d.pdf ? d.pdf.name : '', pages });
+            _draft = null;
+            showToast(`📚 Stapel-Scan gestartet: ${pages.length} Seiten`, 'success');
+        } catch (e) {
+            console.error('Stapel-Scan Start fehlgeschlagen:', e);
+            showToast('❌ ' + e.message, 'error');
+        }
+    }
+
+    return {
+        STATUS,
+        load, start, release, isRunning, open, renderStatus,
+        _pause, _resume, _retryFailed, _discard, _setUnit,
+        _pickFiles, _set, _setRange, _startDraft
+    };
+})();
@@ -0,0 +1,388 @@
+/**
+ * card-browser.js — Card browser across all chapters
+ * Fullscreen overlay with search (German + Arabic, diacritic-insensitive),
+ * filters (chapter/unit, SRS state, lapses, score, creation date) and bulk actions.
+ */
+const CardBrowser = (() => {
+    'use strict';
+
+    const PAGE_SIZE = 100;
+    const DEFAULT_FILTERS = {
+        query: '', group: '', unit: '', state: '', minLapses: 0, score: '', createdFrom: '', createdTo: ''
+    };
+    const STATE_LABELS = {
+        new: '🆕 Neu', learning: '📘 Lernen', review: '🔄 Wiederholung', relearning: '📕 Neu lernen'
+    };
+
+    let _filters = { ...DEFAULT_FILTERS };
+    let _srs = new Map();       // card id → SRS record
+    let _results = [];          // filtered cards
+    let _selected = new Set();  // selected card ids
+    let _limit = PAGE_SIZE;
+
+    // ── Search normalization ────────────────────────────────────────
+    /** Always tolerant: tashkeel, alef/hamza/ya forms and case never hide a match */
+    function _fold(str) {
+        return ArabicNormalizer.key(str, 'loose');
+    }
+
+    function _haystack(card) {
+        return _fold([card.front, card.back, card.ex, card.noteDe, card.noteAr, card.note,
+            ...(card.tags || []).map(t => '#' + t)].join(' '));
+    }
+
+    // ── Open / Close ────────────────────────────────────────────────
+    async function open() {
+        _selected = new Set();
+        _limit = PAGE_SIZE;
+        await _loadSrs();
+        _createOverlay();
+        _applyFilters();
+    }
+
+    function close() {
+        const overlay = document.getElementById('cbOverlay');
+        if (overlay) overlay.remove();
+        document.body.style.overflow = '';
+        _selected = new Set();
+        if (typeof renderCategories === 'function') renderCategories();
+    }
+
+    async function _loadSrs() {
+        try {
+            await SrsDB.init();
+            await SrsAdapter.reconcile();
+            _srs = new Map((await SrsDB.getAllCards()).map(r => [r.id, r]));
+        } catch (e) {
+            console.warn('⚠️ SRS-Daten für den Browser nicht verfügbar:', e);
+            _srs = new Map();
+        }
+    }
+
+    function _createOverlay() {
+        const old = document.getElementById('cbOverlay');
+        if (old) old.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'cbOverlay';
+        overlay.className = 'cb-overlay';
+        overlay.innerHTML = `
+            <div class="cb-header">
+                <button class="cb-back-btn" onclick="CardBrowser.close()">‹ Zurück</button>
+                <span class="cb-title">🔎 Alle Karten</span>
+                <span style="width:40px;"></span>
+            </div>
+            <div class="cb-toolbar">
+                <input type="search" id="cbSearch" class="form-input cb-search" placeholder="Suchen (Deutsch / عربي / #tag)"
+                       value="${_escapeAttr(_filters.query)}" oninput="CardBrowser._setFilter('query', this.value)" autocomplete="off">
+                <div class="cb-filters" id="cbFilters"></div>
+            </div>
+            <div class="cb-summary" id="cbSummary"></div>
+            <div class="cb-list" id="cbList"></div>
+            <div class="cb-bulk-bar" id="cbBulkBar"></div>
+        `;
+        document.body.appendChild(overlay);
+        document.body.style.overflow = 'hidden';
+        _renderFilters();
+    }
+
+    // ── Filters ─────────────────────────────────────────────────────
+    function _renderFilters() {
+        const el = document.getElementById('cbFilters');
+        if (!el) return;
+        const groups = getGroups();
+        const units = _filters.group ? getSubcategories(_filters.group) : [];
+        const opt = (value, label, current) =>
+            `<option value="${_escapeAttr(value)}" ${String(current) === String(value) ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+
+        el.innerHTML = `
+            <select onchange="CardBrowser._setFilter('group', this.value)">
+                ${opt('', 'Alle Kapitel', _filters.group)}
+                ${groups.map(g => opt(g.id, `${g.icon || ''} ${g.name}`, _filters.group)).join('')}
+            </select>
+            ${units.length > 0 ? `
+                <select onchange="CardBrowser._setFilter('unit', this.value)">
+                    ${opt('', 'Alle Einheiten', _filters.unit)}
+                    ${units.map(u => opt(u.id, u.name, _filters.unit)).join('')}
+                </select>
+            ` : ''}
+            <select onchange="CardBrowser._setFilter('state', this.value)">
+                ${opt('', 'SRS: alle', _filters.state)}
+                ${Object.entries(STATE_LABELS).map(([k, label]) => opt(k, label, _filters.state)).join('')}
+            </select>
+            <select onchange="CardBrowser._setFilter('minLapses', this.value)">
+                ${opt(0, 'Fehler: egal', _filters.minLapses)}
+                ${[1, 2, 3, 5].map(n => opt(n, `≥ ${n}× vergessen`, _filters.minLapses)).join('')}
+            </select>
+            <select onchange="CardBrowser._setFilter('score', this.value)">
+                ${opt('', 'Punkte: alle', _filters.score)}
+                ${opt('0', '0 (ungeübt)', _filters.score)}
+                ${opt('1-2', '1–2 (im Aufbau)', _filters.score)}
+                ${opt('3-5', '3–5 (gemeistert)', _filters.score)}
+            </select>
+            <label class="cb-date">Erstellt ab
+                <input type="date" value="${_filters.createdFrom}" onchange="CardBrowser._setFilter('createdFrom', this.value)">
+            </label>
+            <label class="cb-date">bis
+                <input type="date" value="${_filters.createdTo}" onchange="CardBrowser._setFilter('createdTo', this.value)">
+            </label>
+            <button class="btn btn-secondary btn-small" onclick="CardBrowser._resetFilters()">✕ Filter</button>
+        `;
+    }
+
+    function _setFilter(key, value) {
+        _filters[key] = key === 'minLapses' ? parseInt(value, 10) || 0 : value;
+        if (key === 'group') {
+            _filters.unit = '';
+            _renderFilters();
+        }
+        _limit = PAGE_SIZE;
+        _applyFilters();
+    }
+
+    function _resetFilters() {
+        _filters = { ...DEFAULT_FILTERS };
+        const search = document.getElementById('cbSearch');
+        if (search) search.value = '';
+        _renderFilters();
+        _applyFilters();
+    }
+
+    /** Category ids covered by the chapter/unit filter (null = all) */
+    function _scopeIds() {
+        if (_filters.unit) return new Set([_filters.unit]);
+        if (_filters.group) return new Set([_filters.group, ...getSubcategories(_filters.group).map(s => s.id)]);
+        return null;
+    }
+
+    function _applyFilters() {
+        const scope = _scopeIds();
+        const terms = _fold(_filters.query).split(/\s+/).filter(Boolean);
+        const from = _filters.createdFrom ? new Date(_filters.createdFrom).setHours(0, 0, 0, 0) : null;
+        const to = _filters.createdTo ? new Date(_filters.createdTo).setHours(23, 59, 59, 999) : null;
+
+        _results = AppState.cards.filter(card => {
+            if (scope && !scope.has(card.cat)) return false;
+            const srs = _srs.get(card.id);
+            if (_filters.state && (srs ? srs.state : 'new') !== _filters.state) return false;
+            if (_filters.minLapses && (!srs || (srs.lapses || 0) < _filters.minLapses)) return false;
+            if (_filters.score) {
+                const [lo, hi] = _filters.score.split('-').map(Number);
+                const score = card.score || 0;
+                if (score < lo || score > (hi === undefined ? lo : hi)) return false;
+            }
+            if ((from || to) && (!card.created || (from && card.created < from) || (to && card.created > to))) return false;
+            if (terms.length > 0) {
+                const text = _haystack(card);
+                if (!terms.every(t => text.includes(t))) return false;
+            }
+            return true;
+        });
+
+        // Drop selections that are no longer visible
+        const visible = new Set(_results.map(c => c.id));
+        _selected = new Set([..._selected].filter(id => visible.has(id)));
+        _renderList();
+    }
+
+    // ── List ────────────────────────────────────────────────────────
+    function _catLabel(catId) {
+        const cat = AppState.categories.find(c => c.id === catId);
+        if (!cat) return '—';
+        const parent = cat.parentId ? AppState.categories.find(c => c.id === cat.parentId) : null;
+        return parent ? `${parent.name} › ${cat.name}` : cat.name;
+    }
+
+    function _renderList() {
+        const list = document.getElementById('cbList');
+        const summary = document.getElementById('cbSummary');
+        if (!list || !summary) return;
+
+        const allSelected = _results.length > 0 && _results.every(c => _selected.has(c.id));
+        summary.innerHTML = `
+            <label class="cb-select-all">
+                <input type="checkbox" ${allSelected ? 'checked' : ''} onchange="CardBrowser._selectAll(this.checked)">
+                ${_results.length} Karte${_results.length !== 1 ? 'n' : ''}${_selected.size > 0 ? ` · ${_selected.size} ausgewählt` : ''}
+            </label>
+        `;
+
+        if (_results.length === 0) {
+            list.innerHTML = '<div class="cb-empty">📭 Keine Karten gefunden</div>';
+        } else {
+            list.innerHTML = _results.slice(0, _limit).map(card => {
+                const srs = _srs.get(card.id);
+                const state = srs ? srs.state : 'new';
+                const frontAr = card.frontLang === 'ar';
+                return `
+                    <label class="cb-item ${_selected.has(card.id) ? 'selected' : ''}">
+                        <input type="checkbox" ${_selected.has(card.id) ? 'checked' : ''}
+                               onchange="CardBrowser._toggle('${card.id}', this.checked)">
+                        <div class="cb-item-body">
+                            <div class="cb-item-words">
+                                <span class="${frontAr ? 'arabic' : ''}">${renderFormattedText(card.front)}</span>
+                                <span class="cb-item-arrow">→</span>
+                                <span class="${frontAr ? '' : 'arabic'}">${renderFormattedText(card.back)}</span>
+                            </div>
+                            <div class="cb-item-meta">
+                                <span>${escapeHtml(_catLabel(card.cat))}</span>
+                                <span>${STATE_LABELS[state] || state}</span>
+                                ${srs && srs.lapses ? `<span>❌ ${srs.lapses}</span>` : ''}
+                                <span>⭐ ${card.score || 0}</span>
+                                ${(card.tags || []).map(t => `<span class="cb-tag">#${escapeHtml(t)}</span>`).join('')}
+                            </div>
+                        </div>
+                        <button class="cb-media-btn" onclick="event.preventDefault(); CardBrowser._editMedia('${card.id}')"
+                                title="Bild/Audio anhängen">📎</button>
+                    </label>
+                `;
+            }).join('') + (_results.length > _limit ? `
+                <button class="btn btn-secondary cb-more" onclick="CardBrowser._showMore()">
+                    Weitere ${Math.min(PAGE_SIZE, _results.length - _limit)} von ${_results.length - _limit} anzeigen
+                </button>
+            ` : '');
+        }
+
+        _renderBulkBar();
+    }
+
+    function _showMore() {
+        _limit += PAGE_SIZE;
+        _renderList();
+    }
+
+    function _toggle(id, checked) {
+        if (checked) _selected.add(id);
+        else _selected.delete(id);
+        _renderList();
+    }
+
+    function _selectAll(checked) {
+        _selected = checked ? new Set(_results.map(c => c.id)) : new Set();
+        _renderList();
+    }
+
+    // ── Bulk actions ────────────────────────────────────────────────
+    function _renderBulkBar() {
+        const bar = document.getElementById('cbBulkBar');
+        if (!bar) return;
+        if (_selected.size === 0) {
+            bar.classList.remove('active');
+            bar.innerHTML = '';
+            return;
+        }
+
+        // Cards live in units, or directly in chapters without units
+        const targets = [];
+        getGroups().forEach(g => {
+            const subs = getSubcategories(g.id);
+            if (subs.length === 0) targets.push({ id: g.id, label: `${g.icon || ''} ${g.name}` });
+            subs.forEach(s => targets.push({ id: s.id, label: `${g.name} › ${s.name}` }));
+        });
+
+        bar.classList.add('active');
+        bar.innerHTML = `
+            <select onchange="CardBrowser._bulkMove(this.value)">
+                <option value="">📁 Verschieben nach…</option>
+                ${targets.map(t => `<option value="${_escapeAttr(t.id)}">${escapeHtml(t.label)}</option>`).join('')}
+            </select>
+            <button onclick="CardBrowser._bulkRetag()">🏷️ Tags</button>
+            <button onclick="CardBrowser._bulkSwap()">⇄ Richtung</button>
+            <button onclick="CardBrowser._bulkReset()">↺ Fortschritt</button>
+            <button class="cb-danger" onclick="CardBrowser._bulkDelete()">🗑️ Löschen</button>
+        `;
+    }
+
+    function _selectedCards() {
+        return AppState.cards.filter(c => _selected.has(c.id));
+    }
+
+    function _afterBulk(message) {
+        Storage.save();
+        _applyFilters();
+        showToast(message, 'success');
+    }
+
+    function _bulkMove(targetId) {
+        if (!targetId) return;
+        const cards = _selectedCards();
+        cards.forEach(c => { c.cat = targetId; });
+        _selected = new Set();
+        _afterBulk(`📁 ${cards.length} Karten nach "${_catLabel(targetId)}" verschoben`);
+    }
+
+    function _bulkDelete() {
+        const count = _selected.size;
+        if (!confirm(`⚠️ ${count} Karten wirklich löschen?`)) return;
+        haptic('heavy');
+        AppState.cards = AppState.cards.filter(c => !_selected.has(c.id));
+        _selected = new Set();
+        _afterBulk(`🗑️ ${count} Karten gelöscht`);
+    }
+
+    /** "verb +wichtig -alt": plain or + adds a tag, - removes it */
+    function _bulkRetag() {
+        const input = prompt('Tags ändern (z.B. "verb +wichtig -alt"):\n+tag / tag = hinzufügen, -tag = entfernen');
+        if (!input) return;
+        const add = [];
+        const remove = [];
+        input.split(/[\s,]+/).filter(Boolean).forEach(token => {
+            const tag = token.replace(/^[+\-#]+/, '').trim();
+            if (!tag) return;
+            (token.startsWith('-') ? remove : add).push(tag);
+        });
+
+        const cards = _selectedCards();
+        cards.forEach(card => {
+            const tags = new Set(card.tags || []);
+            add.forEach(t => tags.add(t));
+            remove.forEach(t => tags.delete(t));
+            card.tags = [...tags];
+        });
+        _afterBulk(`🏷️ Tags bei ${cards.length} Karten geändert`);
+    }
+
+    function _bulkSwap() {
+        const cards = _selectedCards();
+        cards.forEach(card => {
+            [card.front, card.back] = [card.back, card.front];
+            card.frontLang = card.frontLang === 'ar' ? 'de' : 'ar';
+            card.backLang = card.frontLang === 'ar' ? 'de' : 'ar';
+        });
+        _afterBulk(`⇄ Richtung bei ${cards.length} Karten getauscht`);
+    }
+
+    async function _bulkReset() {
+        const cards = _selectedCards();
+        if (!confirm(`Lernfortschritt von ${cards.length} Karten zurücksetzen?\n(Punkte, Quiz-Zähler und SRS-Verlauf)`)) return;
+        cards.forEach(card => {
+            card.score = 0;
+            card.correctCount = 0;
+            card.wrongCount = 0;
+            card.partialCredit = 0;
+            card.lastSeen = null;
+        });
+        try {
+            await SrsAdapter.resetCards(cards);
+            await _loadSrs();
+        } catch (e) {
+            console.warn('⚠️ SRS-Reset fehlgeschlagen:', e);
+        }
+        _afterBulk(`↺ Fortschritt von ${cards.length} Karten zurückgesetzt`);
+    }
+
+    function _editMedia(id) {
+        const card = AppState.cards.find(c => c.id === id);
+        if (card) Attachments.openEditor(card.id, { title: `${card.front} → ${card.back}` });
+    }
+
+    function _escapeAttr(str) {
+        return typeof escapeAttr === 'function' ? escapeAttr(str) : String(str || '').replace(/"/g, '&quot;');
+    }
+
+    return {
+        open, close,
+        _setFilter, _resetFilters, _showMore, _toggle, _selectAll,
+        _bulkMove, _bulkDelete, _bulkRetag, _bulkSwap, _bulkReset,
+        _editMedia
+    };
+})();
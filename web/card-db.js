@@ -0,0 +1,275 @@
+/**
+ * card-db.js — IndexedDB repository for chapters (categories) and cards
+ * Stores: categories, cards (one record per item), card_meta (schema version, flags)
+ * Replaces the old localStorage keys 'cats' / 'cards' (imported once, then removed).
+ */
+const CardDB = (() => {
+    'use strict';
+
+    const DB_NAME = 'cards_database';
+    const DB_VERSION = 1;
+    let _db = null;
+
+    // ── Data schema migrations ──────────────────────────────────────
+    // Each migration upgrades the in-memory data from (version - 1) to version.
+    // run() mutates { categories, cards } and returns a short log message (or '').
+    const MIGRATIONS = [
+        {
+            version: 1,
+            name: 'parent → parentId',
+            run(data) {
+                let fixed = 0;
+                data.categories.forEach(c => {
+                    if (c.parent && !c.parentId) {
+                        c.parentId = c.parent;
+                        delete c.parent;
+                        fixed++;
+                    }
+                });
+                return fixed > 0 ? `${fixed} Kategorien repariert` : '';
+            }
+        },
+        {
+            version: 2,
+            name: 'orphan cleanup',
+            run(data) {
+                // Remove cards directly on a parent chapter that has units (old import bug)
+                const chapterIds = new Set(data.categories.filter(c => !c.parentId).map(c => c.id));
+                const withUnits = new Set(data.categories.filter(c => c.parentId).map(c => c.parentId));
+                const before = data.cards.length;
+                data.cards = data.cards.filter(card => !(chapterIds.has(card.cat) && withUnits.has(card.cat)));
+                const removed = before - data.cards.length;
+                return removed > 0 ? `${removed} verwaiste Karten entfernt` : '';
+            }
+        },
+        {
+            version: 3,
+            name: 'stable card ids',
+            run(data) {
+                // Legacy records carry no id or a 'card_<time>_<rand>' key → UUID.
+                // SRS state is re-keyed lazily by SrsAdapter.migrateLegacyIds().
+                let assigned = 0;
+                data.cards.forEach(card => {
+                    if (!isUuid(card.id)) {
+                        card.id = newId();
+                        assigned++;
+                    }
+                });
+                return assigned > 0 ? `${assigned} Karten-IDs vergeben` : '';
+            }
+        }
+    ];
+
+    const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    // ── Open / Upgrade ──────────────────────────────────────────────
+    function init() {
+        if (_db) return Promise.resolve(_db);
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onerror = () => reject(req.error);
+            req.onupgradeneeded = (e) => {
+                const db = e.target.result;
+                if (!db.objectStoreNames.contains('categories')) {
+                    const store = db.createObjectStore('categories', { keyPath: 'id' });
+                    store.createIndex('parentId', 'parentId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('cards')) {
+                    const store = db.createObjectStore('cards', { keyPath: 'id' });
+                    store.createIndex('cat', 'cat', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('card_meta')) {
+                    db.createObjectStore('card_meta', { keyPath: 'key' });
+                }
+            };
+            req.onsuccess = () => {
+                _db = req.result;
+                resolve(_db);
+            };
+        });
+    }
+
+    // ── Generic helpers ─────────────────────────────────────────────
+    function _tx(storeName, mode = 'readonly') {
+        return _db.transaction(storeName, mode).objectStore(storeName);
+    }
+
+    function _promisify(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    function _complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /** Generate a persistent card ID (UUID v4) */
+    function newId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        // Fallback for older WebViews without randomUUID
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    function isUuid(id) {
+        return typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+    }
+
+    // ── Meta ────────────────────────────────────────────────────────
+    async function getMeta(key) {
+        await init();
+        const record = await _promisify(_tx('card_meta').get(key));
+        return record ? record.value : null;
+    }
+
+    async function setMeta(key, value) {
+        await init();
+        return _promisify(_tx('card_meta', 'readwrite').put({ key, value }));
+    }
+
+    // ── Bulk read / write ───────────────────────────────────────────
+    async function getAll() {
+        await init();
+        const tx = _db.transaction(['categories', 'cards'], 'readonly');
+        const [categories, cards] = await Promise.all([
+            _promisify(tx.objectStore('categories').getAll()),
+            _promisify(tx.objectStore('cards').getAll())
+        ]);
+        return { categories, cards };
+    }
+
+    /**
+     * Apply a change set in one transaction.
+     * @param {Object} changes
+     * @param {Array}  [changes.putCategories]
+     * @param {Array}  [changes.deleteCategories] — ids
+     * @param {Array}  [changes.putCards]
+     * @param {Array}  [changes.deleteCards] — ids
+     */
+    async function applyChanges(changes) {
+        await init();
+        const tx = _db.transaction(['categories', 'cards'], 'readwrite');
+        const catStore = tx.objectStore('categories');
+        const cardStore = tx.objectStore('cards');
+        (changes.putCategories || []).forEach(c => catStore.put(c));
+        (changes.deleteCategories || []).forEach(id => catStore.delete(id));
+        (changes.putCards || []).forEach(c => cardStore.put(c));
+        (changes.deleteCards || []).forEach(id => cardStore.delete(id));
+        return _complete(tx);
+    }
+
+    /** Replace the entire contents of both stores (used after migrations) */
+    async function replaceAll(categories, cards) {
+        await init();
+        const tx = _db.transaction(['categories', 'cards'], 'readwrite');
+        const catStore = tx.objectStore('categories');
+        const cardStore = tx.objectStore('cards');
+        catStore.clear();
+        cardStore.clear();
+        categories.forEach(c => catStore.put(c));
+        cards.forEach(c => cardStore.put(c));
+        return _complete(tx);
+    }
+
+    // ── Legacy import (localStorage → IndexedDB) ────────────────────
+    /**
+     * One-time import of the old localStorage keys.
+     * Legacy data enters at schema version 0 so all migrations run on it.
+     * The keys are removed only after the transaction has committed.
+     * @returns {Promise<boolean>} true if legacy data was imported
+     */
+    async function _importLegacy() {
+        if (await getMeta('legacyImported')) return false;
+
+        let cats = null;
+        let cards = null;
+        try {
+            cats = JSON.parse(localStorage.getItem('cats'));
+            cards = JSON.parse(localStorage.getItem('cards'));
+        } catch (e) {
+            console.warn('⚠️ Legacy-Daten unlesbar:', e);
+        }
+
+        if (!Array.isArray(cats) && !Array.isArray(cards)) {
+            await setMeta('legacyImported', Date.now());
+            return false;
+        }
+
+        cats = Array.isArray(cats) ? cats : [];
+        cards = (Array.isArray(cards) ? cards : []).map(c => c.id ? c : { ...c, id: newId() });
+
+        await replaceAll(cats, cards);
+        await setMeta('schemaVersion', 0);
+        await setMeta('legacyImported', Date.now());
+
+        localStorage.removeItem('cats');
+        localStorage.removeItem('cards');
+        console.log(`📦 Legacy-Import: ${cats.length} Kapitel, ${cards.length} Karten aus localStorage übernommen`);
+        return true;
+    }
+
+    // ── Migrations ──────────────────────────────────────────────────
+    /**
+     * Run all pending migrations on the given data and persist the result.
+     * @returns {Promise<Object>} { categories, cards, applied: [names] }
+     */
+    async function _migrate(data, fromVersion) {
+        const applied = [];
+        for (const m of MIGRATIONS) {
+            if (m.version <= fromVersion) continue;
+            const msg = m.run(data);
+            applied.push(m.name);
+            console.log(`🔧 Migration v${m.version} (${m.name})${msg ? ': ' + msg : ''}`);
+        }
+        if (applied.length > 0) {
+            await replaceAll(data.categories, data.cards);
+            await setMeta('schemaVersion', SCHEMA_VERSION);
+        }
+        return { ...data, applied };
+    }
+
+    /**
+     * Open the repository: legacy import, pending migrations, then load.
+     * @param {Function} [defaults] — returns initial categories for a fresh install
+     * @returns {Promise<{categories: Array, cards: Array}>}
+     */
+    async function load(defaults) {
+        await init();
+        await _importLegacy();
+
+        let version = await getMeta('schemaVersion');
+        let data = await getAll();
+
+        if (version === null) {
+            // Fresh install: nothing to migrate, seed defaults
+            if (data.categories.length === 0 && data.cards.length === 0 && typeof defaults === 'function') {
+                data.categories = defaults();
+                await replaceAll(data.categories, data.cards);
+            }
+            await setMeta('schemaVersion', SCHEMA_VERSION);
+            version = SCHEMA_VERSION;
+        }
+
+        if (version < SCHEMA_VERSION) {
+            data = await _migrate(data, version);
+        }
+
+        return { categories: data.categories, cards: data.cards };
+    }
+
+    return {
+        init, load, getAll, applyChanges, replaceAll,
+        getMeta, setMeta, newId, isUuid,
+        SCHEMA_VERSION
+    };
+})();
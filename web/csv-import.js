@@ -0,0 +1,514 @@
+/**
+ * csv-import.js — CSV/TSV import wizard
+ * RFC 4180 parser (quoted fields with delimiters, "" escapes and line breaks),
+ * delimiter and encoding detection, a column mapping step with live preview of
+ * the resulting words, and mapping presets (localStorage 'csvPresets').
+ * Kapitel/Einheit columns build a chapter/unit tree (planCSVTree in app.js).
+ * Confirmed rows go to the pending list like OCR results (addCSVWords in app.js).
+ */
+const CsvImport = (() => {
+    'use strict';
+
+    const PRESETS_KEY = 'csvPresets';
+    const PREVIEW_ROWS = 20;
+    const DELIMITERS = { ';': 'Semikolon ;', '\t': 'Tabulator', ',': 'Komma ,', '|': 'Senkrechtstrich |' };
+    const ENCODINGS = {
+        'utf-8': 'UTF-8',
+        'utf-16le': 'UTF-16 (Excel Unicode-Text)',
+        'windows-1256': 'Windows-1256 (Arabisch)',
+        'iso-8859-6': 'ISO-8859-6 (Arabisch)',
+        'windows-1252': 'Windows-1252 (Westeuropa)'
+    };
+    // Column roles; Deutsch/Arabisch become front/back depending on the card direction
+    const ROLES = {
+        '': '— ignorieren',
+        de: 'Deutsch',
+        ar: 'Arabisch',
+        ex: 'Beispiel',
+        noteDe: 'Notiz DE',
+        noteAr: 'Notiz AR',
+        chapter: 'Kapitel',
+        unit: 'Einheit'
+    };
+    const HEADER_PATTERNS = [
+        ['noteAr', /notiz.*(ar|arab)|ملاحظ/i],
+        ['noteDe', /notiz|anmerkung|hinweis|note/i],
+        ['ex', /beispiel|example|satz|sentence/i],
+        ['chapter', /kapitel|chapter|buch|book|band/i],
+        ['unit', /lektion|einheit|unit|lesson/i],
+        ['ar', /arab|عرب|^ar$/i],
+        ['de', /deutsch|german|^de$|wort/i]
+    ];
+
+    let _state = null;
+
+    // ── Decoding ────────────────────────────────────────────────────
+    /**
+     * Guess the text encoding of a file: BOM, then strict UTF-8, then the
+     * Arabic Windows code page if it turns high bytes into Arabic words.
+     */
+    function detectEncoding(bytes) {
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return 'utf-8';
+        } catch (e) {
+            // not UTF-8 → legacy single-byte code page
+        }
+        // Arabic text = runs of high bytes; German only has isolated umlauts
+        let runs = 0;
+        let len = 0;
+        for (const b of bytes) {
+            len = b >= 0xC0 ? len + 1 : 0;
+            if (len === 3) runs++;
+        }
+        return runs >= 2 ? 'windows-1256' : 'windows-1252';
+    }
+
+    function decode(bytes, encoding) {
+        return new TextDecoder(encoding).decode(bytes).replace(/^\uFEFF/, '');
+    }
+
+    // ── Parsing ─────────────────────────────────────────────────────
+    /**
+     * Parse delimited text per RFC 4180. Quotes only open a quoted field at the
+     * start of a field; elsewhere they are kept as text. Blank lines are dropped.
+     * @returns {string[][]} rows of fields
+     */
+    function parse(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                if (ch === '"') quoted = false;
+                else field += ch;
+                i++;
+                continue;
+            }
+            if (ch === '"' && field === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\r' || ch === '\n') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+            } else {
+                field += ch;
+            }
+            i++;
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(f => f.trim()));
+    }
+
+    /** Delimiter that splits the first rows into the most rows of equal width (≥ 2 columns) */
+    function detectDelimiter(text) {
+        const sample = text.slice(0, 20000);
+        let best = ';';
+        let bestScore = 0;
+        Object.keys(DELIMITERS).forEach(delimiter => {
+            const widths = parse(sample, delimiter).slice(0, 50).map(r => r.length).filter(w => w >= 2);
+            const counts = {};
+            widths.forEach(w => { counts[w] = (counts[w] || 0) + 1; });
+            const score = Math.max(0, ...Object.values(counts));
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    // ── Mapping ─────────────────────────────────────────────────────
+    function _looksLikeHeader(row) {
+        return row.some(cell => HEADER_PATTERNS.some(([, re]) => re.test(cell.trim()))) ||
+            (!row.some(isArabic) && row.some(cell => /[a-zA-ZäöüÄÖÜ]/.test(cell)));
+    }
+
+    /** Roles per column: by header name, else Arabic column → ar, first text columns → de, ex */
+    function guessRoles(header, rows) {
+        const width = Math.max(0, ...rows.slice(0, 50).map(r => r.length), header ? header.length : 0);
+        const roles = new Array(width).fill('');
+        if (header) {
+            header.forEach((name, i) => {
+                const match = HEADER_PATTERNS.find(([, re]) => re.test(name.trim()));
+                if (match && !roles.includes(match[0])) roles[i] = match[0];
+            });
+        }
+
+        const sample = rows.slice(0, 30);
+        const filled = i => sample.filter(r => (r[i] || '').trim()).length;
+        const arabicShare = i => sample.filter(r => isArabic(r[i] || '')).length / Math.max(1, filled(i));
+        for (let i = 0; i < width; i++) {
+            if (roles[i] || filled(i) === 0) continue;
+            if (!roles.includes('ar') && arabicShare(i) > 0.5) roles[i] = 'ar';
+            else if (!roles.includes('de') && arabicShare(i) < 0.5) roles[i] = 'de';
+            else if (!roles.includes('ex') && arabicShare(i) < 0.5) roles[i] = 'ex';
+        }
+        return roles;
+    }
+
+    /**
+     * Split "Wort - Notiz" into word and note. A bare hyphen only splits German
+     * text when more than two characters follow it.
+     */
+    function splitNote(text, lang) {
+        for (const pat of [' - ', ' – ']) {
+            const idx = text.indexOf(pat);
+            if (idx > 0) return [text.substring(0, idx).trim(), text.substring(idx + pat.length).trim()];
+        }
+        const bare = text.indexOf('-');
+        if (bare > 0) {
+            const right = text.substring(bare + 1).trim();
+            if (right && (lang === 'ar' || right.length > 2)) return [text.substring(0, bare).trim(), right];
+        }
+        return [text, ''];
+    }
+
+    /**
+     * Build pending words from the mapped rows.
+     * Without a chapter column, `opts.chapterName` names the chapter of every word.
+     * @returns {{ words: Array, skipped: number }} words: { de, ar, ex, noteDe, noteAr, chapter?, unit? }
+     */
+    function buildWords(rows, roles, opts = {}) {
+        const words = [];
+        let skipped = 0;
+        const clean = opts.clean ? cleanCSVField : (s => s.trim());
+        rows.forEach(row => {
+            const value = role => {
+                const idx = roles.indexOf(role);
+                return idx >= 0 ? clean(row[idx] || '') : '';
+            };
+            let de = value('de');
+            let ar = value('ar');
+            let noteDe = value('noteDe');
+            let noteAr = value('noteAr');
+            if (opts.splitNotes) {
+                if (!noteDe) [de, noteDe] = splitNote(de, 'de');
+                if (!noteAr) [ar, noteAr] = splitNote(ar, 'ar');
+            }
+            if (!de || !ar) {
+                skipped++;
+                return;
+            }
+            const word = { de, ar, ex: value('ex'), noteDe, noteAr };
+            const chapter = roles.includes('chapter') ? value('chapter') : (opts.chapterName || '').trim();
+            const unit = value('unit');
+            if (chapter) word.chapter = chapter;
+            if (unit) word.unit = unit;
+            words.push(word);
+        });
+        return { words, skipped };
+    }
+
+    // ── Presets ─────────────────────────────────────────────────────
+    function getPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(PRESETS_KEY) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function _savePresets(presets) {
+        localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    }
+
+    /** Roles of a preset for the current columns: by header name where possible */
+    function _presetRoles(preset, header, width) {
+        const roles = new Array(width).fill('');
+        preset.roles.forEach((role, i) => {
+            if (!role) return;
+            const byName = header && preset.headers ? header.findIndex(h => h.trim().toLowerCase() === (preset.headers[i] || '').trim().toLowerCase()) : -1;
+            const idx = byName >= 0 ? byName : i;
+            if (idx < width) roles[idx] = role;
+        });
+        return roles;
+    }
+
+    /** Preset saved for a file with the same header row */
+    function _matchPreset(header) {
+        if (!header) return null;
+        const sig = header.map(h => h.trim().toLowerCase()).join('|');
+        const entry = Object.entries(getPresets()).find(([, p]) =>
+            p.headers && p.headers.map(h => h.trim().toLowerCase()).join('|') === sig);
+        return entry ? entry[0] : null;
+    }
+
+    // ── Wizard ──────────────────────────────────────────────────────
+    /**
+     * Open the wizard for a file; confirmed words are added for `catId`
+     * (empty: new chapter named after the file, unless a Kapitel column is mapped).
+     */
+    async function open(file, catId) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const encoding = detectEncoding(bytes);
+        const text = decode(bytes, encoding);
+        _state = {
+            bytes, catId, encoding, text,
+            fileName: file.name,
+            delimiter: detectDelimiter(text),
+            splitNotes: true,
+            clean: true,
+            preset: '',
+            chapterName: catId ? '' : file.name.replace(/\.[^.]+$/, '')
+        };
+        _reparse(true);
+        if (_state.rows.length === 0) {
+            _state = null;
+            showToast('⚠️ CSV ist leer', 'warning');
+            return;
+        }
+
+        const preset = _matchPreset(_state.hasHeader ? _state.rows[0] : null);
+        if (preset) _applyPreset(preset);
+        _render();
+    }
+
+    /** Re-split the text; with `guess` also re-detect header and roles */
+    function _reparse(guess) {
+        _state.rows = parse(_state.text, _state.delimiter);
+        if (guess) {
+            _state.hasHeader = _state.rows.length > 1 && _looksLikeHeader(_state.rows[0]);
+            _state.roles = guessRoles(_state.hasHeader ? _state.rows[0] : null, _dataRows());
+        } else {
+            const width = Math.max(0, ..._state.rows.slice(0, 50).map(r => r.length));
+            _state.roles = _state.roles.slice(0, width).concat(new Array(Math.max(0, width - _state.roles.length)).fill(''));
+        }
+    }
+
+    function _dataRows() {
+        return _state.hasHeader ? _state.rows.slice(1) : _state.rows;
+    }
+
+    function _applyPreset(name) {
+        const preset = getPresets()[name];
+        if (!preset) return;
+        _state.preset = name;
+        if (preset.encoding && preset.encoding !== _state.encoding) {
+            _state.encoding = preset.encoding;
+            _state.text = decode(_state.bytes, preset.encoding);
+        }
+        _state.delimiter = preset.delimiter || _state.delimiter;
+        _state.hasHeader = !!preset.hasHeader;
+        _state.splitNotes = preset.splitNotes !== false;
+        _state.clean = preset.clean !== false;
+        _state.rows = parse(_state.text, _state.delimiter);
+        const width = Math.max(0, ..._state.rows.slice(0, 50).map(r => r.length));
+        _state.roles = _presetRoles(preset, _state.hasHeader ? _state.rows[0] : null, width);
+    }
+
+    function _render() {
+        let modal = document.getElementById('csvWizardModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'csvWizardModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+
+        const s = _state;
+        const header = s.hasHeader ? s.rows[0] : null;
+        const data = _dataRows();
+        const { words, skipped } = buildWords(data, s.roles, s);
+        const presets = Object.keys(getPresets());
+        const option = (value, label, current) =>
+            `<option value="${escapeHtml(value)}" ${value === current ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+        const missing = ['de', 'ar'].filter(r => !s.roles.includes(r)).map(r => ROLES[r]);
+        const needsChapter = !s.catId && words.some(w => !w.chapter);
+        const showTree = !s.catId || s.roles.includes('chapter') || s.roles.includes('unit');
+        const tree = showTree ? planCSVTree(s.catId, words.filter(w => w.chapter || s.catId)) : null;
+        const ready = words.length > 0 && !needsChapter;
+
+        modal.innerHTML = `
+            <div class="modal-content csv-wizard">
+                <h3>📥 ${escapeHtml(s.fileName)}</h3>
+                <div class="csv-options">
+                    <label>Trennzeichen
+                        <select class="form-input" onchange="CsvImport._set('delimiter', this.value)">
+                            ${Object.entries(DELIMITERS).map(([d, label]) => option(d, label, s.delimiter)).join('')}
+                        </select>
+                    </label>
+                    <label>Kodierung
+                        <select class="form-input" onchange="CsvImport._set('encoding', this.value)">
+                            ${Object.entries(ENCODINGS).map(([e, label]) => option(e, label, s.encoding)).join('')}
+                        </select>
+                    </label>
+                    <label>Vorlage
+                        <select class="form-input" onchange="CsvImport._set('preset', this.value)">
+                            ${option('', '—', s.preset)}
+                            ${presets.map(name => option(name, name, s.preset)).join('')}
+                        </select>
+                    </label>
+                </div>
+                <div class="csv-toggles">
+                    <label><input type="checkbox" ${s.hasHeader ? 'checked' : ''}
+                        onchange="CsvImport._set('hasHeader', this.checked)"> Erste Zeile ist Kopfzeile</label>
+                    <label><input type="checkbox" ${s.splitNotes ? 'checked' : ''}
+                        onchange="CsvImport._set('splitNotes', this.checked)"> „Wort - Notiz" trennen</label>
+                    <label><input type="checkbox" ${s.clean ? 'checked' : ''}
+                        onchange="CsvImport._set('clean', this.checked)"> Störzeichen entfernen</label>
+                </div>
+
+                <div class="csv-columns">
+                    ${s.roles.map((role, i) => `
+                        <div class="csv-column">
+                            <select class="form-input" onchange="CsvImport._setRole(${i}, this.value)">
+                                ${Object.entries(ROLES).map(([r, label]) => option(r, label, role)).join('')}
+                            </select>
+                            <div class="csv-column-name">${header ? escapeHtml(header[i] || '') : `Spalte ${i + 1}`}</div>
+                            ${data.slice(0, 3).map(r => `<div class="csv-column-sample ${isArabic(r[i] || '') ? 'ar' : ''}">${escapeHtml(r[i] || '')}</div>`).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+
+                ${!s.catId && !s.roles.includes('chapter') ? `
+                    <label class="csv-chapter-name">Neues Kapitel
+                        <input type="text" class="form-input" value="${escapeHtml(s.chapterName)}"
+                            onchange="CsvImport._set('chapterName', this.value)">
+                    </label>
+                ` : ''}
+
+                <div class="csv-summary">
+                    ${missing.length > 0 ? `⚠️ Bitte Spalte für ${missing.join(' und ')} wählen` : `✅ ${words.length} Wörter`}
+                    ${skipped > 0 ? ` · ${skipped} Zeilen ohne Wortpaar` : ''}
+                    ${needsChapter ? '<br>⚠️ Kapitel fehlt — Namen eingeben oder Kapitel-Spalte wählen' : ''}
+                </div>
+                ${tree ? _renderTree(tree) : ''}
+                <div class="csv-preview">
+                    ${words.slice(0, PREVIEW_ROWS).map(w => `
+                        <div class="csv-preview-item">
+                            <span>${renderFormattedText(w.de)}</span> → <span class="ar">${renderFormattedText(w.ar)}</span>
+                            ${w.chapter || w.unit ? `<span class="csv-unit">📄 ${escapeHtml([w.chapter, w.unit].filter(Boolean).join(' › '))}</span>` : ''}
+                            ${w.noteDe || w.noteAr ? `<small>${escapeHtml([w.noteDe, w.noteAr].filter(Boolean).join(' · '))}</small>` : ''}
+                            ${w.ex ? `<small>💡 ${escapeHtml(w.ex)}</small>` : ''}
+                        </div>
+                    `).join('')}
+                    ${words.length > PREVIEW_ROWS ? `<div class="csv-more">… und ${words.length - PREVIEW_ROWS} weitere</div>` : ''}
+                </div>
+
+                <div class="csv-preset-save">
+                    <input type="text" id="csvPresetName" class="form-input" placeholder="Vorlagenname" value="${escapeHtml(s.preset)}">
+                    <button class="btn btn-secondary btn-small" onclick="CsvImport._savePreset()">💾 Vorlage speichern</button>
+                    ${s.preset ? `<button class="btn btn-secondary btn-small" onclick="CsvImport._deletePreset()">🗑</button>` : ''}
+                </div>
+                <button class="btn btn-primary mb-sm" onclick="CsvImport._confirm()" ${ready ? '' : 'disabled'}>✅ ${words.length} Wörter übernehmen</button>
+                <button class="btn btn-secondary" onclick="CsvImport._cancel()">Abbrechen</button>
+            </div>
+        `;
+        modal.classList.add('active');
+    }
+
+    /** Chapter/unit tree as it will be created; existing entries are matched by name */
+    function _renderTree(tree) {
+        const badge = node => node.id ? '' : '<span class="csv-tree-new">neu</span>';
+        return `
+            <div class="csv-tree">
+                ${tree.chapters.map(ch => `
+                    <div class="csv-tree-chapter">${ch.icon} ${escapeHtml(ch.name)} ${badge(ch)}
+                        <small>${ch.count + ch.units.reduce((sum, u) => sum + u.count, 0)} Wörter</small></div>
+                    ${ch.units.map(u => `
+                        <div class="csv-tree-unit">📄 ${escapeHtml(u.name)} ${badge(u)} <small>${u.count}</small></div>
+                    `).join('')}
+                `).join('')}
+            </div>
+        `;
+    }
+
+    function _set(key, value) {
+        if (!_state) return;
+        if (key === 'preset') {
+            if (value) _applyPreset(value);
+            else _state.preset = '';
+        } else if (key === 'encoding') {
+            _state.encoding = value;
+            _state.text = decode(_state.bytes, value);
+            _reparse(false);
+        } else if (key === 'delimiter') {
+            _state.delimiter = value;
+            _reparse(true);
+        } else {
+            _state[key] = value;
+        }
+        _render();
+    }
+
+    function _setRole(index, role) {
+        if (!_state) return;
+        // One column per role; picking a role elsewhere frees the old column
+        if (role) {
+            _state.roles = _state.roles.map(r => r === role ? '' : r);
+        }
+        _state.roles[index] = role;
+        _render();
+    }
+
+    function _savePreset() {
+        const input = document.getElementById('csvPresetName');
+        const name = input ? input.value.trim() : '';
+        if (!name) {
+            showToast('⚠️ Bitte einen Namen für die Vorlage eingeben', 'warning');
+            return;
+        }
+        const presets = getPresets();
+        presets[name] = {
+            delimiter: _state.delimiter,
+            encoding: _state.encoding,
+            hasHeader: _state.hasHeader,
+            splitNotes: _state.splitNotes,
+            clean: _state.clean,
+            roles: _state.roles.slice(),
+            headers: _state.hasHeader ? _state.rows[0].slice() : null
+        };
+        _savePresets(presets);
+        _state.preset = name;
+        _render();
+        showToast(`💾 Vorlage „${name}" gespeichert`, 'success');
+    }
+
+    function _deletePreset() {
+        const presets = getPresets();
+        delete presets[_state.preset];
+        _savePresets(presets);
+        _state.preset = '';
+        _render();
+    }
+
+    function _confirm() {
+        if (!_state) return;
+        const { words, skipped } = buildWords(_dataRows(), _state.roles, _state);
+        if (!_state.catId && words.some(w => !w.chapter)) return;
+        const catId = _state.catId;
+        _state = null;
+        closeModal('csvWizardModal');
+        addCSVWords(words, catId, skipped);
+    }
+
+    function _cancel() {
+        _state = null;
+        closeModal('csvWizardModal');
+    }
+
+    return {
+        ROLES, DELIMITERS, ENCODINGS,
+        detectEncoding, decode, parse, detectDelimiter, guessRoles, splitNote, buildWords,
+        getPresets, open,
+        _set, _setRole, _savePreset, _deletePreset, _confirm, _cancel
+    };
+})();
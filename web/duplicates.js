@@ -0,0 +1,266 @@
+/**
+ * duplicates.js — Duplicate detection and merge when creating or importing cards
+ * Word pairs are compared by normalized Arabic (ArabicNormalizer) and case-folded
+ * German, either within the target unit or across all chapters
+ * (localStorage 'duplicateScope'). Before cards are written, resolve() shows a
+ * review dialog: skip, overwrite or merge notes per duplicate.
+ */
+const Duplicates = (() => {
+    'use strict';
+
+    const STORAGE_KEY = 'duplicateScope';
+    const SCOPES = { unit: 'Gleiche Einheit', global: 'Alle Kapitel' };
+    const ACTIONS = {
+        skip: '⏭️ Überspringen',
+        overwrite: '✏️ Überschreiben',
+        merge: '🔗 Notizen zusammenführen'
+    };
+
+    let _pending = null; // { entries, found, resolve } while the dialog is open
+
+    function getScope() {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return SCOPES[saved] ? saved : 'unit';
+    }
+
+    function setScope(scope) {
+        if (SCOPES[scope]) localStorage.setItem(STORAGE_KEY, scope);
+    }
+
+    function _pairOf(card) {
+        return card.frontLang === 'ar'
+            ? { de: card.back, ar: card.front }
+            : { de: card.front, ar: card.back };
+    }
+
+    function _catLabel(catId) {
+        const cat = AppState.categories.find(c => c.id === catId);
+        if (!cat) return '';
+        const parent = cat.parentId ? AppState.categories.find(c => c.id === cat.parentId) : null;
+        return parent ? `${parent.name} › ${cat.name}` : cat.name;
+    }
+
+    /**
+     * Find duplicates for a batch of new word pairs.
+     * @param {Array} entries — { de, ar, cat, frontLang?, ex?, noteDe?, noteAr?, note? }
+     *        With frontLang (single imported card) only cards of the same direction match.
+     * @param {string} [scope] — 'unit' | 'global', default: user setting
+     * @returns {Array} [{ index, entry, matches: [cards], inBatch }]
+     *          inBatch = repeats an earlier entry of the same batch (no existing card)
+     */
+    function find(entries, scope) {
+        scope = scope || getScope();
+        const byKey = new Map();
+        AppState.cards.forEach(card => {
+            const { de, ar } = _pairOf(card);
+            const key = ArabicNormalizer.pairKey(de, ar);
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(card);
+        });
+
+        const batch = new Set();
+        const found = [];
+        entries.forEach((entry, index) => {
+            const key = ArabicNormalizer.pairKey(entry.de, entry.ar);
+            const matches = (byKey.get(key) || []).filter(c =>
+                (scope === 'global' || c.cat === entry.cat) &&
+                (!entry.frontLang || c.frontLang === entry.frontLang));
+            const batchKey = `${scope === 'global' ? '' : entry.cat}|${entry.frontLang || ''}|${key}`;
+            if (matches.length > 0) found.push({ index, entry, matches, inBatch: false });
+            else if (batch.has(batchKey)) found.push({ index, entry, matches: [], inBatch: true });
+            batch.add(batchKey);
+        });
+        return found;
+    }
+
+    /**
+     * Index cards by word pair, e.g. to re-attach exported media after an import.
+     * @returns {Function} (de, ar, frontLang?) → card of that direction, else any card of the pair
+     */
+    function cardLookup(cards) {
+        const byKey = new Map();
+        cards.forEach(card => {
+            const { de, ar } = _pairOf(card);
+            const key = ArabicNormalizer.pairKey(de, ar);
+            if (!byKey.has(key)) byKey.set(key, card);
+            if (!byKey.has(`${key}|${card.frontLang}`)) byKey.set(`${key}|${card.frontLang}`, card);
+        });
+        return (de, ar, frontLang) => {
+            const key = ArabicNormalizer.pairKey(de, ar);
+            return byKey.get(`${key}|${frontLang}`) || byKey.get(key) || null;
+        };
+    }
+
+    /**
+     * Detect duplicates and let the user decide before anything is written.
+     * Repeats within the batch are always skipped.
+     * @param {Array} entries — see find()
+     * @returns {Promise<Object|null>} null if cancelled, else
+     *          { count, actions: Map(index → action), matches: Map(index → cards), stats }
+     */
+    function resolve(entries) {
+        const found = find(entries);
+        if (found.length === 0) return Promise.resolve(_result([], new Map()));
+        if (found.every(d => d.inBatch)) {
+            return Promise.resolve(_result(found, new Map(found.map(d => [d.index, 'skip']))));
+        }
+        return new Promise(res => {
+            _pending = { entries, found, resolve: res };
+            _renderDialog();
+        });
+    }
+
+    function _result(found, actions) {
+        const stats = { skip: 0, overwrite: 0, merge: 0 };
+        actions.forEach(a => { stats[a]++; });
+        return {
+            count: found.length,
+            actions,
+            matches: new Map(found.map(d => [d.index, d.matches])),
+            stats
+        };
+    }
+
+    // ── Review dialog ───────────────────────────────────────────────
+    function _renderDialog() {
+        let modal = document.getElementById('duplicateModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'duplicateModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+
+        const { found } = _pending;
+        const reviewable = found.filter(d => !d.inBatch);
+        const inBatch = found.length - reviewable.length;
+        const pairHtml = (de, ar) =>
+            `${renderFormattedText(de)} → <span class="ar">${renderFormattedText(ar)}</span>`;
+        const notes = (obj) => [obj.noteDe, obj.noteAr, obj.note].filter(Boolean).map(escapeHtml).join(' · ');
+
+        modal.innerHTML = `
+            <div class="modal-content dup-modal">
+                <h3>🔁 ${found.length} Duplikat${found.length !== 1 ? 'e' : ''} gefunden</h3>
+                <div class="dup-toolbar">
+                    <label>Vergleich:
+                        <select onchange="Duplicates._changeScope(this.value)">
+                            ${Object.entries(SCOPES).map(([k, label]) =>
+                                `<option value="${k}" ${getScope() === k ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <div class="dup-all">
+                        Alle:
+                        ${Object.keys(ACTIONS).map(a =>
+                            `<button class="btn btn-secondary btn-small" onclick="Duplicates._setAll('${a}')">${ACTIONS[a].split(' ')[0]}</button>`).join('')}
+                    </div>
+                </div>
+                ${inBatch > 0 ? `<p class="dup-hint">${inBatch} doppelte Einträge innerhalb des Imports werden übersprungen.</p>` : ''}
+                <div class="dup-list">
+                    ${reviewable.map(d => `
+                        <div class="dup-item">
+                            <div class="dup-new">🆕 ${pairHtml(d.entry.de, d.entry.ar)}
+                                ${notes(d.entry) ? `<small>${notes(d.entry)}</small>` : ''}</div>
+                            ${d.matches.map(card => {
+                                const { de, ar } = _pairOf(card);
+                                return `<div class="dup-existing">📚 ${pairHtml(de, ar)}
+                                    <small>${escapeHtml(_catLabel(card.cat))}${notes(card) ? ' · ' + notes(card) : ''}</small></div>`;
+                            }).join('')}
+                            <select class="dup-action" data-index="${d.index}">
+                                ${Object.entries(ACTIONS).map(([a, label]) => `<option value="${a}">${label}</option>`).join('')}
+                            </select>
+                        </div>
+                    `).join('')}
+                </div>
+                <button class="btn btn-primary mb-sm" onclick="Duplicates._confirm()">✅ Übernehmen</button>
+                <button class="btn btn-secondary" onclick="Duplicates._cancel()">Abbrechen</button>
+            </div>
+        `;
+        modal.classList.add('active');
+    }
+
+    function _changeScope(scope) {
+        if (!_pending) return;
+        setScope(scope);
+        _pending.found = find(_pending.entries, scope);
+        if (_pending.found.every(d => d.inBatch)) {
+            _confirm();
+            return;
+        }
+        _renderDialog();
+    }
+
+    function _setAll(action) {
+        document.querySelectorAll('#duplicateModal .dup-action').forEach(sel => { sel.value = action; });
+    }
+
+    function _confirm() {
+        if (!_pending) return;
+        const actions = new Map();
+        _pending.found.forEach(d => { if (d.inBatch) actions.set(d.index, 'skip'); });
+        document.querySelectorAll('#duplicateModal .dup-action').forEach(sel => {
+            actions.set(parseInt(sel.dataset.index, 10), sel.value);
+        });
+        const result = _result(_pending.found, actions);
+        _close(result);
+    }
+
+    function _cancel() {
+        _close(null);
+    }
+
+    function _close(result) {
+        const modal = document.getElementById('duplicateModal');
+        if (modal) modal.classList.remove('active');
+        const pending = _pending;
+        _pending = null;
+        if (pending) pending.resolve(result);
+    }
+
+    // ── Apply a decision ────────────────────────────────────────────
+    /** Append `extra` to `text` unless it is already contained (normalized) */
+    function _mergeText(text, extra) {
+        if (!extra) return text || '';
+        if (!text) return extra;
+        return ArabicNormalizer.includes(text, extra) ? text : `${text}; ${extra}`;
+    }
+
+    /**
+     * Apply the chosen action for one entry to its matching existing cards.
+     * Card ids and learning progress are kept.
+     */
+    function apply(entry, matches, action) {
+        if (action === 'overwrite') {
+            matches.forEach(card => {
+                card.front = card.frontLang === 'ar' ? entry.ar : entry.de;
+                card.back = card.frontLang === 'ar' ? entry.de : entry.ar;
+                if (entry.ex !== undefined) card.ex = entry.ex || '';
+                card.noteDe = entry.noteDe || '';
+                card.noteAr = entry.noteAr || '';
+                card.note = entry.note || '';
+            });
+        } else if (action === 'merge') {
+            matches.forEach(card => {
+                card.noteDe = _mergeText(card.noteDe, entry.noteDe);
+                card.noteAr = _mergeText(card.noteAr, entry.noteAr);
+                card.note = _mergeText(card.note, entry.note);
+                if (!card.ex && entry.ex) card.ex = entry.ex;
+            });
+        }
+    }
+
+    /** "3 Duplikate (2 übersprungen, 1 zusammengeführt)" */
+    function describe(result) {
+        if (!result || result.count === 0) return '';
+        const parts = [];
+        if (result.stats.skip) parts.push(`${result.stats.skip} übersprungen`);
+        if (result.stats.overwrite) parts.push(`${result.stats.overwrite} überschrieben`);
+        if (result.stats.merge) parts.push(`${result.stats.merge} zusammengeführt`);
+        return `${result.count} Duplikat${result.count !== 1 ? 'e' : ''} (${parts.join(', ')})`;
+    }
+
+    return {
+        SCOPES, getScope, setScope,
+        find, resolve, apply, describe, cardLookup,
+        _changeScope, _setAll, _confirm, _cancel
+    };
+})();
@@ -3,7 +3,8 @@
  * Pure scheduling logic, zero dependencies, configurable weights.
  *
  * Ratings: 0=Again, 1=Hard, 2=Good, 3=Easy
- * States:  "new" → "review"
+ * States:  "new" → "learning" → "review" ⇄ "relearning"
+ *          Learning/relearning steps are minute-based (same-day repetition).
  */
 const FSRS = (() => {
     'use strict';
@@ -24,10 +25,16 @@ const FSRS = (() => {
         2.2042,                              // w14: stability rating bonus (good)
         0.2407,                              // w15: stability rating bonus (easy)
         2.9466,                              // w16: hard interval factor
-        0.5034,                              // w17: easy bonus
-        0.6567                               // w18: again new interval factor (unused in some impls)
+        0.5034,                              // w17: short-term stability (same-day reviews)
+        0.6567                               // w18: short-term stability offset
     ];
 
+    // Default (re)learning steps in minutes
+    const DEFAULT_LEARNING_STEPS = [1, 10];
+    const DEFAULT_RELEARNING_STEPS = [10];
+    const MINUTE = 60 * 1000;
+    const DAY = 24 * 60 * MINUTE;
+
     // Clamp utility
     const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
 
@@ -37,6 +44,8 @@ const FSRS = (() => {
      * @param {number[]} opts.weights  — 19-element weight array
      * @param {number}   opts.requestRetention — target retention (0–1), default 0.9
      * @param {number}   opts.maxIntervalDays  — cap on interval, default 3650
+     * @param {number[]} opts.learningSteps    — minutes between steps for new cards, default [1, 10]
+     * @param {number[]} opts.relearningSteps  — minutes between steps after a lapse, default [10]
      */
     function create(opts = {}) {
         const w = opts.weights && opts.weights.length === 19
@@ -44,6 +53,8 @@ const FSRS = (() => {
             : DEFAULT_WEIGHTS;
         const R = opts.requestRetention || 0.9;
         const maxIvl = opts.maxIntervalDays || 3650;
+        const learningSteps = Array.isArray(opts.learningSteps) ? opts.learningSteps : DEFAULT_LEARNING_STEPS;
+        const relearningSteps = Array.isArray(opts.relearningSteps) ? opts.relearningSteps : DEFAULT_RELEARNING_STEPS;
 
         // ── Helper: interval from stability ──
         // FSRS formula: I = S · (R^(1 / DECAY) − 1) / FACTOR
@@ -108,58 +119,98 @@ const FSRS = (() => {
             return clamp(Sf, 0.01, S); // never higher than current S on failure
         }
 
+        // ── Short-term stability (same-day review in a learning step) ──
+        function nextStabilityShortTerm(S, rating) {
+            // S' = S · e^(w17 · (G − 3 + w18)), with G = rating + 1
+            return Math.max(S * Math.exp(w[17] * (rating - 2 + w[18])), 0.01);
+        }
+
+        // ── Step delay in minutes for a rating within (re)learning ──
+        // Returns null when the card graduates to "review".
+        function stepDelay(steps, step, rating) {
+            if (rating === 3 || steps.length === 0) return null;               // Easy → graduate
+            if (rating === 0) return { step: 0, minutes: steps[0] };           // Again → restart
+            if (rating === 1) {                                                // Hard → repeat step
+                const minutes = (step === 0 && steps.length > 1)
+                    ? (steps[0] + steps[1]) / 2
+                    : steps[Math.min(step, steps.length - 1)];
+                return { step, minutes };
+            }
+            const next = step + 1;                                             // Good → advance
+            return next < steps.length ? { step: next, minutes: steps[next] } : null;
+        }
+
         /**
          * Schedule a card after a review.
          *
-         * @param {Object} card – current SRS record { state, stability, difficulty, reps, lapses }
+         * @param {Object} card – current SRS record { state, step, stability, difficulty, reps, lapses }
          * @param {number} rating – 0=Again, 1=Hard, 2=Good, 3=Easy
          * @param {number} elapsedDays – days since lastReviewed (0 for new cards)
-         * @returns {Object} { stability, difficulty, due, interval, reps, lapses, state }
+         * @returns {Object} { stability, difficulty, due, interval, reps, lapses, state, step }
+         *          interval is in days (fractional for learning steps)
          */
         function schedule(card, rating, elapsedDays) {
             const now = Date.now();
-            let S, D, interval, reps, lapses, state;
+            let S, D, lapses, state, steps, step;
+            const reps = (card.reps || 0) + 1;
 
             if (card.state === 'new') {
                 // ── First review ever ──
                 S = initStability(rating);
                 D = initDifficulty(rating);
-                reps = 1;
-                lapses = rating === 0 ? 1 : 0;
-                state = 'review';
+                lapses = 0;
+                state = 'learning';
+                steps = learningSteps;
+                step = 0;
+            } else if (card.state === 'learning' || card.state === 'relearning') {
+                // ── Same-day repetition inside a step ──
+                S = nextStabilityShortTerm(card.stability, rating);
+                D = nextDifficulty(card.difficulty, rating);
+                lapses = card.lapses || 0;
+                state = card.state;
+                steps = state === 'learning' ? learningSteps : relearningSteps;
+                step = card.step || 0;
             } else {
-                // ── Subsequent review ──
+                // ── Review ──
                 const r = retrievability(elapsedDays, card.stability);
                 D = nextDifficulty(card.difficulty, rating);
-                reps = (card.reps || 0) + 1;
                 lapses = card.lapses || 0;
 
                 if (rating === 0) {
-                    // Again → lapse
+                    // Again → lapse, enter relearning
                     S = nextStabilityFail(D, card.stability, r);
                     lapses++;
+                    state = 'relearning';
+                    steps = relearningSteps;
+                    step = 0;
                 } else {
                     // Hard / Good / Easy → success
                     S = nextStabilitySuccess(D, card.stability, r, rating);
+                    const interval = intervalFromStability(S);
+                    return { stability: S, difficulty: D, due: now + interval * DAY, interval, reps, lapses, state: 'review', step: 0 };
                 }
-                state = 'review';
             }
 
-            // Compute interval from stability
-            if (rating === 0) {
-                // Again → short interval (review in ~10 minutes, stored as fractional day)
-                interval = 1; // 1 day minimum for simplicity
-            } else {
-                interval = intervalFromStability(S);
+            const delay = stepDelay(steps, step, rating);
+            if (delay) {
+                return {
+                    stability: S, difficulty: D,
+                    due: now + delay.minutes * MINUTE,
+                    interval: delay.minutes / (24 * 60),
+                    reps, lapses, state, step: delay.step
+                };
             }
 
-            const due = now + interval * 24 * 60 * 60 * 1000;
-
-            return { stability: S, difficulty: D, due, interval, reps, lapses, state };
+            // Graduate → review
+            const interval = intervalFromStability(S);
+            return { stability: S, difficulty: D, due: now + interval * DAY, interval, reps, lapses, state: 'review', step: 0 };
         }
 
-        return { schedule, intervalFromStability, retrievability, weights: w, requestRetention: R, maxIntervalDays: maxIvl };
+        return {
+            schedule, intervalFromStability, retrievability,
+            weights: w, requestRetention: R, maxIntervalDays: maxIvl, learningSteps, relearningSteps
+        };
     }
 
-    return { create, DEFAULT_WEIGHTS };
+    return { create, DEFAULT_WEIGHTS, DEFAULT_LEARNING_STEPS, DEFAULT_RELEARNING_STEPS };
 })();
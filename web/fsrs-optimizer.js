@@ -0,0 +1,128 @@
+/**
+ * fsrs-optimizer.js — Web Worker that fits FSRS weights to the review log
+ *
+ * Replays every card's review history through FSRS.schedule() and minimizes the
+ * log-loss of predicted retrievability vs. actual recall (rating > Again).
+ * Optimization: Adam on weights normalized to their bounds, gradient by finite
+ * differences (the model is small enough, and this keeps fsrs-core.js the only
+ * source of the formulas).
+ *
+ * In:  { reviews: [{cardId, rating, elapsedDays, timestamp}], weights?, learningSteps?,
+ *        relearningSteps?, iterations? }
+ * Out: { type: 'progress', iteration, iterations, loss }
+ *      { type: 'done', weights, loss, defaultLoss, initialLoss, samples }
+ *      { type: 'error', message }
+ */
+importScripts('fsrs-core.js');
+
+// [min, max] per weight, in FSRS.DEFAULT_WEIGHTS order (defaults lie inside).
+// What each weight does is defined by the formulas in fsrs-core.js.
+const BOUNDS = [
+    [0.01, 100], [0.01, 100], [0.01, 100], [0.01, 100],
+    [1, 10], [0.001, 4], [0.001, 1.5], [0, 1],
+    [0, 4.5], [0, 0.8], [0.001, 3.5],
+    [0.001, 5], [0.001, 0.25], [0.001, 0.9], [0, 4],
+    [0.01, 1], [1, 6],
+    [0, 2], [0, 2]
+];
+
+const MIN_SAMPLES = 50;
+const EPS = 1e-4;
+
+/** Group reviews per card in chronological order */
+function buildSequences(reviews) {
+    const byCard = new Map();
+    for (const r of reviews) {
+        if (typeof r.rating !== 'number') continue;
+        if (!byCard.has(r.cardId)) byCard.set(r.cardId, []);
+        byCard.get(r.cardId).push(r);
+    }
+    const sequences = [];
+    for (const seq of byCard.values()) {
+        seq.sort((a, b) => a.timestamp - b.timestamp);
+        // Only sequences that contain at least one prediction (a later review on another day)
+        if (seq.slice(1).some(r => r.elapsedDays >= 1)) sequences.push(seq);
+    }
+    return sequences;
+}
+
+/** Mean log-loss of the model with weights w over all sequences */
+function logLoss(w, sequences, opts) {
+    const fsrs = FSRS.create({ weights: w, learningSteps: opts.learningSteps, relearningSteps: opts.relearningSteps });
+    let sum = 0;
+    let n = 0;
+    for (const seq of sequences) {
+        let card = { state: 'new', step: 0, stability: 0, difficulty: 0, reps: 0, lapses: 0 };
+        for (const r of seq) {
+            if (card.state !== 'new' && r.elapsedDays >= 1) {
+                const p = Math.min(Math.max(fsrs.retrievability(r.elapsedDays, card.stability), EPS), 1 - EPS);
+                sum -= r.rating > 0 ? Math.log(p) : Math.log(1 - p);
+                n++;
+            }
+            card = fsrs.schedule(card, r.rating, card.state === 'new' ? 0 : r.elapsedDays);
+        }
+    }
+    return { loss: n > 0 ? sum / n : 0, samples: n };
+}
+
+const toUnit = (w) => w.map((v, i) => (v - BOUNDS[i][0]) / (BOUNDS[i][1] - BOUNDS[i][0]));
+const fromUnit = (u) => u.map((v, i) => BOUNDS[i][0] + Math.min(1, Math.max(0, v)) * (BOUNDS[i][1] - BOUNDS[i][0]));
+
+function optimize(data) {
+    const opts = { learningSteps: data.learningSteps, relearningSteps: data.relearningSteps };
+    const sequences = buildSequences(data.reviews || []);
+    const start = (data.weights && data.weights.length === 19) ? data.weights : FSRS.DEFAULT_WEIGHTS;
+
+    const base = logLoss(FSRS.DEFAULT_WEIGHTS, sequences, opts);
+    if (base.samples < MIN_SAMPLES) {
+        throw new Error(`Zu wenig Wiederholungen (${base.samples}/${MIN_SAMPLES}) für eine Optimierung`);
+    }
+    const initial = start === FSRS.DEFAULT_WEIGHTS ? base : logLoss(start, sequences, opts);
+
+    // Adam on the unit-normalized parameters
+    const iterations = data.iterations || 120;
+    const lr = 0.01, beta1 = 0.9, beta2 = 0.999, h = 1e-4;
+    let u = toUnit(start);
+    const m = new Array(19).fill(0);
+    const v = new Array(19).fill(0);
+    let best = { u: u.slice(), loss: initial.loss };
+
+    for (let it = 1; it <= iterations; it++) {
+        const current = logLoss(fromUnit(u), sequences, opts).loss;
+        if (current < best.loss) best = { u: u.slice(), loss: current };
+        const grad = u.map((_, i) => {
+            const probe = u.slice();
+            probe[i] = Math.min(1, probe[i] + h);
+            const step = probe[i] - u[i];
+            return step > 0 ? (logLoss(fromUnit(probe), sequences, opts).loss - current) / step : 0;
+        });
+
+        u = u.map((val, i) => {
+            m[i] = beta1 * m[i] + (1 - beta1) * grad[i];
+            v[i] = beta2 * v[i] + (1 - beta2) * grad[i] * grad[i];
+            const mHat = m[i] / (1 - Math.pow(beta1, it));
+            const vHat = v[i] / (1 - Math.pow(beta2, it));
+            return Math.min(1, Math.max(0, val - lr * mHat / (Math.sqrt(vHat) + 1e-8)));
+        });
+
+        self.postMessage({ type: 'progress', iteration: it, iterations, loss: current });
+    }
+
+    const weights = fromUnit(best.u).map(x => Math.round(x * 10000) / 10000);
+    const fitted = logLoss(weights, sequences, opts);
+    return {
+        weights,
+        loss: fitted.loss,
+        initialLoss: initial.loss,
+        defaultLoss: base.loss,
+        samples: fitted.samples
+    };
+}
+
+self.onmessage = (e) => {
+    try {
+        self.postMessage({ type: 'done', ...optimize(e.data || {}) });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message || String(err) });
+    }
+};
@@ -0,0 +1,339 @@
+/**
+ * ocr-layout.js — manual column layout for Tesseract pages
+ * When switched on, Tesseract stops after reading the words and this step
+ * shows the preprocessed page: the user drags column dividers, gives each
+ * column a role (Arabisch / Deutsch / Beispiel / ignorieren) and marks rows
+ * to skip (headings, page numbers). The auto-detected split is the starting
+ * point. Layouts are saved as templates per book name, so the next page of
+ * the same book starts with the same layout.
+ *
+ * localStorage 'ocrLayouts': { enabled, book, books: { name: layout } }
+ * layout: see TesseractOCR.pairsFromLayout (ocr.js)
+ */
+const OcrLayout = (() => {
+    'use strict';
+
+    const STORAGE_KEY = 'ocrLayouts';
+    const ROLES = {
+        ar: '🟢 Arabisch',
+        de: '🔵 Deutsch',
+        ex: '💡 Beispiel',
+        ignore: '⛔ Ignorieren'
+    };
+    const MIN_COLUMN = 0.03; // dividers keep at least 3% page width apart
+    const MIN_ZONE = 0.01;
+
+    let _state = null; // { scan, layout, auto, book, url, excluding, start, resolve } while the dialog is open
+
+    // ── Settings & templates ────────────────────────────────────────
+    function getSettings() {
+        try {
+            return { enabled: false, book: '', books: {}, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+        } catch (e) {
+            console.warn('Layout-Vorlagen unlesbar:', e);
+            return { enabled: false, book: '', books: {} };
+        }
+    }
+
+    function _saveSettings(settings) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    function isEnabled() {
+        return getSettings().enabled;
+    }
+
+    function setEnabled(enabled) {
+        _saveSettings({ ...getSettings(), enabled });
+        renderToggle();
+    }
+
+    /** Saved template of a book, or null */
+    function getTemplate(book) {
+        const layout = book ? getSettings().books[book] : null;
+        return layout ? _clone(layout) : null;
+    }
+
+    function _saveTemplate(book, layout) {
+        const settings = getSettings();
+        settings.book = book;
+        if (book) settings.books[book] = layout;
+        _saveSettings(settings);
+    }
+
+    function _deleteTemplate(book) {
+        const settings = getSettings();
+        delete settings.books[book];
+        _saveSettings(settings);
+    }
+
+    const _clone = layout => ({
+        dividers: [...layout.dividers],
+        roles: [...layout.roles],
+        exclude: layout.exclude.map(z => ({ ...z }))
+    });
+
+    function renderToggle() {
+        const toggle = document.getElementById('ocrLayoutToggle');
+        if (toggle) toggle.checked = isEnabled();
+    }
+
+    /**
+     * performOCR options for one upload: {} when switched off, else the
+     * layout step. The first confirmed layout is reused for further pages
+     * of the same upload (PDF) without asking again.
+     */
+    function session() {
+        if (!isEnabled()) return {};
+        let confirmed = null;
+        return {
+            editLayout: async (scan, auto) => {
+                if (confirmed) return confirmed;
+                confirmed = await edit(scan, auto);
+                return confirmed;
+            }
+        };
+    }
+
+    // ── Dialog ──────────────────────────────────────────────────────
+    /**
+     * Let the user adjust the layout on the scanned page.
+     * @param {Object} scan  TesseractOCR.read() result
+     * @param {Object|null} auto  auto-detected layout
+     * @returns {Promise<Object|null>} layout, or null = automatic analysis
+     */
+    function edit(scan, auto) {
+        const book = getSettings().book;
+        const fallback = { dividers: [0.5], roles: ['de', 'ar'], exclude: [] };
+        return new Promise(resolve => {
+            _state = {
+                scan, auto, book,
+                layout: getTemplate(book) || (auto ? _clone(auto) : fallback),
+                url: URL.createObjectURL(scan.blob),
+                excluding: false, start: null, resolve
+            };
+            _render();
+            document.getElementById('ocrLayoutModal').classList.add('active');
+        });
+    }
+
+    const _pct = v => `${(v * 100).toFixed(2)}%`;
+
+    /** Column edges [0, …dividers, 1] */
+    const _edges = () => [0, ..._state.layout.dividers, 1];
+
+    function _render() {
+        let modal = document.getElementById('ocrLayoutModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'ocrLayoutModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+
+        const { scan, layout } = _state;
+        const edges = _edges();
+        const books = Object.keys(getSettings().books).sort();
+        const valid = layout.roles.includes('ar') && layout.roles.includes('de');
+        const pairs = valid ? TesseractOCR.pairsFromLayout(scan, layout) : [];
+        const { width, height } = scan.size;
+
+        modal.innerHTML = `
+            <div class="modal-content ocr-layout">
+                <h3>📐 Spalten festlegen</h3>
+                <p class="ocr-layout-hint">
+                    ${_state.excluding
+                        ? '🚫 Über Zeilen ziehen, die übersprungen werden sollen (Überschriften, Seitenzahlen)'
+                        : 'Trennlinien ziehen und jeder Spalte eine Rolle geben'}
+                </p>
+                <label class="ocr-field">📖 Buch (Vorlage)
+                    <input type="text" id="ocrLayoutBook" class="form-input" list="ocrLayoutBooks"
+                        value="${escapeAttr(_state.book)}" placeholder="z.B. Medina Band 1" onchange="OcrLayout._setBook(this.value)">
+                    <datalist id="ocrLayoutBooks">
+                        ${books.map(b => `<option value="${escapeAttr(b)}">`).join('')}
+                    </datalist>
+                </label>
+                <div class="ocr-layout-roles">
+                    ${layout.roles.map((role, i) => `
+                        <select style="width:${_pct(edges[i + 1] - edges[i])}" onchange="OcrLayout._setRole(${i}, this.value)">
+                            ${Object.entries(ROLES).map(([id, label]) => `<option value="${id}" ${id === role ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    `).join('')}
+                </div>
+                <div class="ocr-layout-page ${_state.excluding ? 'excluding' : ''}" id="ocrLayoutPage">
+                    <img src="${_state.url}" alt="Seite" draggable="false">
+                    ${layout.roles.map((role, i) => `
+                        <div class="ocr-layout-column ${role}" style="left:${_pct(edges[i])};width:${_pct(edges[i + 1] - edges[i])}"></div>
+                    `).join('')}
+                    ${scan.words.map(w => `
+                        <div class="ocr-layout-word ${TesseractOCR.isExcluded(w, layout, scan.size) ? 'skipped' : ''}"
+                            style="left:${_pct(w.bbox.x0 / width)};top:${_pct(w.bbox.y0 / height)};width:${_pct((w.bbox.x1 - w.bbox.x0) / width)};height:${_pct((w.bbox.y1 - w.bbox.y0) / height)}"></div>
+                    `).join('')}
+                    ${layout.exclude.map((z, i) => `
+                        <div class="ocr-layout-zone" style="top:${_pct(z.y)};height:${_pct(z.h)}">
+                            <button class="ocr-layout-zone-remove" onclick="OcrLayout._removeZone(${i})" aria-label="Bereich entfernen">×</button>
+                        </div>
+                    `).join('')}
+                    ${layout.dividers.map((x, i) => `
+                        <div class="ocr-layout-divider" data-index="${i}" style="left:${_pct(x)}"></div>
+                    `).join('')}
+                </div>
+                <div class="ocr-layout-tools">
+                    <button class="btn btn-secondary btn-small" onclick="OcrLayout._addColumn()">➕ Spalte</button>
+                    <button class="btn btn-secondary btn-small" onclick="OcrLayout._removeColumn()" ${layout.dividers.length === 0 ? 'disabled' : ''}>➖ Spalte</button>
+                    <button class="btn btn-secondary btn-small ${_state.excluding ? 'active' : ''}" onclick="OcrLayout._toggleExclude()">🚫 Zeilen</button>
+                    ${_state.auto ? '<button class="btn btn-secondary btn-small" onclick="OcrLayout._useAuto()">🔄 Automatisch</button>' : ''}
+                </div>
+                <div class="ocr-layout-preview">
+                    ${valid
+                        ? `<b>${pairs.length} Wortpaare</b>${pairs.slice(0, 3).map(p => `<div>${escapeHtml(p.de)} → <span class="ar">${escapeHtml(p.ar)}</span>${p.ex ? ` <small>💡 ${escapeHtml(p.ex)}</small>` : ''}</div>`).join('')}`
+                        : '<span class="ocr-provider-warn">⚠️ Mindestens eine arabische und eine deutsche Spalte nötig</span>'}
+                </div>
+                <button class="btn btn-primary mb-sm" onclick="OcrLayout._apply()" ${valid ? '' : 'disabled'}>✅ Übernehmen</button>
+                ${_state.book && getTemplate(_state.book) ? `<button class="btn btn-secondary mb-sm" onclick="OcrLayout._forget()">🗑 Vorlage „${escapeHtml(_state.book)}“ löschen</button>` : ''}
+                <button class="btn btn-secondary" onclick="OcrLayout._skip()">⏭ Ohne Layout (automatisch)</button>
+            </div>
+        `;
+        _bindPointer();
+    }
+
+    function _bindPointer() {
+        const page = document.getElementById('ocrLayoutPage');
+        if (!page) return;
+        const point = (e) => {
+            const box = page.getBoundingClientRect();
+            return {
+                x: Math.max(0, Math.min(1, (e.clientX - box.left) / box.width)),
+                y: Math.max(0, Math.min(1, (e.clientY - box.top) / box.height))
+            };
+        };
+
+        // Dividers: drag sideways, clamped between the neighbours
+        page.querySelectorAll('.ocr-layout-divider').forEach(el => {
+            const i = Number(el.dataset.index);
+            el.addEventListener('pointerdown', e => {
+                if (_state.excluding) return;
+                e.stopPropagation();
+                el.setPointerCapture(e.pointerId);
+                el.classList.add('dragging');
+            });
+            el.addEventListener('pointermove', e => {
+                if (!el.classList.contains('dragging')) return;
+                const edges = _edges();
+                const x = Math.max(edges[i] + MIN_COLUMN, Math.min(edges[i + 2] - MIN_COLUMN, point(e).x));
+                _state.layout.dividers[i] = x;
+                el.style.left = _pct(x);
+            });
+            el.addEventListener('pointerup', () => {
+                if (!el.classList.contains('dragging')) return;
+                _render();
+            });
+        });
+
+        // Row exclusion: drag vertically over the rows to skip
+        if (!_state.excluding) return;
+        let band = null;
+        page.addEventListener('pointerdown', e => {
+            page.setPointerCapture(e.pointerId);
+            _state.start = point(e).y;
+            band = document.createElement('div');
+            band.className = 'ocr-layout-zone drawing';
+            page.appendChild(band);
+        });
+        page.addEventListener('pointermove', e => {
+            if (_state.start === null || !band) return;
+            const y = point(e).y;
+            band.style.top = _pct(Math.min(y, _state.start));
+            band.style.height = _pct(Math.abs(y - _state.start));
+        });
+        page.addEventListener('pointerup', e => {
+            if (_state.start === null) return;
+            const y = point(e).y;
+            const zone = { y: Math.min(y, _state.start), h: Math.abs(y - _state.start) };
+            _state.start = null;
+            if (zone.h >= MIN_ZONE) _state.layout.exclude.push(zone);
+            _render();
+        });
+    }
+
+    // ── Actions ─────────────────────────────────────────────────────
+    function _setRole(i, role) {
+        _state.layout.roles[i] = role;
+        _render();
+    }
+
+    /** Split the widest column in half; the new right part is ignored until given a role */
+    function _addColumn() {
+        const edges = _edges();
+        let widest = 0;
+        for (let i = 1; i < edges.length - 1; i++) {
+            if (edges[i + 1] - edges[i] > edges[widest + 1] - edges[widest]) widest = i;
+        }
+        _state.layout.dividers.splice(widest, 0, (edges[widest] + edges[widest + 1]) / 2);
+        _state.layout.roles.splice(widest + 1, 0, 'ignore');
+        _render();
+    }
+
+    /** Merge the rightmost column into its neighbour */
+    function _removeColumn() {
+        _state.layout.dividers.pop();
+        _state.layout.roles.pop();
+        _render();
+    }
+
+    function _toggleExclude() {
+        _state.excluding = !_state.excluding;
+        _render();
+    }
+
+    function _removeZone(i) {
+        _state.layout.exclude.splice(i, 1);
+        _render();
+    }
+
+    function _useAuto() {
+        _state.layout = _clone(_state.auto);
+        _render();
+    }
+
+    /** Known book → load its template (re-render only then, so a pending click isn't lost) */
+    function _setBook(name) {
+        _state.book = name.trim();
+        const template = getTemplate(_state.book);
+        if (!template) return;
+        _state.layout = template;
+        showToast(`📖 Vorlage „${_state.book}“ geladen`, 'info');
+        _render();
+    }
+
+    function _forget() {
+        if (!confirm(`Vorlage „${_state.book}“ löschen?`)) return;
+        _deleteTemplate(_state.book);
+        _render();
+    }
+
+    function _apply() {
+        _state.book = document.getElementById('ocrLayoutBook').value.trim();
+        const layout = _clone(_state.layout);
+        _saveTemplate(_state.book, layout);
+        _finish(layout);
+    }
+
+    function _skip() {
+        _finish(null);
+    }
+
+    function _finish(result) {
+        const state = _state;
+        _state = null;
+        URL.revokeObjectURL(state.url);
+        closeModal('ocrLayoutModal');
+        state.resolve(result);
+    }
+
+    return {
+        STORAGE_KEY, ROLES,
+        getSettings, isEnabled, setEnabled, getTemplate, renderToggle, session, edit,
+        _setRole, _addColumn, _removeColumn, _toggleExclude, _removeZone, _useAuto, _setBook, _forget, _apply, _skip
+    };
+})();
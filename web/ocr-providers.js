@@ -0,0 +1,220 @@
+/**
+ * ocr-providers.js — OCR provider registry and settings
+ * Providers (registered in ocr.js) are tried in the user's order until one
+ * returns word pairs. Order, on/off and per-provider config (API keys,
+ * endpoints) live in localStorage 'ocrSettings' — never in the source.
+ *
+ * Provider: {
+ *   id, label, icon, hint,
+ *   input: 'original' | 'processed'  — colour original or thresholded image
+ *   enabled: default on/off
+ *   fields: [{ key, label, type, placeholder }] — config shown in the settings
+ *   defaults: default config values
+ *   isAvailable(config) → bool       — e.g. API key set, iOS plugin present
+ *   layout: true                     — honours a manual column layout (options.layout / editLayout)
+ *   recognize(blob, config, progress, options) → Promise<[{ de, ar, ex, confidence, box? }]>
+ *       confidence: 0–1, or null when the provider doesn't report one
+ *       box: { x, y, w, h } as fractions of the image (top left origin), if known
+ * }
+ */
+const OcrProviders = (() => {
+    'use strict';
+
+    const STORAGE_KEY = 'ocrSettings';
+    const _providers = []; // registration order = default order
+    let _draft = null;     // settings being edited in the dialog
+
+    function register(provider) {
+        _providers.push(provider);
+    }
+
+    function get(id) {
+        return _providers.find(p => p.id === id) || null;
+    }
+
+    /** { order: [ids], providers: { id: { enabled, ...config } } } with defaults filled in */
+    function getSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        } catch (e) {
+            console.warn('OCR-Einstellungen unlesbar:', e);
+        }
+        const known = _providers.map(p => p.id);
+        const order = (saved.order || []).filter(id => known.includes(id));
+        known.forEach(id => { if (!order.includes(id)) order.push(id); });
+
+        const providers = {};
+        _providers.forEach(p => {
+            providers[p.id] = { enabled: p.enabled, ...(p.defaults || {}), ...((saved.providers || {})[p.id] || {}) };
+        });
+        return { order, providers };
+    }
+
+    function saveSettings(settings) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    /** Password-type config fields (API keys) never leave the device */
+    function _isSecret(providerId, key) {
+        const p = get(providerId);
+        return key === 'apiKey' || !!(p && (p.fields || []).some(f => f.key === key && f.type === 'password'));
+    }
+
+    /** Copy of stored settings without secret fields, e.g. for a backup */
+    function withoutSecrets(settings) {
+        const providers = {};
+        Object.entries(settings.providers || {}).forEach(([id, config]) => {
+            providers[id] = Object.fromEntries(Object.entries(config || {}).filter(([key]) => !_isSecret(id, key)));
+        });
+        return { ...settings, providers };
+    }
+
+    /** Copy of `settings` carrying over the secret fields of `from` (restore keeps local API keys) */
+    function withSecretsFrom(settings, from) {
+        const providers = { ...(settings.providers || {}) };
+        Object.entries(from.providers || {}).forEach(([id, config]) => {
+            Object.entries(config || {}).forEach(([key, value]) => {
+                if (_isSecret(id, key)) providers[id] = { ...providers[id], [key]: value };
+            });
+        });
+        return { ...settings, providers };
+    }
+
+    /** Enabled, usable providers in the user's order: [{ provider, config }] */
+    function active() {
+        const s = getSettings();
+        return s.order
+            .map(id => ({ provider: get(id), config: s.providers[id] }))
+            .filter(({ provider, config }) => config.enabled && (!provider.isAvailable || provider.isAvailable(config)));
+    }
+
+    /**
+     * Run the active providers in order; the first non-empty result wins.
+     * Throws when every provider failed (an empty result is not a failure).
+     * With a manual column layout only providers that support one are asked.
+     */
+    async function recognize(originalBlob, processedBlob, progress, options = {}) {
+        const withLayout = !!(options.layout || options.editLayout);
+        const chain = active().filter(({ provider }) => !withLayout || provider.layout);
+        if (chain.length === 0) {
+            throw new Error(withLayout
+                ? 'Manuelles Spalten-Layout braucht Tesseract — bitte in den OCR-Einstellungen einschalten.'
+                : 'Keine Texterkennung aktiv — bitte in den OCR-Einstellungen eine einschalten.');
+        }
+
+        const errors = [];
+        let empty = false;
+        for (const { provider, config } of chain) {
+            try {
+                progress(`${provider.icon} ${provider.label}...`, 15);
+                const pairs = await provider.recognize(provider.input === 'processed' ? processedBlob : originalBlob, config, progress, options);
+                if (pairs.length > 0) return pairs;
+                empty = true;
+                console.warn(`⚠️ ${provider.label}: keine Wortpaare`);
+            } catch (error) {
+                console.warn(`⚠️ ${provider.label} fehlgeschlagen:`, error.message);
+                errors.push(`${provider.label}: ${error.message}`);
+            }
+        }
+        if (empty) return [];
+        throw new Error(errors.join('\n'));
+    }
+
+    // ── Settings dialog ─────────────────────────────────────────────
+    function openSettings() {
+        _draft = getSettings();
+        _render();
+        document.getElementById('ocrSettingsModal').classList.add('active');
+    }
+
+    function _renderProvider(id, i) {
+        const p = get(id);
+        const config = _draft.providers[id];
+        const usable = !p.isAvailable || p.isAvailable(config);
+        return `
+            <div class="ocr-provider ${config.enabled ? '' : 'disabled'}">
+                <div class="ocr-provider-head">
+                    <label>
+                        <input type="checkbox" ${config.enabled ? 'checked' : ''} onchange="OcrProviders._toggle('${id}', this.checked)">
+                        ${p.icon} <b>${escapeHtml(p.label)}</b>
+                    </label>
+                    <span>
+                        <button class="icon-btn" onclick="OcrProviders._move('${id}', -1)" ${i === 0 ? 'disabled' : ''} aria-label="Nach oben">↑</button>
+                        <button class="icon-btn" onclick="OcrProviders._move('${id}', 1)" ${i === _draft.order.length - 1 ? 'disabled' : ''} aria-label="Nach unten">↓</button>
+                    </span>
+                </div>
+                ${p.hint ? `<div class="ocr-settings-hint">${escapeHtml(p.hint)}</div>` : ''}
+                ${(p.fields || []).map(f => `
+                    <label class="ocr-field">${escapeHtml(f.label)}
+                        <input type="${f.type || 'text'}" id="ocrField_${id}_${f.key}" class="form-input"
+                            value="${escapeAttr(config[f.key] || '')}" placeholder="${escapeAttr(f.placeholder || '')}"
+                            autocomplete="off" autocapitalize="off" spellcheck="false">
+                    </label>
+                `).join('')}
+                ${config.enabled && !usable ? '<div class="ocr-provider-warn">⚠️ Nicht verfügbar — wird übersprungen</div>' : ''}
+            </div>
+        `;
+    }
+
+    function _render() {
+        let modal = document.getElementById('ocrSettingsModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'ocrSettingsModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+
+        modal.innerHTML = `
+            <div class="modal-content ocr-settings">
+                <h3>🔍 Texterkennung (OCR)</h3>
+                <p class="ocr-settings-hint">Reihenfolge = Versuchsreihenfolge. Schlägt eine Methode fehl, kommt die nächste dran.</p>
+                ${_draft.order.map(_renderProvider).join('')}
+                <button class="btn btn-primary mb-sm" onclick="OcrProviders._save()">✅ Speichern</button>
+                <button class="btn btn-secondary" onclick="closeModal('ocrSettingsModal')">Abbrechen</button>
+            </div>
+        `;
+    }
+
+    /** Copy field inputs into the draft before re-rendering or saving */
+    function _collect() {
+        _providers.forEach(p => {
+            (p.fields || []).forEach(f => {
+                const el = document.getElementById(`ocrField_${p.id}_${f.key}`);
+                if (el) _draft.providers[p.id][f.key] = el.value.trim();
+            });
+        });
+    }
+
+    function _toggle(id, enabled) {
+        _collect();
+        _draft.providers[id].enabled = enabled;
+        _render();
+    }
+
+    function _move(id, delta) {
+        _collect();
+        const i = _draft.order.indexOf(id);
+        const j = i + delta;
+        if (j < 0 || j >= _draft.order.length) return;
+        [_draft.order[i], _draft.order[j]] = [_draft.order[j], _draft.order[i]];
+        _render();
+    }
+
+    function _save() {
+        _collect();
+        saveSettings(_draft);
+        _draft = null;
+        closeModal('ocrSettingsModal');
+        const names = active().map(({ provider }) => provider.label);
+        if (names.length > 0) showToast(`🔍 OCR: ${names.join(' → ')}`, 'success');
+        else showToast('⚠️ Keine OCR-Methode verfügbar', 'warning');
+    }
+
+    return {
+        STORAGE_KEY,
+        register, get, getSettings, saveSettings, withoutSecrets, withSecretsFrom, active, recognize, openSettings,
+        _toggle, _move, _save
+    };
+})();
@@ -0,0 +1,297 @@
+/**
+ * ocr-review.js — check OCR results against the scanned page
+ * Scanned images are kept per page (addSource); pending words carry `source`
+ * (page id), `box` ({ x, y, w, h } as fractions of the image) and
+ * `confidence` from ocr.js. The review shows the page with a frame per pair,
+ * highlights unsure pairs, edits a pair on tap and re-runs OCR on a region
+ * the user draws. Pages live in memory only (gone after reload / fullReset).
+ */
+const OcrReview = (() => {
+    'use strict';
+
+    const LOW_CONFIDENCE = 0.6;
+    const MIN_REGION = 0.02; // drawn regions smaller than 2% of the page are ignored
+
+    let _sources = {}; // id → { blob, url } per scanned page
+    let _counter = 0;
+    let _view = null;  // { source, editing, drawing, start, rect, busy }
+
+    // ── Sources ─────────────────────────────────────────────────────
+    /**
+     * Keep a scanned page; returns its id for word.source. Ids are unique per
+     * session, so words restored from an earlier session never match a page.
+     */
+    function addSource(blob) {
+        const id = `scan_${Date.now()}_${++_counter}`;
+        _sources[id] = { blob, url: URL.createObjectURL(blob) };
+        return id;
+    }
+
+    function reset() {
+        Object.values(_sources).forEach(s => URL.revokeObjectURL(s.url));
+        _sources = {};
+        if (_view) _close();
+    }
+
+    /** Page ids (scan order) that still have pending words */
+    function _pagesWithWords() {
+        return Object.keys(_sources).filter(id => AppState.pending.some(w => w.source === id));
+    }
+
+    /** Is there a scanned page for the pending words? */
+    function isAvailable() {
+        return _pagesWithWords().length > 0;
+    }
+
+    function isLow(word) {
+        return typeof word.confidence === 'number' && word.confidence < LOW_CONFIDENCE;
+    }
+
+    // ── View ────────────────────────────────────────────────────────
+    function open(source) {
+        const pages = _pagesWithWords();
+        if (pages.length === 0) {
+            showToast('⚠️ Kein Scan zum Prüfen vorhanden', 'warning');
+            return;
+        }
+        _view = { source: pages.includes(source) ? source : pages[0], editing: null, drawing: false, start: null, rect: null, busy: false };
+        _render();
+        document.getElementById('ocrReviewModal').classList.add('active');
+    }
+
+    const _pct = v => `${(v * 100).toFixed(2)}%`;
+    const _boxStyle = b => `left:${_pct(b.x)};top:${_pct(b.y)};width:${_pct(b.w)};height:${_pct(b.h)}`;
+
+    function _render() {
+        let modal = document.getElementById('ocrReviewModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'ocrReviewModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+
+        const pages = _pagesWithWords();
+        const pageIdx = pages.indexOf(_view.source);
+        const items = AppState.pending
+            .map((w, i) => ({ w, i }))
+            .filter(({ w }) => w.source === _view.source);
+        const lowCount = items.filter(({ w }) => isLow(w)).length;
+        const label = ({ i }) => items.findIndex(it => it.i === i) + 1;
+
+        modal.innerHTML = `
+            <div class="modal-content ocr-review">
+                <div class="ocr-review-head">
+                    <h3>🔎 Scan prüfen</h3>
+                    ${pages.length > 1 ? `
+                        <span class="ocr-review-nav">
+                            <button class="icon-btn" onclick="OcrReview._page(-1)" ${pageIdx === 0 ? 'disabled' : ''}>‹</button>
+                            Seite ${pageIdx + 1}/${pages.length}
+                            <button class="icon-btn" onclick="OcrReview._page(1)" ${pageIdx === pages.length - 1 ? 'disabled' : ''}>›</button>
+                        </span>` : ''}
+                </div>
+                <p class="ocr-review-hint">
+                    ${_view.drawing ? '✏️ Rahmen um den fehlenden Bereich ziehen' : 'Rahmen antippen zum Bearbeiten'}
+                    ${lowCount > 0 ? ` · <span class="ocr-low-label">${lowCount} unsicher</span>` : ''}
+                </p>
+                <div class="ocr-review-page ${_view.drawing ? 'drawing' : ''}" id="ocrReviewPage">
+                    <img src="${_sources[_view.source].url}" alt="Scan" draggable="false">
+                    ${items.filter(({ w }) => w.box).map(it => `
+                        <button class="ocr-box ${isLow(it.w) ? 'low' : ''} ${_view.editing === it.i ? 'editing' : ''}"
+                            style="${_boxStyle(it.w.box)}" onclick="OcrReview._edit(${it.i})">${label(it)}</button>
+                    `).join('')}
+                    ${_view.rect ? `<div class="ocr-draw-rect" style="${_boxStyle(_view.rect)}"></div>` : ''}
+                </div>
+                <div class="ocr-review-tools">
+                    <button class="btn btn-secondary btn-small ${_view.drawing ? 'active' : ''}" onclick="OcrReview._toggleDraw()" ${_view.busy ? 'disabled' : ''}>
+                        ${_view.busy ? '⏳ Erkenne...' : (_view.drawing ? '❌ Markieren beenden' : '✏️ Bereich neu erkennen')}
+                    </button>
+                </div>
+                ${_view.editing !== null ? _renderEditor(AppState.pending[_view.editing]) : ''}
+                <div class="ocr-review-list">
+                    ${items.map(it => `
+                        <div class="ocr-review-item ${isLow(it.w) ? 'low' : ''} ${_view.editing === it.i ? 'editing' : ''}" onclick="OcrReview._edit(${it.i})">
+                            <b>${label(it)}</b>
+                            <span>${renderFormattedText(it.w.de)}</span> → <span class="ar">${renderFormattedText(it.w.ar)}</span>
+                            <small>${typeof it.w.confidence === 'number' ? Math.round(it.w.confidence * 100) + '%' : ''}${it.w.box ? '' : ' · ohne Position'}</small>
+                        </div>
+                    `).join('')}
+                </div>
+                <button class="btn btn-secondary" onclick="OcrReview._close()">Schließen</button>
+            </div>
+        `;
+        _bindDrawing();
+    }
+
+    function _renderEditor(w) {
+        return `
+            <div class="ocr-review-editor">
+                <input type="text" id="ocrReviewDe" class="form-input" value="${escapeAttr(w.de)}" placeholder="Deutsch">
+                <input type="text" id="ocrReviewAr" class="form-input arabic" dir="rtl" value="${escapeAttr(w.ar)}" placeholder="Arabisch">
+                <input type="text" id="ocrReviewEx" class="form-input" value="${escapeAttr(w.ex || '')}" placeholder="Beispiel (optional)">
+                <div class="ocr-review-editor-actions">
+                    <button class="btn btn-primary btn-small" onclick="OcrReview._saveEdit()">✅ OK</button>
+                    <button class="btn btn-secondary btn-small" onclick="OcrReview._remove()">🗑 Entfernen</button>
+                    <button class="btn btn-secondary btn-small" onclick="OcrReview._edit(null)">❌</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function _page(delta) {
+        const pages = _pagesWithWords();
+        const next = pages[pages.indexOf(_view.source) + delta];
+        if (next === undefined) return;
+        _view = { ..._view, source: next, editing: null, drawing: false, rect: null };
+        _render();
+    }
+
+    // ── Edit ────────────────────────────────────────────────────────
+    function _edit(i) {
+        if (!_view || _view.drawing) return;
+        _view.editing = i;
+        _render();
+        const input = document.getElementById('ocrReviewDe');
+        if (input) input.focus();
+    }
+
+    function _saveEdit() {
+        const w = AppState.pending[_view.editing];
+        const de = document.getElementById('ocrReviewDe').value.trim();
+        const ar = document.getElementById('ocrReviewAr').value.trim();
+        if (!de || !ar) {
+            showToast('⚠️ Deutsch + Arabisch ausfüllen!', 'warning');
+            return;
+        }
+        w.de = de;
+        w.ar = ar;
+        w.ex = document.getElementById('ocrReviewEx').value.trim();
+        w.confidence = 1; // checked by the user
+        Storage.savePending();
+        renderPending();
+        _view.editing = null;
+        _render();
+    }
+
+    function _remove() {
+        removeWord(_view.editing);
+        _view.editing = null;
+        if (!_pagesWithWords().includes(_view.source)) {
+            _close();
+            return;
+        }
+        _render();
+    }
+
+    // ── Re-OCR a drawn region ───────────────────────────────────────
+    function _toggleDraw() {
+        _view.drawing = !_view.drawing;
+        _view.editing = null;
+        _view.rect = null;
+        _render();
+    }
+
+    function _bindDrawing() {
+        const page = document.getElementById('ocrReviewPage');
+        if (!page || !_view.drawing) return;
+
+        const point = (e) => {
+            const box = page.getBoundingClientRect();
+            return {
+                x: Math.max(0, Math.min(1, (e.clientX - box.left) / box.width)),
+                y: Math.max(0, Math.min(1, (e.clientY - box.top) / box.height))
+            };
+        };
+        const drawRect = () => {
+            let el = page.querySelector('.ocr-draw-rect');
+            if (!el) {
+                el = document.createElement('div');
+                el.className = 'ocr-draw-rect';
+                page.appendChild(el);
+            }
+            el.setAttribute('style', _boxStyle(_view.rect));
+        };
+        page.addEventListener('pointerdown', e => {
+            page.setPointerCapture(e.pointerId);
+            _view.start = point(e);
+            _view.rect = null;
+        });
+        page.addEventListener('pointermove', e => {
+            if (!_view || !_view.start) return;
+            const p = point(e);
+            _view.rect = {
+                x: Math.min(p.x, _view.start.x), y: Math.min(p.y, _view.start.y),
+                w: Math.abs(p.x - _view.start.x), h: Math.abs(p.y - _view.start.y)
+            };
+            drawRect();
+        });
+        page.addEventListener('pointerup', () => {
+            if (!_view || !_view.start) return;
+            _view.start = null;
+            const r = _view.rect;
+            if (r && r.w >= MIN_REGION && r.h >= MIN_REGION) _recognizeRegion(r);
+        });
+    }
+
+    async function _recognizeRegion(rect) {
+        const source = _view.source;
+        _view.busy = true;
+        _view.drawing = false;
+        _render();
+        try {
+            const bitmap = await createImageBitmap(_sources[source].blob);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(rect.w * bitmap.width));
+            canvas.height = Math.max(1, Math.round(rect.h * bitmap.height));
+            canvas.getContext('2d').drawImage(bitmap,
+                rect.x * bitmap.width, rect.y * bitmap.height, canvas.width, canvas.height,
+                0, 0, canvas.width, canvas.height);
+            bitmap.close();
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+            const found = await performOCR(blob, () => { });
+            // Pairs already on this page (e.g. a region drawn twice) are not added again
+            const known = new Set(AppState.pending
+                .filter(w => w.source === source)
+                .map(w => ArabicNormalizer.pairKey(w.de, w.ar)));
+            const words = found.filter(w => {
+                const key = ArabicNormalizer.pairKey(w.de, w.ar);
+                if (known.has(key)) return false;
+                known.add(key);
+                return true;
+            });
+            // Boxes come back relative to the crop → map into the page
+            words.forEach(w => {
+                w.source = source;
+                w.box = w.box
+                    ? { x: rect.x + w.box.x * rect.w, y: rect.y + w.box.y * rect.h, w: w.box.w * rect.w, h: w.box.h * rect.h }
+                    : { ...rect };
+            });
+            AppState.pending.push(...words);
+            Storage.savePending();
+            renderPending();
+            const repeated = found.length - words.length;
+            const knownInfo = repeated > 0 ? ` (${repeated} schon vorhanden)` : '';
+            if (words.length > 0) showToast(`✅ ${words.length} Wortpaare im Bereich erkannt${knownInfo}`, 'success');
+            else showToast(found.length > 0 ? `ℹ️ Alle ${found.length} Wortpaare schon vorhanden` : '⚠️ Im Bereich nichts erkannt', found.length > 0 ? 'info' : 'warning');
+        } catch (e) {
+            console.error('Bereichs-OCR fehlgeschlagen:', e);
+            showToast('❌ ' + e.message, 'error');
+        }
+        if (!_view) return;
+        _view.busy = false;
+        _view.rect = null;
+        _render();
+    }
+
+    function _close() {
+        _view = null;
+        closeModal('ocrReviewModal');
+    }
+
+    return {
+        LOW_CONFIDENCE,
+        addSource, reset, isAvailable, isLow, open,
+        _page, _edit, _saveEdit, _remove, _toggleDraw, _close
+    };
+})();
@@ -21,9 +21,7 @@ const PdfHandler = {
         try {
             progressCallback('📄 Lade PDF...', 5);
 
-            // ArrayBuffer laden
-            const arrayBuffer = await file.arrayBuffer();
-            pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+            pdf = await this.open(file);
 
             const numPages = pdf.numPages;
             console.log(`📄 PDF geladen: ${numPages} Seiten`);
@@ -32,63 +30,12 @@ const PdfHandler = {
                 const pageProgress = 10 + ((pageNum - 1) / numPages) * 80;
                 progressCallback(`📄 Seite ${pageNum}/${numPages}...`, pageProgress);
 
-                const page = await pdf.getPage(pageNum);
-
-                // === STRATEGIE 1: Text-Layer extrahieren (schnell!) ===
-                const textContent = await page.getTextContent();
-                const pageText = textContent.items
-                    .map(item => item.str)
-                    .join(' ')
-                    .trim();
-
-                if (pageText.length > 30) {
-                    // PDF hat eingebetteten Text!
-                    console.log(`📝 Seite ${pageNum}: Text-Layer gefunden (${pageText.length} Zeichen)`);
-                    progressCallback(`📝 Seite ${pageNum}: Text erkannt!`, pageProgress + 5);
-
-                    const words = WordExtractor.extract(pageText);
-                    allWords.push(...words);
-
-                    // Thumbnail von erster Seite
-                    if (pageNum === 1) {
-                        thumbnail = await this._renderPageThumbnail(page, 400);
-                    }
-
-                } else {
-                    // === STRATEGIE 2: Gescanntes PDF → Canvas → OCR ===
-                    console.log(`🔍 Seite ${pageNum}: Kein Text-Layer, starte OCR`);
-                    progressCallback(`🔍 Seite ${pageNum}: OCR läuft...`, pageProgress + 5);
-
-                    const canvas = document.createElement('canvas');
-                    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-                    const scale = 2.0; // Gute Qualität für OCR
-                    const viewport = page.getViewport({ scale });
-                    canvas.width = viewport.width;
-                    canvas.height = viewport.height;
-
-                    await page.render({ canvasContext: ctx, viewport }).promise;
-
-                    // Thumbnail von erster Seite
-                    if (pageNum === 1) {
-                        thumbnail = this._canvasToThumbnail(canvas, 400);
-                    }
-
-                    // Preprocessing
-                    ImagePreprocessor.processCanvas(canvas);
-
-                    // OCR ausführen
-                    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
-                    const words = await ocrFunction(blob);
-                    allWords.push(...words);
-
-                    // ⚠️ KRITISCH: Canvas freigeben!
-                    canvas.width = 0;
-                    canvas.height = 0;
-                }
-
-                // Seite freigeben
-                page.cleanup();
-                console.log(`✅ Seite ${pageNum} verarbeitet`);
+                const result = await this.extractPage(pdf, pageNum, ocrFunction, {
+                    thumbnail: pageNum === 1,
+                    progressCallback: status => progressCallback(status, pageProgress + 5)
+                });
+                allWords.push(...result.words);
+                if (result.thumbnail) thumbnail = result.thumbnail;
             }
 
             progressCallback('✅ PDF vollständig verarbeitet!', 95);
@@ -106,6 +53,83 @@ const PdfHandler = {
         }
     },
 
+    /**
+     * PDF laden (File oder Blob) — Aufrufer gibt es mit pdf.destroy() frei
+     */
+    async open(fileOrBlob) {
+        const arrayBuffer = await fileOrBlob.arrayBuffer();
+        return pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    },
+
+    /**
+     * Eine Seite verarbeiten — Text-Layer first, sonst OCR
+     * @param {Object} pdf - geladenes PDF (open)
+     * @param {number} pageNum - Seitennummer ab 1
+     * @param {Function} ocrFunction - OCR-Funktion für gescannte Seiten
+     * @param {Object} [options] - { thumbnail: bool, progressCallback: (status) => void }
+     * @returns {Promise<{words: Array, thumbnail: string|null}>}
+     */
+    async extractPage(pdf, pageNum, ocrFunction, options = {}) {
+        const progressCallback = options.progressCallback || (() => { });
+        const page = await pdf.getPage(pageNum);
+        let words;
+        let thumbnail = null;
+
+        // === STRATEGIE 1: Text-Layer extrahieren (schnell!) ===
+        const textContent = await page.getTextContent();
+        const pageText = textContent.items
+            .map(item => item.str)
+            .join(' ')
+            .trim();
+
+        if (pageText.length > 30) {
+            // PDF hat eingebetteten Text!
+            console.log(`📝 Seite ${pageNum}: Text-Layer gefunden (${pageText.length} Zeichen)`);
+            progressCallback(`📝 Seite ${pageNum}: Text erkannt!`);
+
+            words = WordExtractor.extract(pageText);
+
+            if (options.thumbnail) {
+                thumbnail = await this._renderPageThumbnail(page, 400);
+            }
+
+        } else {
+            // === STRATEGIE 2: Gescanntes PDF → Canvas → OCR ===
+            console.log(`🔍 Seite ${pageNum}: Kein Text-Layer, starte OCR`);
+            progressCallback(`🔍 Seite ${pageNum}: OCR läuft...`);
+
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            const scale = 2.0; // Gute Qualität für OCR
+            const viewport = page.getViewport({ scale });
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+
+            await page.render({ canvasContext: ctx, viewport }).promise;
+
+            if (options.thumbnail) {
+                thumbnail = this._canvasToThumbnail(canvas, 400);
+            }
+
+            // Preprocessing
+            ImagePreprocessor.processCanvas(canvas);
+
+            // OCR ausführen
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+            // ⚠️ KRITISCH: Canvas freigeben! (vor der OCR, die dauert)
+            canvas.width = 0;
+            canvas.height = 0;
+
+            words = await ocrFunction(blob);
+        }
+
+        // Seite freigeben
+        page.cleanup();
+        console.log(`✅ Seite ${pageNum} verarbeitet`);
+        return { words, thumbnail };
+    },
+
     /**
      * Seite als Thumbnail rendern
      */
@@ -1,58 +1,225 @@
 /**
- * quiz.js — Quiz-Engine: Multiple Choice mit intelligenten Distraktoren
+ * quiz.js — Quiz-Engine: Multiple Choice mit intelligenten Distraktoren,
+ * Eintippen der Antwort (tolerante Prüfung, Zeichen-Diff, Teilpunkte)
+ * oder Hörverstehen (Frage wird vorgelesen, Antworten stehen da)
  * Unterstützt DE→AR und AR→DE
  */
 
 const QuizEngine = {
+    // Answer input: multiple choice, typed (active recall) or listening (spoken prompt)
+    ANSWER_MODES: { choice: 'ABC Auswahl', typed: '✍️ Eintippen', listen: '🎧 Hören' },
+
     // Session state
     session: {
         catId: null,
         direction: 'de-ar', // 'de-ar' or 'ar-de'
+        mode: 'choice', // 'choice', 'typed' or 'listen'
         questions: [],
         currentIdx: 0,
         correctCount: 0,
+        partialCount: 0,
         wrongCount: 0,
+        points: 0,
         answered: false,
     },
 
+    // Session builder defaults (localStorage 'quizSettings')
+    DEFAULT_SETTINGS: {
+        count: 10,             // questions per session, 0 = all
+        directionMix: false,   // mix DE→AR and AR→DE within one session
+        weighting: 'weak',     // 'random' or 'weak' (low score / many mistakes first)
+        questionSeconds: 0,    // time per question, 0 = off
+        sessionMinutes: 0,     // time for the whole session, 0 = off
+    },
+    COUNT_OPTIONS: [5, 10, 20, 30, 0],
+    // Recent sessions kept for replay by their code (localStorage 'quizReplays')
+    MAX_REPLAYS: 10,
+
+    // Below this many candidate pairs, distractors come from the whole group
+    MIN_DISTRACTOR_POOL: 8,
+    // Letters that mostly belong to patterns and affixes rather than the root
+    ARABIC_WEAK_LETTERS: /[اويىةءؤئ]/g,
+
+    _advanceTimer: null,
+    _tickTimer: null,
+    _rng: Math.random,
+    _confusions: null,
+    _nextSeed: null,      // session code entered in the settings, used by the next start
+
+    getAnswerMode() {
+        const saved = localStorage.getItem('quizAnswerMode');
+        return this.ANSWER_MODES[saved] ? saved : 'choice';
+    },
+
+    setAnswerMode(mode) {
+        if (this.ANSWER_MODES[mode]) localStorage.setItem('quizAnswerMode', mode);
+    },
+
+    getSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('quizSettings') || '{}');
+        } catch (e) { /* ignore */ }
+        return { ...this.DEFAULT_SETTINGS, ...saved };
+    },
+
+    saveSettings(settings) {
+        localStorage.setItem('quizSettings', JSON.stringify({ ...this.getSettings(), ...settings }));
+    },
+
+    /**
+     * Seedable PRNG (mulberry32) — same seed, same session
+     * @returns {Function} () => number in [0, 1)
+     */
+    createRng(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /** Session code shown after a round, e.g. "1K3Z9Q" */
+    formatSeed(seed) {
+        return seed.toString(36).toUpperCase();
+    },
+
+    /** Parse a session code ("#1K3Z9Q", case-insensitive); null if invalid */
+    parseSeed(code) {
+        const s = String(code || '').trim().replace(/^#/, '');
+        if (!/^[0-9a-z]{1,7}$/i.test(s)) return null;
+        const seed = parseInt(s, 36);
+        return seed < 4294967296 ? seed : null;
+    },
+
+    /** Replay the session with this code on the next start (null = random again) */
+    setNextSeed(seed) {
+        this._nextSeed = seed;
+    },
+
+    /**
+     * Options for start() from the entered session code (once), else {}.
+     * Recent sessions replay exactly; older codes use the current progress.
+     */
+    takeReplay() {
+        const seed = this._nextSeed;
+        if (seed === null) return {};
+        this._nextSeed = null;
+        const replay = this._loadReplays().find(r => r.seed === seed);
+        return replay ? { ...replay } : { seed };
+    },
+
+    _loadReplays() {
+        try {
+            return JSON.parse(localStorage.getItem('quizReplays') || '[]');
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /** Keep seed, mode, settings and snapshot of a session, newest first */
+    _rememberReplay(replay) {
+        const replays = [replay, ...this._loadReplays().filter(r => r.seed !== replay.seed)];
+        try {
+            localStorage.setItem('quizReplays', JSON.stringify(replays.slice(0, this.MAX_REPLAYS)));
+        } catch (e) {
+            console.warn('Quiz-Sitzung nicht gespeichert:', e);
+        }
+    },
+
+    /** Unbiased Fisher–Yates shuffle (in place) using the session RNG */
+    shuffle(arr) {
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = Math.floor(this._rng() * (i + 1));
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        return arr;
+    },
+
     /**
      * Start a quiz session
-     * @param {string} catId - Category/Chapter ID
-     * @param {string} direction - 'de-ar' or 'ar-de'
+     * @param {Object} opts
+     * @param {Array} opts.cards - cards in scope (one unit, selected units or a whole group)
+     * @param {string} opts.title - header label, e.g. "📖 Kapitel 3" or "3 Einheiten"
+     * @param {string} opts.direction - 'de-ar' or 'ar-de' (mixed if set in the settings)
+     * @param {string} [opts.mode] - 'choice', 'typed' or 'listen', default: user setting
+     * @param {number} [opts.seed] - replay a previous session
+     * @param {Object} [opts.snapshot] - scores and confusions at the time of `seed`
+     * @param {Object} [opts.settings] - count, weighting, time limits; default: getSettings()
+     * Seed + snapshot reproduce the same questions, order and options.
      */
-    start(catId, direction) {
-        const allCards = AppState.cards.filter(c => c.cat === catId);
+    start(opts) {
+        const mode = opts.mode || this.getAnswerMode();
+        const settings = opts.settings || this.getSettings();
+        const seed = opts.seed !== undefined ? opts.seed : Math.floor(Math.random() * 4294967296);
+        this._rng = this.createRng(seed);
 
-        if (allCards.length < 2) {
+        if (opts.cards.length < 2) {
             showToast('⚠️ Mindestens 2 Karten für Quiz nötig!', 'warning');
             return false;
         }
 
         // Get unique word pairs (deduplicate front-back swaps)
-        const wordPairs = this.getUniqueWordPairs(allCards);
+        const wordPairs = this.getUniqueWordPairs(opts.cards);
 
         if (wordPairs.length < 2) {
             showToast('⚠️ Nicht genug einzigartige Wörter!', 'warning');
             return false;
         }
 
+        // Weighting and distractors depend on progress — freeze it for replays
+        const snapshot = opts.snapshot || {
+            scores: Object.fromEntries(wordPairs.map(p => [p.id, [p.score, p.wrongCount]])),
+            confusions: this._loadConfusions()
+        };
+        wordPairs.forEach(p => {
+            if (snapshot.scores[p.id]) [p.score, p.wrongCount] = snapshot.scores[p.id];
+        });
+        this._confusions = snapshot.confusions;
+        this._rememberReplay({ seed, mode, settings, snapshot });
+
         // Generate questions
-        const questions = this.generateQuestions(wordPairs, direction);
+        const distractorPool = this.getDistractorPool(opts.cards, wordPairs);
+        const directions = settings.directionMix ? ['de-ar', 'ar-de'] : [opts.direction];
+        const questions = this.generateQuestions(wordPairs, directions, mode, distractorPool, settings);
 
+        this._stopTimers();
         this.session = {
-            catId,
-            direction,
+            opts: { ...opts, mode, seed, snapshot, settings },
+            title: opts.title,
+            direction: directions.length > 1 ? 'mixed' : opts.direction,
+            mode,
+            seed,
             questions,
             currentIdx: 0,
             correctCount: 0,
+            partialCount: 0,
             wrongCount: 0,
+            points: 0,
             answered: false,
+            questionSeconds: settings.questionSeconds,
+            questionEndsAt: null,
+            endsAt: settings.sessionMinutes > 0 ? Date.now() + settings.sessionMinutes * 60000 : null,
         };
 
         this.renderQuestion();
         return true;
     },
 
+    /** Start again: same settings, new seed — or the very same session with `sameSeed` */
+    restart(sameSeed) {
+        const opts = { ...this.session.opts };
+        if (!sameSeed) {
+            delete opts.seed;
+            delete opts.snapshot;
+            delete opts.settings;
+        }
+        this.start(opts);
+    },
+
     /**
      * Get unique DE-AR word pairs from cards
      */
@@ -69,34 +236,85 @@ const QuizEngine = {
                 ar = card.front;
             }
 
-            const key = `${de}|${ar}`;
+            const key = ArabicNormalizer.pairKey(de, ar);
             if (!pairMap.has(key)) {
-                pairMap.set(key, { de, ar, ex: card.ex, id: card.id || key, score: card.score || 0 });
+                pairMap.set(key, {
+                    de, ar, ex: card.ex, id: card.id || key, cardIds: [],
+                    score: card.score || 0, wrongCount: 0
+                });
             }
+            // A pair can stand for both directions (DE→AR and AR→DE card)
+            const pair = pairMap.get(key);
+            if (card.id) pair.cardIds.push(card.id);
+            pair.score = Math.min(pair.score, card.score || 0);
+            pair.wrongCount += card.wrongCount || 0;
         });
 
         return Array.from(pairMap.values());
     },
 
     /**
-     * Generate quiz questions with distractors
+     * Word pairs to draw distractors from: the quiz scope itself, or the whole
+     * groups (chapter + all units) of its cards when the scope is too small
      */
-    generateQuestions(pairs, direction) {
-        // Shuffle pairs
-        const shuffled = [...pairs].sort(() => Math.random() - 0.5);
+    getDistractorPool(cards, scopePairs) {
+        if (scopePairs.length >= this.MIN_DISTRACTOR_POOL) return scopePairs;
+        const catIds = new Set();
+        new Set(cards.map(c => c.cat)).forEach(catId => {
+            const cat = AppState.categories.find(c => c.id === catId);
+            const groupId = cat && cat.parentId ? cat.parentId : catId;
+            catIds.add(groupId);
+            getSubcategories(groupId).forEach(sub => catIds.add(sub.id));
+        });
+        return this.getUniqueWordPairs(AppState.cards.filter(c => catIds.has(c.cat)));
+    },
+
+    /**
+     * Pick the pairs for a session. With weighting 'weak', pairs with a low
+     * score and many mistakes are drawn more often (weighted sampling without
+     * replacement, Efraimidis–Spirakis); the order is then shuffled.
+     */
+    selectPairs(pairs, count, weighting) {
+        const n = count > 0 ? Math.min(count, pairs.length) : pairs.length;
+        if (weighting !== 'weak') return this.shuffle([...pairs]).slice(0, n);
+
+        const picked = pairs
+            .map(pair => {
+                const weight = 1 + (5 - Math.min(pair.score || 0, 5)) + 2 * Math.min(pair.wrongCount || 0, 5);
+                return { pair, key: Math.pow(this._rng(), 1 / weight) };
+            })
+            .sort((a, b) => b.key - a.key)
+            .slice(0, n)
+            .map(e => e.pair);
+        return this.shuffle(picked);
+    },
 
-        // Limit to 10 questions max per session
-        const questionPairs = shuffled.slice(0, Math.min(10, pairs.length));
+    /**
+     * Generate quiz questions with distractors
+     * @param {Array} directions - ['de-ar'], ['ar-de'] or both for a mixed session
+     * @param {Array} [distractorPool] - pairs to draw distractors from, default: pairs
+     * @param {Object} [settings] - count and weighting, default: getSettings()
+     */
+    generateQuestions(pairs, directions, mode, distractorPool, settings) {
+        settings = settings || this.getSettings();
+        const questionPairs = this.selectPairs(pairs, settings.count, settings.weighting);
 
         return questionPairs.map(pair => {
+            const direction = directions[Math.floor(this._rng() * directions.length)];
+
             // Question text and correct answer
             const questionText = direction === 'de-ar' ? pair.de : pair.ar;
             const correctAnswer = direction === 'de-ar' ? pair.ar : pair.de;
             const questionLang = direction === 'de-ar' ? 'de' : 'ar';
             const answerLang = direction === 'de-ar' ? 'ar' : 'de';
 
+            // Typed answers need no options
+            if (mode === 'typed') {
+                return { pair, direction, questionText, correctAnswer, questionLang, answerLang, options: [], correctIdx: -1 };
+            }
+
             // Generate distractors from same chapter
-            const distractors = this.pickDistractors(pairs, pair, direction);
+            const distractors = this.pickDistractors(distractorPool || pairs, pair, direction);
 
             // Build options: correct + distractors
             const options = [
@@ -105,10 +323,11 @@ const QuizEngine = {
             ];
 
             // Shuffle options
-            options.sort(() => Math.random() - 0.5);
+            this.shuffle(options);
 
             return {
                 pair,
+                direction,
                 questionText,
                 correctAnswer,
                 questionLang,
@@ -120,17 +339,40 @@ const QuizEngine = {
     },
 
     /**
-     * Pick 3 intelligent distractors from the same chapter
+     * Pick 3 distractors that are easy to mix up with the correct answer.
+     * Candidates are scored by part of speech (from the German side), Arabic
+     * root letters and pattern or German spelling, length, and by how often the
+     * user has confused them before; a little randomness keeps sessions varied.
      */
     pickDistractors(allPairs, currentPair, direction) {
-        // Get all possible answers except the correct one
-        const pool = allPairs
-            .filter(p => p !== currentPair)
-            .map(p => direction === 'de-ar' ? p.ar : p.de);
+        // Get all possible answers except the correct one (and its spelling variants)
+        const answerOf = p => direction === 'de-ar' ? p.ar : p.de;
+        const correctKey = ArabicNormalizer.key(answerOf(currentPair));
+        const confusions = (this._confusions || this._loadConfusions())[correctKey] || {};
+        const seen = new Set([correctKey]);
+        const candidates = [];
 
-        // Shuffle and take up to 3
-        const shuffled = pool.sort(() => Math.random() - 0.5);
-        const distractors = shuffled.slice(0, 3);
+        allPairs.forEach(p => {
+            if (p === currentPair) return;
+            const text = answerOf(p);
+            const key = ArabicNormalizer.key(text);
+            if (seen.has(key)) return;
+            seen.add(key);
+            const confused = confusions[key] ? confusions[key].count : 0;
+            candidates.push({ text, score: this._distractorScore(p, currentPair, direction, confused) });
+        });
+
+        // Previously confused answers from other chapters still count
+        Object.entries(confusions).forEach(([key, entry]) => {
+            if (seen.has(key)) return;
+            seen.add(key);
+            candidates.push({ text: entry.text, score: 2 + entry.count + this._rng() * 1.5 });
+        });
+
+        const distractors = candidates
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3)
+            .map(c => c.text);
 
         // If not enough distractors, pad with modified versions
         while (distractors.length < 3) {
@@ -141,6 +383,119 @@ const QuizEngine = {
         return distractors;
     },
 
+    /** How good a distractor `pair` is for `current` (higher = more confusable) */
+    _distractorScore(pair, current, direction, confusedCount) {
+        let score = 0;
+
+        // Same part of speech — a verb among nouns gives the answer away
+        if (this._germanPos(pair.de) === this._germanPos(current.de)) score += 2;
+
+        if (direction === 'de-ar') {
+            // Shared root letters and the same word pattern
+            score += 3 * this._overlap(this._arabicSkeleton(pair.ar), this._arabicSkeleton(current.ar));
+            if (this._arabicPattern(pair.ar) === this._arabicPattern(current.ar)) score += 1;
+        } else {
+            const a = this._foldGerman(pair.de);
+            const b = this._foldGerman(current.de);
+            score += 1.5 * (1 - this._editDistance(a, b) / Math.max(a.length, b.length, 1));
+            if (this._germanArticle(pair.de) && this._germanArticle(pair.de) === this._germanArticle(current.de)) {
+                score += 0.5;
+            }
+        }
+
+        // Similar length and number of words
+        const answerOf = p => ArabicNormalizer.key(direction === 'de-ar' ? p.ar : p.de);
+        const la = answerOf(pair).length;
+        const lb = answerOf(current).length;
+        score += 1 - Math.abs(la - lb) / Math.max(la, lb, 1);
+        if (answerOf(pair).split(' ').length === answerOf(current).split(' ').length) score += 0.5;
+
+        if (confusedCount > 0) score += 2 + confusedCount;
+
+        return score + this._rng() * 1.5;
+    },
+
+    /** Rough part of speech of a German entry: 'noun', 'verb' or 'other' */
+    _germanPos(text) {
+        const words = (text || '').replace(/\*/g, '').trim().split(/\s+/);
+        if (this._germanArticle(text) || /^\p{Lu}/u.test(words[0] || '')) return 'noun';
+        if (/^sich$/i.test(words[0]) || /(en|ern|eln)$/.test(words[words.length - 1] || '')) return 'verb';
+        return 'other';
+    },
+
+    _germanArticle(text) {
+        const m = (text || '').trim().match(/^(der|die|das)\s/i);
+        return m ? m[1].toLowerCase() : '';
+    },
+
+    /** Arabic consonant skeleton: no tashkeel, article or long vowels — close to the root */
+    _arabicSkeleton(text) {
+        return this._stripArticle(ArabicNormalizer.normalize(text, 'standard'))
+            .replace(this.ARABIC_WEAK_LETTERS, '')
+            .replace(/\s+/g, '');
+    },
+
+    /** Word pattern with root consonants as C (مكتوب → CCCوC) */
+    _arabicPattern(text) {
+        return this._stripArticle(ArabicNormalizer.normalize(text, 'standard'))
+            .replace(/[^\sاويىةءؤئ]/g, 'C');
+    },
+
+    _stripArticle(text) {
+        return text.split(' ').map(w => w.replace(/^(وال|بال|فال|كال|ال)(?=..)/, '')).join(' ');
+    },
+
+    /** Share of letters two strings have in common, in order (LCS / longer length) */
+    _overlap(a, b) {
+        if (!a || !b) return 0;
+        const prev = new Array(b.length + 1).fill(0);
+        for (let i = 1; i <= a.length; i++) {
+            let diag = 0;
+            for (let j = 1; j <= b.length; j++) {
+                const tmp = prev[j];
+                prev[j] = a[i - 1] === b[j - 1] ? diag + 1 : Math.max(prev[j], prev[j - 1]);
+                diag = tmp;
+            }
+        }
+        return prev[b.length] / Math.max(a.length, b.length);
+    },
+
+    // ── Confusion history (localStorage 'quizConfusions') ──
+    // { answerKey: { otherKey: { text, count } } }, recorded in both directions
+
+    _loadConfusions() {
+        try {
+            return JSON.parse(localStorage.getItem('quizConfusions') || '{}');
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /** Remember that `chosen` was picked instead of `correct` */
+    recordConfusion(correct, chosen) {
+        const data = this._loadConfusions();
+        const add = (from, to) => {
+            const fromKey = ArabicNormalizer.key(from);
+            const toKey = ArabicNormalizer.key(to);
+            if (!fromKey || !toKey || fromKey === toKey) return;
+            const entries = data[fromKey] || (data[fromKey] = {});
+            entries[toKey] = { text: to, count: (entries[toKey] ? entries[toKey].count : 0) + 1 };
+
+            // Keep only the most frequent confusions per word
+            const keys = Object.keys(entries);
+            if (keys.length > 10) {
+                keys.sort((x, y) => entries[x].count - entries[y].count)
+                    .slice(0, keys.length - 10)
+                    .forEach(k => delete entries[k]);
+            }
+        };
+        add(correct, chosen);
+        add(chosen, correct);
+        try {
+            localStorage.setItem('quizConfusions', JSON.stringify(data));
+        } catch (e) { /* storage full — history is optional */ }
+    },
+
     /**
      * Handle answer selection
      */
@@ -153,6 +508,7 @@ const QuizEngine = {
 
         if (isCorrect) {
             this.session.correctCount++;
+            this.session.points++;
             Stats.trackActivity('quiz_correct');
             this.updateCardScore(q.pair, true);
             if (typeof haptic === 'function') haptic('success');
@@ -160,6 +516,8 @@ const QuizEngine = {
             this.session.wrongCount++;
             Stats.trackActivity('quiz_wrong');
             this.updateCardScore(q.pair, false);
+            const chosen = q.options[selectedIdx];
+            if (chosen && !/^— \d+$/.test(chosen.text)) this.recordConfusion(q.correctAnswer, chosen.text);
             if (typeof haptic === 'function') haptic('error');
         }
 
@@ -170,34 +528,276 @@ const QuizEngine = {
         this.showFeedback(selectedIdx, q.correctIdx, isCorrect);
 
         // Auto-advance after delay
-        setTimeout(() => {
-            this.session.currentIdx++;
-            this.session.answered = false;
+        this._advanceTimer = setTimeout(() => this.next(), isCorrect ? 1000 : 2000);
+    },
 
-            if (this.session.currentIdx < this.session.questions.length) {
-                this.renderQuestion();
-            } else {
+    // ── Time limits ──
+    _stopTimers() {
+        clearTimeout(this._advanceTimer);
+        clearInterval(this._tickTimer);
+        this._tickTimer = null;
+    },
+
+    /** Per-question and session countdown; stops by itself once the quiz is left */
+    _tick() {
+        const timer = document.getElementById('quizTimer');
+        if (!timer) {
+            this._stopTimers();
+            return;
+        }
+        const s = this.session;
+        const now = Date.now();
+
+        if (s.endsAt) {
+            const left = Math.max(0, Math.ceil((s.endsAt - now) / 1000));
+            const label = document.getElementById('quizSessionTime');
+            if (label) label.textContent = `${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`;
+            if (left === 0) {
+                s.timedOut = true;
                 this.showResult();
+                return;
             }
-        }, isCorrect ? 1000 : 2000);
+        }
+
+        if (s.questionEndsAt && !s.answered) {
+            const fill = document.getElementById('quizQuestionTime');
+            const frac = Math.max(0, (s.questionEndsAt - now) / (s.questionSeconds * 1000));
+            if (fill) fill.style.width = `${Math.round(frac * 100)}%`;
+            if (frac === 0) {
+                s.questionEndsAt = null;
+                if (s.mode === 'typed') this.answerTyped(false, true);
+                else this.answer(-1);
+            }
+        }
+    },
+
+    /**
+     * Go to the next question (or the result screen)
+     */
+    next() {
+        clearTimeout(this._advanceTimer);
+        if (!this.session.answered) return;
+        this.session.currentIdx++;
+        this.session.answered = false;
+
+        if (this.session.currentIdx < this.session.questions.length) {
+            this.renderQuestion();
+        } else {
+            this.showResult();
+        }
+    },
+
+    /**
+     * Handle a typed answer (or "Weiß nicht" when giveUp is set;
+     * timedOut takes whatever has been typed so far)
+     */
+    answerTyped(giveUp, timedOut) {
+        if (this.session.answered) return;
+        const input = document.getElementById('quizTypedInput');
+        const value = giveUp || !input ? '' : input.value;
+        if (!giveUp && !timedOut && !value.trim()) {
+            if (input) input.focus();
+            return;
+        }
+        this.session.answered = true;
+
+        const q = this.session.questions[this.session.currentIdx];
+        const result = this.checkTyped(value, q.correctAnswer, q.answerLang);
+        result.timedOut = !!timedOut;
+
+        if (result.grade === 'correct') {
+            this.session.correctCount++;
+            this.session.points++;
+            Stats.trackActivity('quiz_correct');
+            this.updateCardScore(q.pair, true);
+            if (typeof haptic === 'function') haptic('success');
+        } else if (result.grade === 'close') {
+            this.session.partialCount++;
+            this.session.points += result.credit;
+            Stats.trackActivity('quiz_correct');
+            this.updateCardScore(q.pair, true, result.credit);
+            if (typeof haptic === 'function') haptic('success');
+        } else {
+            this.session.wrongCount++;
+            Stats.trackActivity('quiz_wrong');
+            this.updateCardScore(q.pair, false);
+            if (typeof haptic === 'function') haptic('error');
+        }
+
+        Stats.checkGoalMet();
+        this.showTypedFeedback(value, q, result);
+
+        // Only exact answers advance on their own — the diff needs a look
+        if (result.grade === 'correct') {
+            this._advanceTimer = setTimeout(() => this.next(), 1200);
+        }
+    },
+
+    /**
+     * Check a typed answer against the expected text.
+     * Arabic is compared via ArabicNormalizer (user strictness: tashkeel,
+     * alef/hamza forms), German case-insensitively with ae/oe/ue/ss spellings,
+     * a missing article and small typos. Each alternative of the answer
+     * ("Haus, Gebäude" or "a / b") counts on its own.
+     * @returns {{grade: string, credit: number, hint: string, target: string, diff: Array}}
+     *          grade 'correct' | 'close' | 'wrong', credit 0–1
+     */
+    checkTyped(input, expected, lang) {
+        const fold = lang === 'ar' ? s => ArabicNormalizer.key(s) : s => this._foldGerman(s);
+        const typed = fold(input);
+        const alternatives = [expected, ...expected.split(/\s*[,;\/]\s*/)]
+            .filter((alt, i, arr) => alt && arr.indexOf(alt) === i);
+
+        const rank = { wrong: 0, close: 1, correct: 2 };
+        let best = { grade: 'wrong', credit: 0, hint: '', target: expected, sim: -1 };
+        alternatives.forEach(alt => {
+            const variants = [{ text: alt, hint: '' }];
+            const article = lang === 'de' && alt.match(/^(der|die|das|ein|eine)\s+(.+)$/i);
+            if (article) {
+                variants.push({ text: article[2], prefix: article[1] + ' ', hint: 'Artikel fehlt', maxCredit: 0.5 });
+            }
+
+            variants.forEach(v => {
+                const target = fold(v.text);
+                if (!target || !typed) return;
+                const dist = this._editDistance(typed, target);
+                const sim = 1 - dist / Math.max(typed.length, target.length);
+                let grade = 'wrong';
+                if (dist === 0 && !v.maxCredit) grade = 'correct';
+                else if (dist <= this._typoTolerance(target.length)) grade = 'close';
+                if (rank[grade] < rank[best.grade] || (rank[grade] === rank[best.grade] && sim <= best.sim)) return;
+
+                let credit = grade === 'correct' ? 1 : grade === 'close' ? Math.round(sim * 10) / 10 : 0;
+                if (v.maxCredit) credit = Math.min(credit, v.maxCredit);
+                let hint = v.hint;
+                if (!hint && grade === 'close') {
+                    hint = this._stripUmlauts(typed) === this._stripUmlauts(target) ? 'Umlaut/ß' : 'Tippfehler';
+                }
+                best = { grade, credit, hint, target: alt, variant: v, sim };
+            });
+        });
+
+        // A missing article is shown as such instead of being aligned letter by letter
+        const v = best.variant;
+        const diff = v && v.prefix
+            ? [{ op: 'miss', text: v.prefix }, ...this._diff(input, v.text, lang)]
+            : this._diff(input, best.target, lang);
+
+        return { grade: best.grade, credit: best.credit, hint: best.hint, target: best.target, diff };
+    },
+
+    /** German comparison form: case, ß/ss, ä/ae …, punctuation ignored */
+    _foldGerman(str) {
+        return ArabicNormalizer.normalizeGerman(str)
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue')
+            .replace(/[.,!?;:"„“'()]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /** "ae" → "a" etc. on folded German text, to recognise missing umlauts */
+    _stripUmlauts(folded) {
+        return folded.replace(/ae/g, 'a').replace(/oe/g, 'o').replace(/ue/g, 'u').replace(/ss/g, 's');
+    },
+
+    /** Allowed edit distance for a "close" answer, by answer length */
+    _typoTolerance(length) {
+        if (length <= 3) return 0;
+        if (length <= 6) return 1;
+        if (length <= 12) return 2;
+        return 3;
+    },
+
+    /** Levenshtein distance incl. adjacent transpositions */
+    _editDistance(a, b) {
+        const d = [];
+        for (let i = 0; i <= a.length; i++) d[i] = [i];
+        for (let j = 0; j <= b.length; j++) d[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
+    },
+
+    /**
+     * Per-character alignment of the typed text against the expected one.
+     * Letters are compared with their marks (tashkeel) as one unit, using the
+     * same normalization as the answer check.
+     * @returns {Array} [{ op: 'ok'|'sub'|'miss'|'extra', text }] — text is the
+     *          expected character, or the typed one for 'extra'
+     */
+    _diff(input, expected, lang) {
+        const charKey = lang === 'ar'
+            ? c => ArabicNormalizer.key(c)
+            : c => /\s/.test(c) ? ' ' : ArabicNormalizer.normalizeGerman(c);
+        const units = str => (str.trim().match(/\P{M}\p{M}*|\p{M}+/gu) || [])
+            .filter(c => /\s/.test(c) || charKey(c) !== '');
+        const a = units(input);
+        const b = units(expected);
+        const ka = a.map(c => /\s/.test(c) ? ' ' : charKey(c));
+        const kb = b.map(c => /\s/.test(c) ? ' ' : charKey(c));
+
+        const d = [];
+        for (let i = 0; i <= a.length; i++) d[i] = [i];
+        for (let j = 0; j <= b.length; j++) d[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                d[i][j] = Math.min(
+                    d[i - 1][j] + 1,
+                    d[i][j - 1] + 1,
+                    d[i - 1][j - 1] + (ka[i - 1] === kb[j - 1] ? 0 : 1)
+                );
+            }
+        }
+
+        // Backtrace from the end
+        const ops = [];
+        let i = a.length, j = b.length;
+        while (i > 0 || j > 0) {
+            const same = i > 0 && j > 0 && ka[i - 1] === kb[j - 1];
+            if (same && d[i][j] === d[i - 1][j - 1]) {
+                ops.push({ op: 'ok', text: b[j - 1] });
+                i--; j--;
+            } else if (j > 0 && d[i][j] === d[i][j - 1] + 1) {
+                ops.push({ op: 'miss', text: b[j - 1] });
+                j--;
+            } else if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+                ops.push({ op: 'extra', text: a[i - 1] });
+                i--;
+            } else {
+                ops.push({ op: 'sub', text: b[j - 1] });
+                i--; j--;
+            }
+        }
+        return ops.reverse();
     },
 
     /**
      * Update card score in AppState
+     * @param {number} [credit] - partial credit (0–1) for a nearly correct typed
+     *        answer; fractions collect in card.partialCredit until a full point
      */
-    updateCardScore(pair, correct) {
-        // Find matching cards and update score
+    updateCardScore(pair, correct, credit) {
+        // Update the cards behind this pair (by stable card ID)
+        const ids = new Set(pair.cardIds || [pair.id]);
         AppState.cards.forEach(card => {
-            let de, ar;
-            if (card.frontLang === 'de') { de = card.front; ar = card.back; }
-            else { de = card.back; ar = card.front; }
-
-            if (de === pair.de && ar === pair.ar) {
+            if (ids.has(card.id)) {
                 if (!card.score) card.score = 0;
                 if (!card.correctCount) card.correctCount = 0;
                 if (!card.wrongCount) card.wrongCount = 0;
 
-                if (correct) {
+                if (correct && credit !== undefined && credit < 1) {
+                    const total = Math.round(((card.partialCredit || 0) + credit) * 100) / 100;
+                    card.partialCredit = total >= 1 ? Math.round((total - 1) * 100) / 100 : total;
+                    if (total >= 1) card.score = Math.min((card.score || 0) + 1, 5);
+                    card.correctCount++;
+                } else if (correct) {
                     card.score = Math.min((card.score || 0) + 1, 5);
                     card.correctCount++;
                 } else {
@@ -226,6 +826,72 @@ const QuizEngine = {
                 btn.classList.add('wrong');
             }
         });
+
+        // Listening quiz: show what was spoken
+        const hidden = document.getElementById('quizQuestionText');
+        if (hidden) hidden.classList.remove('quiz-hidden-text');
+        this.showMedia();
+    },
+
+    /** Reveal the image/audio attached to the current word pair */
+    showMedia() {
+        const q = this.session.questions[this.session.currentIdx];
+        if (q) Attachments.mount('quizMedia', q.pair.cardIds || [q.pair.id]);
+    },
+
+    /** Play the spoken prompt of a listening question again (slowly if asked) */
+    replay(slow) {
+        const q = this.session.questions[this.session.currentIdx];
+        if (!q) return;
+        const rate = slow ? Math.max(0.5, Speech.getSettings().rate - 0.3) : undefined;
+        Speech.speak(q.questionText, q.questionLang, { rate });
+    },
+
+    /**
+     * Show the result of a typed answer with a per-character diff
+     */
+    showTypedFeedback(value, q, result) {
+        const input = document.getElementById('quizTypedInput');
+        if (input) {
+            input.disabled = true;
+            input.classList.add(result.grade);
+        }
+
+        const isAr = q.answerLang === 'ar';
+        const labels = {
+            correct: '✅ Richtig!',
+            close: `🟡 Fast richtig — ${Math.round(result.credit * 100)} %`,
+            wrong: result.timedOut && !value.trim() ? '⏰ Zeit abgelaufen'
+                : value.trim() ? '❌ Leider falsch' : '🤷 Lösung'
+        };
+
+        // Group consecutive characters of the same kind (keeps Arabic letters joined)
+        const runs = [];
+        result.diff.forEach(d => {
+            const last = runs[runs.length - 1];
+            if (last && last.op === d.op) last.text += d.text;
+            else runs.push({ op: d.op, text: d.text });
+        });
+        const diffHtml = runs.map(r => `<span class="diff-${r.op}">${escapeHtml(r.text)}</span>`).join('');
+        const showDiff = value.trim() && result.diff.some(d => d.op !== 'ok');
+
+        const box = document.getElementById('quizTypedArea');
+        if (!box) return;
+        box.insertAdjacentHTML('beforeend', `
+            <div class="quiz-typed-feedback ${result.grade}">
+                <div class="quiz-typed-grade">${labels[result.grade]}${result.hint ? ` <small>(${result.hint})</small>` : ''}</div>
+                ${showDiff ? `<div class="quiz-typed-diff ${isAr ? 'ar' : ''}">${diffHtml}</div>` : ''}
+                ${result.grade !== 'correct' ? `
+                    <div class="quiz-typed-solution">Lösung: <span class="${isAr ? 'ar' : ''}">${escapeHtml(q.correctAnswer)}</span></div>
+                ` : ''}
+                <button class="btn btn-primary" id="quizNextBtn" onclick="QuizEngine.next()">Weiter →</button>
+            </div>
+        `);
+        const actions = document.getElementById('quizTypedActions');
+        if (actions) actions.remove();
+        const nextBtn = document.getElementById('quizNextBtn');
+        if (nextBtn) nextBtn.focus();
+        this.showMedia();
     },
 
     /**
@@ -237,18 +903,68 @@ const QuizEngine = {
         const current = this.session.currentIdx + 1;
         const pct = Math.round((this.session.currentIdx / total) * 100);
 
-        const cat = AppState.categories.find(c => c.id === this.session.catId);
-        const catName = cat ? cat.name : '';
-        const catIcon = cat ? cat.icon : '📖';
-
         const labels = ['A', 'B', 'C', 'D'];
 
         const isQuestionAr = q.questionLang === 'ar';
         const isAnswerAr = q.answerLang === 'ar';
 
-        const questionLabel = this.session.direction === 'de-ar'
+        const { questionSeconds, endsAt } = this.session;
+        this.session.questionEndsAt = questionSeconds > 0 ? Date.now() + questionSeconds * 1000 : null;
+        const timerHtml = questionSeconds > 0 || endsAt ? `
+                <div class="quiz-timer" id="quizTimer">
+                    ${endsAt ? '<span class="quiz-session-time">⏱ <span id="quizSessionTime"></span></span>' : ''}
+                    ${questionSeconds > 0 ? `
+                        <div class="quiz-timer-bar"><div class="quiz-timer-fill" id="quizQuestionTime" style="width: 100%"></div></div>
+                    ` : ''}
+                </div>
+        ` : '';
+
+        // Listening needs a voice for the prompt language — otherwise show the text
+        const isListen = this.session.mode === 'listen';
+        const canSpeak = isListen && Speech.hasVoice(q.questionLang);
+
+        let questionLabel = q.direction === 'de-ar'
             ? 'Wie heißt das auf Arabisch?'
             : 'Was bedeutet dieses Wort?';
+        if (canSpeak) {
+            questionLabel = q.direction === 'de-ar'
+                ? '🎧 Wie heißt das Gehörte auf Arabisch?'
+                : '🎧 Was bedeutet das Gehörte?';
+        }
+        const questionHtml = canSpeak ? `
+                    <div class="quiz-listen-controls">
+                        <button class="quiz-listen-btn" onclick="QuizEngine.replay()" title="Nochmal anhören">🔊</button>
+                        <button class="quiz-listen-btn slow" onclick="QuizEngine.replay(true)" title="Langsam anhören">🐢</button>
+                    </div>
+                    <div class="quiz-question-text quiz-hidden-text ${isQuestionAr ? 'ar' : ''}" id="quizQuestionText">${escapeHtml(q.questionText)}</div>
+        ` : `
+                    ${isListen ? `<div class="quiz-listen-missing">🔇 Keine ${isQuestionAr ? 'arabische' : 'deutsche'} Stimme — das Wort wird angezeigt</div>` : ''}
+                    <div class="quiz-question-text ${isQuestionAr ? 'ar' : ''}">${escapeHtml(q.questionText)}</div>
+        `;
+
+        const isTyped = this.session.mode === 'typed';
+        const answersHtml = isTyped ? `
+                <div class="quiz-typed" id="quizTypedArea">
+                    <input type="text" id="quizTypedInput" class="quiz-typed-input ${isAnswerAr ? 'ar' : ''}"
+                           dir="${isAnswerAr ? 'rtl' : 'ltr'}" lang="${q.answerLang}"
+                           placeholder="${isAnswerAr ? 'اكتب الجواب' : 'Antwort eintippen …'}"
+                           autocomplete="off" autocorrect="off" autocapitalize="off" spellcheck="false"
+                           onkeydown="if (event.key === 'Enter') QuizEngine.answerTyped()">
+                    <div class="quiz-typed-actions" id="quizTypedActions">
+                        <button class="btn btn-primary" onclick="QuizEngine.answerTyped()">✔️ Prüfen</button>
+                        <button class="btn btn-secondary" onclick="QuizEngine.answerTyped(true)">🤷 Weiß nicht</button>
+                    </div>
+                </div>
+        ` : `
+                <div class="quiz-answers">
+                    ${q.options.map((opt, i) => `
+                        <button class="quiz-answer-btn" onclick="QuizEngine.answer(${i})">
+                            <span class="answer-label">${labels[i]}</span>
+                            <span class="answer-text ${isAnswerAr ? 'ar' : ''}">${escapeHtml(opt.text)}</span>
+                        </button>
+                    `).join('')}
+                </div>
+        `;
 
         const learnArea = document.getElementById('categoryGrid');
         learnArea.innerHTML = `
@@ -256,7 +972,7 @@ const QuizEngine = {
             <div class="quiz-container">
                 <div class="learn-chapter-header">
                     <button class="back-btn" onclick="showLearnModes()">←</button>
-                    <h3>${catIcon} ${escapeHtml(catName)} — Quiz</h3>
+                    <h3>${escapeHtml(this.session.title)} — Quiz${isTyped ? ' ✍️' : isListen ? ' 🎧' : ''}</h3>
                 </div>
 
                 <div class="quiz-progress">
@@ -265,32 +981,40 @@ const QuizEngine = {
                     </div>
                     <div class="quiz-progress-text">${current}/${total}</div>
                 </div>
+                ${timerHtml}
 
                 <div class="quiz-question-card">
                     <div class="quiz-question-label">${questionLabel}</div>
-                    <div class="quiz-question-text ${isQuestionAr ? 'ar' : ''}">${escapeHtml(q.questionText)}</div>
+                    ${questionHtml}
+                    <div id="quizMedia"></div>
                 </div>
 
-                <div class="quiz-answers">
-                    ${q.options.map((opt, i) => `
-                        <button class="quiz-answer-btn" onclick="QuizEngine.answer(${i})">
-                            <span class="answer-label">${labels[i]}</span>
-                            <span class="answer-text ${isAnswerAr ? 'ar' : ''}">${escapeHtml(opt.text)}</span>
-                        </button>
-                    `).join('')}
-                </div>
+                ${answersHtml}
             </div>
           </div>
         `;
+
+        if (isTyped) {
+            const input = document.getElementById('quizTypedInput');
+            if (input) input.focus();
+        }
+        if (canSpeak) this.replay();
+        if (timerHtml && !this._tickTimer) {
+            this._tickTimer = setInterval(() => this._tick(), 250);
+        }
+        if (timerHtml) this._tick();
     },
 
     /**
      * Show quiz result screen
      */
     showResult() {
-        const { correctCount, wrongCount, questions } = this.session;
-        const total = questions.length;
-        const pct = Math.round((correctCount / total) * 100);
+        this._stopTimers();
+        Speech.stop();
+        const { correctCount, partialCount, wrongCount, points, questions, timedOut, seed } = this.session;
+        // A session that ran out of time counts only the answered questions
+        const total = timedOut ? correctCount + partialCount + wrongCount : questions.length;
+        const pct = total > 0 ? Math.round((points / total) * 100) : 0;
 
         let emoji, message;
         if (pct === 100) { emoji = '🏆'; message = 'Perfekt! Alle richtig!'; }
@@ -312,9 +1036,6 @@ const QuizEngine = {
             showConfetti();
         }
 
-        const cat = AppState.categories.find(c => c.id === this.session.catId);
-        const catName = cat ? cat.name : '';
-
         const learnArea = document.getElementById('categoryGrid');
         learnArea.innerHTML = `
           <div style="grid-column: 1 / -1; text-align: center;">
@@ -323,14 +1044,19 @@ const QuizEngine = {
                 <h3>${message}</h3>
                 <div class="score-text">${correctCount} / ${total}</div>
                 <div class="details">
-                    ✅ ${correctCount} richtig · ❌ ${wrongCount} falsch<br>
+                    ${timedOut ? `⏰ Zeit abgelaufen nach ${total} von ${questions.length} Fragen<br>` : ''}
+                    ✅ ${correctCount} richtig${partialCount > 0 ? ` · 🟡 ${partialCount} fast richtig` : ''} · ❌ ${wrongCount} falsch<br>
                     Genauigkeit: ${pct}%
                 </div>
-                <button class="btn btn-primary mb-sm" onclick="QuizEngine.start('${this.session.catId}', '${this.session.direction}')">
+                <div class="quiz-seed">Sitzung #${this.formatSeed(seed)}</div>
+                <button class="btn btn-primary mb-sm" onclick="QuizEngine.restart()">
                     🔄 Nochmal spielen
                 </button>
+                <button class="btn btn-secondary mb-sm" onclick="QuizEngine.restart(true)">
+                    🔁 Gleiche Fragen wiederholen
+                </button>
                 <button class="btn btn-secondary mb-sm" onclick="showLearnModes()">
-                    ← Zurück zu ${escapeHtml(catName)}
+                    ← Zurück zu ${escapeHtml(this.session.title)}
                 </button>
 
             </div>
@@ -0,0 +1,327 @@
+/**
+ * recordings.js — Pronunciation practice: record yourself per card (MediaRecorder)
+ * Clips are stored in IndexedDB 'recordings_database' (store: recordings,
+ * index cardId) and played next to the reference audio (Speech) on the
+ * flashcard and SRS views. exportToZip()/readFromZip() carry them through the
+ * ZIP export under aufnahmen/ so a teacher can listen to them.
+ */
+const Recordings = (() => {
+    'use strict';
+
+    const DB_NAME = 'recordings_database';
+    const DB_VERSION = 1;
+    const MAX_PER_CARD = 5;
+    const MAX_SECONDS = 15;
+    const ZIP_FOLDER = 'aufnahmen/';
+    let _db = null;
+
+    // Active recording: { cardId, recorder, stream, chunks, timer }
+    let _active = null;
+    let _playing = null;
+
+    // ── Open / Upgrade ──────────────────────────────────────────────
+    function init() {
+        if (_db) return Promise.resolve(_db);
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onerror = () => reject(req.error);
+            req.onupgradeneeded = (e) => {
+                const db = e.target.result;
+                if (!db.objectStoreNames.contains('recordings')) {
+                    const store = db.createObjectStore('recordings', { keyPath: 'id' });
+                    store.createIndex('cardId', 'cardId', { unique: false });
+                }
+            };
+            req.onsuccess = () => {
+                _db = req.result;
+                resolve(_db);
+            };
+        });
+    }
+
+    function _tx(mode = 'readonly') {
+        return _db.transaction('recordings', mode).objectStore('recordings');
+    }
+
+    function _promisify(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // ── CRUD ────────────────────────────────────────────────────────
+    /** Clips of one card, newest first */
+    async function listFor(cardId) {
+        await init();
+        const clips = await _promisify(_tx().index('cardId').getAll(cardId));
+        return clips.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Store a clip; older clips beyond MAX_PER_CARD are dropped.
+     * @param {Object} clip — { cardId, blob, mimeType?, duration?, createdAt? }
+     */
+    async function add(clip) {
+        await init();
+        const record = {
+            id: CardDB.newId(),
+            cardId: clip.cardId,
+            blob: clip.blob,
+            mimeType: clip.mimeType || clip.blob.type || 'audio/webm',
+            duration: clip.duration || 0,
+            createdAt: clip.createdAt || Date.now()
+        };
+        await _promisify(_tx('readwrite').put(record));
+
+        const clips = await listFor(clip.cardId);
+        for (const old of clips.slice(MAX_PER_CARD)) await remove(old.id);
+        return record;
+    }
+
+    async function remove(id) {
+        await init();
+        return _promisify(_tx('readwrite').delete(id));
+    }
+
+    /** Delete all clips of one card */
+    async function removeFor(cardId) {
+        for (const r of await listFor(cardId)) await remove(r.id);
+    }
+
+    /** Delete clips whose card no longer exists */
+    async function prune(validCardIds) {
+        await init();
+        const all = await _promisify(_tx().getAll());
+        const orphans = all.filter(r => !validCardIds.has(r.cardId));
+        for (const r of orphans) await remove(r.id);
+        return orphans.length;
+    }
+
+    // ── Recording ───────────────────────────────────────────────────
+    function isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    async function _start(cardId) {
+        if (_active) await _stop();
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (e) {
+            console.warn('Mikrofon nicht verfügbar:', e);
+            showToast('🎙️ Kein Zugriff aufs Mikrofon', 'error');
+            return;
+        }
+        const recorder = new MediaRecorder(stream);
+        const chunks = [];
+        recorder.ondataavailable = (e) => { if (e.data && e.data.size > 0) chunks.push(e.data); };
+        _active = {
+            cardId, recorder, stream, chunks,
+            startedAt: Date.now(),
+            timer: setTimeout(() => _stop(), MAX_SECONDS * 1000)
+        };
+        recorder.start();
+        _refresh(cardId);
+    }
+
+    /** Stop the running recording and store it */
+    function _stop() {
+        const active = _active;
+        if (!active) return Promise.resolve();
+        _active = null;
+        clearTimeout(active.timer);
+        return new Promise(resolve => {
+            active.recorder.onstop = async () => {
+                active.stream.getTracks().forEach(t => t.stop());
+                const mimeType = active.recorder.mimeType || 'audio/webm';
+                const blob = new Blob(active.chunks, { type: mimeType });
+                if (blob.size > 0) {
+                    try {
+                        await add({
+                            cardId: active.cardId, blob, mimeType,
+                            duration: (Date.now() - active.startedAt) / 1000
+                        });
+                    } catch (e) {
+                        console.error('Aufnahme speichern fehlgeschlagen:', e);
+                        showToast('❌ Aufnahme konnte nicht gespeichert werden', 'error');
+                    }
+                }
+                _refresh(active.cardId);
+                resolve();
+            };
+            active.recorder.stop();
+        });
+    }
+
+    function toggleRecording(cardId) {
+        if (_active && _active.cardId === cardId) return _stop();
+        return _start(cardId);
+    }
+
+    async function play(id) {
+        await init();
+        const clip = await _promisify(_tx().get(id));
+        if (!clip) return;
+        if (_playing) _playing.pause();
+        if (typeof Speech !== 'undefined') Speech.stop();
+        const url = URL.createObjectURL(clip.blob);
+        const audio = new Audio(url);
+        _playing = audio;
+        audio.onended = () => URL.revokeObjectURL(url);
+        audio.play().catch(e => console.warn('Wiedergabe fehlgeschlagen:', e));
+    }
+
+    async function _delete(id, cardId) {
+        await remove(id);
+        _refresh(cardId);
+    }
+
+    // ── Practice widget ─────────────────────────────────────────────
+    // Mounted hosts: element id → { cardId, text } (reference = Arabic side)
+    const _hosts = new Map();
+
+    /**
+     * Render the practice controls (reference audio, record button, own clips)
+     * into the element with id `hostId`.
+     * @param {string} text — Arabic text for the reference (speech synthesis)
+     */
+    function mount(hostId, cardId, text) {
+        _hosts.set(hostId, { cardId, text });
+        _render(hostId);
+    }
+
+    function _refresh(cardId) {
+        _hosts.forEach((host, hostId) => {
+            if (host.cardId === cardId) _render(hostId);
+        });
+    }
+
+    async function _render(hostId) {
+        const host = _hosts.get(hostId);
+        const el = document.getElementById(hostId);
+        if (!host || !el) {
+            _hosts.delete(hostId);
+            return;
+        }
+        const { cardId, text } = host;
+        el.dataset.cardId = cardId;
+
+        let clips = [];
+        try {
+            clips = await listFor(cardId);
+        } catch (e) {
+            console.warn('Aufnahmen laden fehlgeschlagen:', e);
+        }
+        // The view may have moved on to another card meanwhile
+        if (el.dataset.cardId !== cardId) return;
+
+        const recording = _active && _active.cardId === cardId;
+        const canSpeak = typeof Speech !== 'undefined' && Speech.hasVoice('ar');
+        el.innerHTML = `
+            <div class="pron-practice">
+                ${canSpeak ? `<button class="pron-btn" onclick="event.stopPropagation(); Speech.speak(${_attr(text)}, 'ar')">🔊 Original</button>` : ''}
+                ${isSupported() ? `
+                    <button class="pron-btn pron-record ${recording ? 'recording' : ''}"
+                        onclick="event.stopPropagation(); Recordings.toggleRecording('${cardId}')">
+                        ${recording ? '⏹ Stopp' : '🎙️ Aufnehmen'}
+                    </button>
+                ` : ''}
+                ${clips.map((clip, i) => `
+                    <span class="pron-clip">
+                        <button class="pron-btn" onclick="event.stopPropagation(); Recordings.play('${clip.id}')"
+                            title="${new Date(clip.createdAt).toLocaleString('de-DE')}">▶️ ${i === 0 ? 'Ich' : `#${clips.length - i}`}</button>
+                        <button class="pron-delete" onclick="event.stopPropagation(); Recordings._delete('${clip.id}', '${cardId}')"
+                            title="Aufnahme löschen">✕</button>
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /** JSON string literal safe for use inside a double-quoted HTML attribute */
+    function _attr(str) {
+        return escapeHtml(JSON.stringify(str || ''));
+    }
+
+    // ── ZIP export / import ─────────────────────────────────────────
+    function _extension(mimeType) {
+        if (/mp4|aac|m4a/.test(mimeType)) return 'm4a';
+        if (/ogg/.test(mimeType)) return 'ogg';
+        if (/wav/.test(mimeType)) return 'wav';
+        return 'webm';
+    }
+
+    /**
+     * Add the clips of `cards` to a JSZip under aufnahmen/ with an index.json
+     * naming card and word pair for each file.
+     * @returns {Promise<number>} number of clips written
+     */
+    async function exportToZip(zip, cards) {
+        const index = [];
+        for (const card of cards) {
+            const clips = await listFor(card.id);
+            const de = card.frontLang === 'ar' ? card.back : card.front;
+            const ar = card.frontLang === 'ar' ? card.front : card.back;
+            clips.forEach((clip, i) => {
+                const file = `${sanitizeFilename(de)}_${card.id.slice(0, 8)}_${i + 1}.${_extension(clip.mimeType)}`;
+                zip.file(ZIP_FOLDER + file, clip.blob);
+                index.push({
+                    file, cardId: card.id, de, ar, frontLang: card.frontLang,
+                    mimeType: clip.mimeType, duration: clip.duration, createdAt: clip.createdAt
+                });
+            });
+        }
+        if (index.length > 0) zip.file(ZIP_FOLDER + 'index.json', JSON.stringify(index, null, 2));
+        return index.length;
+    }
+
+    /**
+     * Read clips from a ZIP written by exportToZip().
+     * @returns {Promise<Array>} [{ blob, de, ar, frontLang, mimeType, duration, createdAt }]
+     */
+    async function readFromZip(zip) {
+        const indexFile = zip.file(ZIP_FOLDER + 'index.json');
+        if (!indexFile) return [];
+        let index;
+        try {
+            index = JSON.parse(await indexFile.async('text'));
+        } catch (e) {
+            console.warn('Aufnahmen-Index unlesbar:', e);
+            return [];
+        }
+        const clips = [];
+        for (const entry of Array.isArray(index) ? index : []) {
+            const file = zip.file(ZIP_FOLDER + entry.file);
+            if (!file) continue;
+            const data = await file.async('blob');
+            const mimeType = entry.mimeType || 'audio/webm';
+            clips.push({ ...entry, blob: new Blob([data], { type: mimeType }), mimeType });
+        }
+        return clips;
+    }
+
+    /**
+     * Attach imported clips to cards by word pair (same direction preferred).
+     * @returns {Promise<number>} number of clips stored
+     */
+    async function attach(clips, cards) {
+        const lookup = Duplicates.cardLookup(cards);
+        let stored = 0;
+        for (const clip of clips) {
+            const card = lookup(clip.de, clip.ar, clip.frontLang);
+            if (!card) continue;
+            await add({ cardId: card.id, blob: clip.blob, mimeType: clip.mimeType, duration: clip.duration, createdAt: clip.createdAt });
+            stored++;
+        }
+        return stored;
+    }
+
+    return {
+        init, listFor, add, remove, removeFor, prune,
+        isSupported, toggleRecording, play, mount,
+        exportToZip, readFromZip, attach,
+        _delete
+    };
+})();
@@ -1,13 +1,39 @@
-const CACHE_NAME = 'lern-app-v15';
+const CACHE_NAME = 'lern-app-v35';
+
+// Tesseract (lib/tesseract, ~15 MB) in eigenem Cache: Versionsnummer nur
+// ändern, wenn die Dateien ausgetauscht werden — App-Updates laden sie nicht neu
+const TESSERACT_CACHE = 'tesseract-5.1.1-v1';
+const TESSERACT_ASSETS = [
+  './lib/tesseract/tesseract.min.js',
+  './lib/tesseract/worker.min.js',
+  './lib/tesseract/core/tesseract-core-lstm.wasm.js',
+  './lib/tesseract/core/tesseract-core-simd-lstm.wasm.js',
+  './lib/tesseract/lang/deu.traineddata.gz',
+  './lib/tesseract/lang/ara.traineddata.gz'
+];
 
 const CORE_ASSETS = [
   './',
   './index.html',
   './styles.css',
   './app.js',
+  './card-db.js',
+  './arabic-normalizer.js',
+  './duplicates.js',
+  './csv-import.js',
+  './card-browser.js',
+  './anki.js',
+  './backup.js',
   './preprocessing.js',
+  './ocr-providers.js',
   './ocr.js',
+  './ocr-review.js',
+  './ocr-layout.js',
   './pdf-handler.js',
+  './batch-ocr.js',
+  './speech.js',
+  './recordings.js',
+  './attachments.js',
   './manifest.json',
   './quran-reader.js',
   './data/quran_toc.json',
@@ -26,6 +52,8 @@ const CORE_ASSETS = [
   './lib/jszip.min.js',
   './lib/epub.min.js',
   './lib/purify.min.js',
+  './lib/sql-wasm.js',
+  './lib/sql-wasm.wasm',
   'https://fonts.googleapis.com/css2?family=Amiri:wght@400;700&display=swap'
 ];
 
@@ -34,8 +62,7 @@ const CORE_ASSETS = [
 // CDN-Ressourcen die gecached werden sollen (langlebig)
 const CDN_ASSETS = [
   'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
-  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
-  'https://unpkg.com/tesseract.js@5/dist/tesseract.min.js'
+  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js'
 ];
 
 // Installation — Cache alle Core-Assets
@@ -51,6 +78,13 @@ self.addEventListener('install', event => {
         });
         return cache.addAll(CORE_ASSETS);
       })
+      .then(() => caches.open(TESSERACT_CACHE))
+      .then(cache => Promise.all(TESSERACT_ASSETS.map(url => cache.match(url))).then(cached => {
+        // Nur beim ersten Mal bzw. nach Versionswechsel laden
+        if (cached.every(Boolean)) return;
+        return cache.addAll(TESSERACT_ASSETS)
+          .catch(err => console.warn('Tesseract precache failed (lib/tesseract fehlt?):', err));
+      }))
       .then(() => self.skipWaiting())
   );
 });
@@ -62,7 +96,7 @@ self.addEventListener('activate', event => {
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames
-          .filter(name => name !== CACHE_NAME)
+          .filter(name => name !== CACHE_NAME && name !== TESSERACT_CACHE)
           .map(name => {
             console.log('Service Worker: Deleting old cache', name);
             return caches.delete(name);
@@ -74,6 +108,7 @@ self.addEventListener('activate', event => {
 
 // Fetch — Strategie:
 //   PDF: Network-First (garantiert neue Version nach Deploy)
+//   Tesseract: Cache-First (eigener, versionierter Cache)
 //   App-Dateien: Network-First mit Cache-Fallback
 //   CDN/Fonts: Cache-First
 self.addEventListener('fetch', event => {
@@ -98,6 +133,22 @@ self.addEventListener('fetch', event => {
     return;
   }
 
+  // === Tesseract (groß, versioniert): Cache-First aus eigenem Cache ===
+  if (url.origin === location.origin && url.pathname.includes('/lib/tesseract/')) {
+    event.respondWith(
+      caches.open(TESSERACT_CACHE).then(cache =>
+        cache.match(event.request).then(response => {
+          if (response) return response;
+          return fetch(event.request).then(fetchResponse => {
+            if (fetchResponse.ok) cache.put(event.request, fetchResponse.clone());
+            return fetchResponse;
+          });
+        })
+      )
+    );
+    return;
+  }
+
   // === App-eigene Dateien: Network-First ===
   if (url.origin === location.origin) {
     event.respondWith(
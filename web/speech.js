@@ -0,0 +1,196 @@
+/**
+ * speech.js — Aussprache per Web Speech API (speechSynthesis)
+ * Picks an Arabic and a German voice, speaks card text at a configurable rate
+ * and can auto-play on flashcard show/flip. Without an installed voice for a
+ * language speak() resolves false and callers fall back to showing text.
+ * Settings in localStorage 'speechSettings': { rate, autoplay, voiceAr, voiceDe }
+ */
+const Speech = (() => {
+    'use strict';
+
+    const STORAGE_KEY = 'speechSettings';
+    const DEFAULTS = { rate: 0.9, autoplay: false, voiceAr: '', voiceDe: '' };
+    const LANG_TAGS = { ar: 'ar-SA', de: 'de-DE' };
+
+    let _voices = [];
+    let _warnedMissing = {};
+
+    function isSupported() {
+        return typeof window !== 'undefined' && 'speechSynthesis' in window &&
+            typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    function _loadVoices() {
+        if (!isSupported()) return;
+        _voices = speechSynthesis.getVoices() || [];
+    }
+
+    if (isSupported()) {
+        _loadVoices();
+        // Chrome loads voices asynchronously
+        speechSynthesis.addEventListener('voiceschanged', _loadVoices);
+    }
+
+    function getSettings() {
+        try {
+            return { ...DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+        } catch (e) {
+            return { ...DEFAULTS };
+        }
+    }
+
+    function saveSettings(changes) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...getSettings(), ...changes }));
+    }
+
+    /** All installed voices for 'ar' or 'de' */
+    function voicesFor(lang) {
+        return _voices.filter(v => (v.lang || '').toLowerCase().replace('_', '-').startsWith(lang));
+    }
+
+    /**
+     * Voice for a language: the user's choice, else the standard regional
+     * variant (ar-SA, de-DE), preferring on-device voices
+     */
+    function pickVoice(lang) {
+        const candidates = voicesFor(lang);
+        if (candidates.length === 0) return null;
+        const chosen = getSettings()[lang === 'ar' ? 'voiceAr' : 'voiceDe'];
+        const byChoice = chosen && candidates.find(v => v.voiceURI === chosen);
+        if (byChoice) return byChoice;
+        const rank = v => (v.lang.replace('_', '-') === LANG_TAGS[lang] ? 2 : 0) + (v.localService ? 1 : 0);
+        return candidates.slice().sort((a, b) => rank(b) - rank(a))[0];
+    }
+
+    function hasVoice(lang) {
+        return isSupported() && !!pickVoice(lang);
+    }
+
+    /** Text as spoken: formatting markers and bracketed notes removed */
+    function _spokenText(text) {
+        return (text || '').replace(/\*/g, '').replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Speak text in 'ar' or 'de'. Stops anything currently playing.
+     * @returns {Promise<boolean>} false if nothing could be spoken (no API/voice)
+     */
+    function speak(text, lang, opts = {}) {
+        const spoken = _spokenText(text);
+        if (!spoken || !isSupported()) return Promise.resolve(false);
+        const voice = pickVoice(lang);
+        if (!voice) {
+            if (!_warnedMissing[lang] && !opts.silent) {
+                _warnedMissing[lang] = true;
+                showToast(`🔇 Keine ${lang === 'ar' ? 'arabische' : 'deutsche'} Stimme installiert`, 'info');
+            }
+            return Promise.resolve(false);
+        }
+
+        speechSynthesis.cancel();
+        return new Promise(resolve => {
+            const utterance = new SpeechSynthesisUtterance(spoken);
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+            utterance.rate = opts.rate || getSettings().rate;
+            utterance.onend = () => resolve(true);
+            utterance.onerror = () => resolve(false);
+            speechSynthesis.speak(utterance);
+        });
+    }
+
+    function stop() {
+        if (isSupported()) speechSynthesis.cancel();
+    }
+
+    /** Speak a card side if auto-play is on */
+    function autoplay(text, lang) {
+        if (getSettings().autoplay) speak(text, lang, { silent: true });
+    }
+
+    // ── Settings dialog ─────────────────────────────────────────────
+    function openSettings() {
+        _loadVoices();
+        const s = getSettings();
+        const voiceSelect = (lang, key) => {
+            const voices = voicesFor(lang);
+            if (voices.length === 0) {
+                return `<p class="speech-missing">🔇 Keine ${lang === 'ar' ? 'arabische' : 'deutsche'} Stimme gefunden.
+                    ${lang === 'ar' ? 'In den Systemeinstellungen unter Sprachausgabe lässt sich eine nachinstallieren.' : ''}</p>`;
+            }
+            return `
+                <select id="${key}Select" class="form-input">
+                    <option value="">Automatisch</option>
+                    ${voices.map(v => `<option value="${escapeHtml(v.voiceURI)}" ${s[key] === v.voiceURI ? 'selected' : ''}>
+                        ${escapeHtml(v.name)} (${escapeHtml(v.lang)})</option>`).join('')}
+                </select>`;
+        };
+
+        let modal = document.getElementById('speechModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'speechModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>🔊 Aussprache</h3>
+                ${!isSupported() ? '<p class="speech-missing">Sprachausgabe wird von diesem Gerät nicht unterstützt.</p>' : `
+                    <label>Arabische Stimme:</label>
+                    ${voiceSelect('ar', 'voiceAr')}
+                    <label>Deutsche Stimme:</label>
+                    ${voiceSelect('de', 'voiceDe')}
+                    <label for="speechRate">Tempo: <b id="speechRateLabel">${s.rate.toFixed(1)}×</b></label>
+                    <input type="range" id="speechRate" min="0.5" max="1.5" step="0.1" value="${s.rate}"
+                        oninput="document.getElementById('speechRateLabel').textContent = parseFloat(this.value).toFixed(1) + '×'">
+                    <label class="speech-toggle">
+                        <input type="checkbox" id="speechAutoplay" ${s.autoplay ? 'checked' : ''}>
+                        Karteikarten automatisch vorlesen
+                    </label>
+                    <div class="speech-test">
+                        <button class="btn btn-secondary" onclick="Speech._test('ar')">▶️ مرحبا</button>
+                        <button class="btn btn-secondary" onclick="Speech._test('de')">▶️ Hallo</button>
+                    </div>
+                    <button class="btn btn-primary mb-sm" onclick="Speech._saveDialog()">✅ Speichern</button>
+                `}
+                <button class="btn btn-secondary" onclick="closeModal('speechModal')">Schließen</button>
+            </div>
+        `;
+        modal.classList.add('active');
+    }
+
+    function _dialogValues() {
+        const value = id => {
+            const el = document.getElementById(id);
+            return el ? el.value : '';
+        };
+        return {
+            rate: parseFloat(value('speechRate')) || DEFAULTS.rate,
+            autoplay: !!(document.getElementById('speechAutoplay') || {}).checked,
+            voiceAr: value('voiceArSelect'),
+            voiceDe: value('voiceDeSelect')
+        };
+    }
+
+    /** Try the voice and rate currently chosen in the dialog */
+    function _test(lang) {
+        const current = getSettings();
+        saveSettings(_dialogValues());
+        speak(lang === 'ar' ? 'مَرْحَبًا' : 'Hallo', lang);
+        saveSettings(current);
+    }
+
+    function _saveDialog() {
+        saveSettings(_dialogValues());
+        closeModal('speechModal');
+        showToast('✅ Aussprache gespeichert', 'success');
+    }
+
+    return {
+        isSupported, hasVoice, voicesFor, pickVoice,
+        getSettings, saveSettings,
+        speak, stop, autoplay, openSettings,
+        _test, _saveDialog
+    };
+})();
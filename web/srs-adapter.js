@@ -1,6 +1,7 @@
 /**
  * srs-adapter.js — Zero-touch bridge between existing AppState.cards and SRS system.
- * Reads cards from localStorage, creates SRS records in IndexedDB.
+ * Reads cards from AppState (loaded from CardDB) and keeps SRS records in IndexedDB
+ * in step with them: creates, updates, moves and deletes.
  * NEVER modifies AppState or Storage.
  */
 const SrsAdapter = (() => {
@@ -17,70 +18,191 @@ const SrsAdapter = (() => {
         return 'srs_' + (hash >>> 0).toString(16).padStart(8, '0');
     }
 
+    /** SRS records share the persistent card UUID (see CardDB.newId) */
     function cardId(card) {
+        return card.id;
+    }
+
+    /** ID used before cards had UUIDs — derived from content, so it broke on every edit */
+    function legacyCardId(card) {
         return hashId((card.front || '') + '|' + (card.back || '') + '|' + (card.cat || ''));
     }
 
     /**
-     * Sync all existing AppState.cards into SRS IndexedDB.
-     * Creates new SRS records for cards not yet tracked.
-     * Skips cards that already have SRS records (preserves state).
-     * @returns {Object} { total, created, existing }
+     * One-time move of SRS records keyed by the legacy content hash onto card UUIDs.
+     * Review history moves with the record. Flagged in srs_meta so it runs once —
+     * but not with an empty card list, which would use up that one run.
+     * @returns {Promise<number>} number of records re-keyed
+     */
+    async function migrateLegacyIds(appCards) {
+        if (!appCards || appCards.length === 0) return 0;
+        await SrsDB.init();
+        if (await SrsDB.getMeta('idsMigrated')) return 0;
+
+        const srsIds = new Set((await SrsDB.getAllCards()).map(r => r.id));
+        let moved = 0;
+        for (const card of appCards) {
+            if (!card.id || srsIds.has(card.id)) continue;
+            const oldId = legacyCardId(card);
+            if (srsIds.has(oldId) && await SrsDB.renameCard(oldId, card.id)) {
+                srsIds.delete(oldId);
+                srsIds.add(card.id);
+                moved++;
+            }
+        }
+
+        await SrsDB.setMeta('idsMigrated', Date.now());
+        if (moved > 0) console.log(`🔧 SRS: ${moved} Einträge auf Karten-IDs umgestellt`);
+        return moved;
+    }
+
+    // Card fields mirrored into the SRS record for display
+    const MIRRORED_FIELDS = ['front', 'back', 'frontLang', 'backLang', 'noteDe', 'noteAr', 'ex'];
+
+    function _mirror(card) {
+        return {
+            deck: card.cat || 'default',
+            front: card.front || '',
+            back: card.back || '',
+            frontLang: card.frontLang || 'de',
+            backLang: card.backLang || (card.frontLang === 'ar' ? 'de' : 'ar'),
+            noteDe: card.noteDe || '',
+            noteAr: card.noteAr || '',
+            ex: card.ex || ''
+        };
+    }
+
+    function _newRecord(card) {
+        return {
+            id: cardId(card),
+            due: 0,                 // due immediately (new card)
+            stability: 0,
+            difficulty: 0,
+            reps: 0,
+            lapses: 0,
+            lastReviewed: 0,
+            state: 'new',
+            ..._mirror(card)
+        };
+    }
+
+    /**
+     * Copy the mirrored fields of `card` onto `record`.
+     * @returns {null|'updated'|'moved'} what changed (moved = deck changed)
+     */
+    function _applyMirror(record, card) {
+        const mirror = _mirror(card);
+        const moved = record.deck !== mirror.deck;
+        const edited = MIRRORED_FIELDS.some(f => (record[f] || '') !== mirror[f]);
+        if (!moved && !edited) return null;
+        Object.assign(record, mirror);
+        return moved ? 'moved' : 'updated';
+    }
+
+    /**
+     * Reconcile SRS records with AppState.cards:
+     * creates records for new cards, propagates edits and moves, deletes records
+     * of removed cards. Review state (stability, due, …) is never touched.
+     * @param {Object}  [opts]
+     * @param {boolean} [opts.gcReviews] — also delete review logs of cards that no longer exist
+     * Skipped (report.skipped) when the card store could not be loaded — an empty
+     * card list would otherwise delete every record.
+     * @returns {Promise<Object>} { total, created, updated, moved, removed, reviewsRemoved, skipped }
      */
-    async function syncCards() {
+    async function reconcile(opts = {}) {
         await SrsDB.init();
 
-        // Read existing app cards from localStorage (same source as AppState.cards)
-        let appCards;
-        try {
-            appCards = JSON.parse(localStorage.getItem('cards')) || [];
-        } catch (e) {
-            appCards = [];
+        const report = { total: 0, created: 0, updated: 0, moved: 0, removed: 0, reviewsRemoved: 0, skipped: false };
+        if (typeof Storage === 'undefined' || !Storage.loaded) {
+            console.warn('⚠️ SRS Abgleich übersprungen: Karten wurden nicht geladen');
+            report.skipped = true;
+            return report;
         }
 
-        let created = 0;
-        let existing = 0;
+        // Cards are loaded from CardDB into AppState at startup
+        const appCards = (typeof AppState !== 'undefined' && AppState.cards) || [];
+        await migrateLegacyIds(appCards);
+
+        const records = new Map((await SrsDB.getAllCards()).map(r => [r.id, r]));
+        const puts = [];
+        report.total = appCards.length;
+        const liveIds = new Set();
 
         for (const card of appCards) {
             const id = cardId(card);
-            const existingRecord = await SrsDB.getCard(id);
-
-            if (existingRecord) {
-                existing++;
+            if (!id) continue;
+            liveIds.add(id);
+            const record = records.get(id);
+            if (!record) {
+                puts.push(_newRecord(card));
+                report.created++;
                 continue;
             }
+            const change = _applyMirror(record, card);
+            if (change) {
+                puts.push(record);
+                report[change]++;
+            }
+        }
+
+        const deletes = [...records.keys()].filter(id => !liveIds.has(id));
+        report.removed = deletes.length;
+
+        if (puts.length || deletes.length) await SrsDB.bulkWrite(puts, deletes);
+        if (opts.gcReviews) report.reviewsRemoved = await SrsDB.pruneReviews(liveIds);
+
+        console.log(`🧠 SRS Abgleich: ${report.total} Karten, ${report.created} neu, ${report.updated} geändert, ` +
+            `${report.moved} verschoben, ${report.removed} entfernt, ${report.reviewsRemoved} Reviews gelöscht`);
+        return report;
+    }
+
+    /** Backwards-compatible name for reconcile() without review GC */
+    function syncCards() {
+        return reconcile();
+    }
 
-            // Determine deck from category
-            const deck = card.cat || 'default';
-
-            // Create new SRS record
-            const srsRecord = {
-                id,
-                deck,
-                due: 0,                 // due immediately (new card)
-                stability: 0,
-                difficulty: 0,
-                reps: 0,
-                lapses: 0,
-                lastReviewed: 0,
-                state: 'new',
-                // Store reference data for display
-                front: card.front || '',
-                back: card.back || '',
-                frontLang: card.frontLang || 'de',
-                backLang: card.backLang || 'ar',
-                noteDe: card.noteDe || '',
-                noteAr: card.noteAr || '',
-                ex: card.ex || ''
-            };
-
-            await SrsDB.putCard(srsRecord);
-            created++;
+    /**
+     * Propagate a set of card changes (from Storage.save) without a full pass.
+     * Only existing SRS records are updated; new cards are picked up by reconcile().
+     * @param {Array} changedCards — card objects that were written
+     * @param {Array} deletedIds — IDs of removed cards
+     */
+    async function applyCardChanges(changedCards, deletedIds) {
+        await SrsDB.init();
+        const puts = [];
+        for (const card of changedCards) {
+            const record = card.id && await SrsDB.getCard(card.id);
+            if (record && _applyMirror(record, card)) puts.push(record);
         }
+        if (puts.length || deletedIds.length) await SrsDB.bulkWrite(puts, deletedIds);
+    }
 
-        console.log(`🧠 SRS Sync: ${appCards.length} Karten, ${created} neu, ${existing} vorhanden`);
+    /**
+     * Reset the review state of cards to "new" and drop their review history.
+     * @param {Array} cards — AppState card objects
+     */
+    async function resetCards(cards) {
+        await SrsDB.init();
+        const records = cards.filter(c => c.id).map(_newRecord);
+        await SrsDB.bulkWrite(records, []);
+        await SrsDB.deleteReviewsFor(records.map(r => r.id));
+    }
 
-        return { total: appCards.length, created, existing };
+    /**
+     * Write review state brought in from elsewhere (e.g. an Anki package).
+     * @param {Array} entries — [{ card, state: { due, stability, difficulty, reps, lapses,
+     *        state, step?, lastReviewed }, reviews?: [review log entries without cardId] }]
+     */
+    async function importStates(entries) {
+        await SrsDB.init();
+        const records = [];
+        const reviews = [];
+        entries.forEach(({ card, state, reviews: log }) => {
+            if (!card.id) return;
+            records.push({ ..._newRecord(card), ...state, id: card.id });
+            (log || []).forEach(r => reviews.push({ ...r, cardId: card.id }));
+        });
+        if (records.length) await SrsDB.importAll({ cards: records, reviews });
     }
 
     /**
@@ -123,5 +245,8 @@ const SrsAdapter = (() => {
         return Array.from(deckSet.values());
     }
 
-    return { syncCards, cardId, hashId, getDisplayData, getDeckName, getDecks };
+    return {
+        reconcile, syncCards, applyCardChanges, migrateLegacyIds, resetCards, importStates,
+        cardId, legacyCardId, hashId, getDisplayData, getDeckName, getDecks
+    };
 })();
@@ -75,6 +75,56 @@ const SrsDB = (() => {
         return _promisify(_tx('srs_cards', 'readwrite').delete(id));
     }
 
+    /**
+     * Put and delete several SRS records in one transaction.
+     * @param {Array} puts — records to write
+     * @param {Array} deleteIds — record IDs to remove (their reviews stay; see pruneReviews)
+     */
+    async function bulkWrite(puts, deleteIds) {
+        await init();
+        const tx = _db.transaction('srs_cards', 'readwrite');
+        const store = tx.objectStore('srs_cards');
+        (puts || []).forEach(r => store.put(r));
+        (deleteIds || []).forEach(id => store.delete(id));
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Re-key an SRS record and its review history (e.g. legacy hash ID → card UUID).
+     * Runs in a single transaction; no-op if oldId does not exist.
+     * @returns {Promise<boolean>} true if a record was moved
+     */
+    async function renameCard(oldId, newId) {
+        await init();
+        const tx = _db.transaction(['srs_cards', 'srs_reviews'], 'readwrite');
+        const cardStore = tx.objectStore('srs_cards');
+        const reviewStore = tx.objectStore('srs_reviews');
+        let moved = false;
+
+        cardStore.get(oldId).onsuccess = (e) => {
+            const record = e.target.result;
+            if (!record) return;
+            moved = true;
+            cardStore.delete(oldId);
+            cardStore.put({ ...record, id: newId });
+
+            reviewStore.index('cardId').openCursor(IDBKeyRange.only(oldId)).onsuccess = (ev) => {
+                const cursor = ev.target.result;
+                if (!cursor) return;
+                cursor.update({ ...cursor.value, cardId: newId });
+                cursor.continue();
+            };
+        };
+
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve(moved);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
     /**
      * Get all cards due now or earlier.
      * @param {string} [deckFilter] — optional deck/cat ID to filter
@@ -137,6 +187,17 @@ const SrsDB = (() => {
         });
     }
 
+    /**
+     * Count cards in learning or relearning (same-day steps), due or not.
+     */
+    async function countLearning(deckFilter) {
+        const all = await getAllCards();
+        return all.filter(c =>
+            (c.state === 'learning' || c.state === 'relearning') &&
+            (!deckFilter || c.deck === deckFilter)
+        ).length;
+    }
+
     // ── srs_reviews (history log) ───────────────────────────────────
     async function logReview(entry) {
         await init();
@@ -165,6 +226,72 @@ const SrsDB = (() => {
         });
     }
 
+    async function deleteReview(id) {
+        await init();
+        return _promisify(_tx('srs_reviews', 'readwrite').delete(id));
+    }
+
+    /** Review log entries with timestamp >= since (e.g. start of today) */
+    async function getReviewsSince(since) {
+        await init();
+        const idx = _tx('srs_reviews').index('timestamp');
+        return _promisify(idx.getAll(IDBKeyRange.lowerBound(since)));
+    }
+
+    async function getAllReviews() {
+        await init();
+        return _promisify(_tx('srs_reviews').getAll());
+    }
+
+    /**
+     * Delete review log entries whose card is not in keepIds.
+     * @param {Set<string>} keepIds
+     * @returns {Promise<number>} number of entries deleted
+     */
+    async function pruneReviews(keepIds) {
+        await init();
+        return new Promise((resolve, reject) => {
+            const tx = _db.transaction('srs_reviews', 'readwrite');
+            let removed = 0;
+            tx.objectStore('srs_reviews').openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                if (!keepIds.has(cursor.value.cardId)) {
+                    cursor.delete();
+                    removed++;
+                }
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve(removed);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Delete all review log entries of the given cards.
+     * @param {Iterable<string>} cardIds
+     * @returns {Promise<number>} number of entries deleted
+     */
+    async function deleteReviewsFor(cardIds) {
+        await init();
+        return new Promise((resolve, reject) => {
+            const tx = _db.transaction('srs_reviews', 'readwrite');
+            const idx = tx.objectStore('srs_reviews').index('cardId');
+            let removed = 0;
+            for (const id of cardIds) {
+                idx.openCursor(IDBKeyRange.only(id)).onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    cursor.delete();
+                    removed++;
+                    cursor.continue();
+                };
+            }
+            tx.oncomplete = () => resolve(removed);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
     // ── srs_meta (settings) ─────────────────────────────────────────
     async function getMeta(key) {
         await init();
@@ -178,6 +305,20 @@ const SrsDB = (() => {
     }
 
     // ── Export / Import ─────────────────────────────────────────────
+    /** Empty all SRS stores (full backup restore) */
+    async function clearAll() {
+        await init();
+        const tx = _db.transaction(['srs_cards', 'srs_meta', 'srs_reviews'], 'readwrite');
+        tx.objectStore('srs_cards').clear();
+        tx.objectStore('srs_meta').clear();
+        tx.objectStore('srs_reviews').clear();
+
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
     async function exportAll() {
         await init();
         const cards = await getAllCards();
@@ -210,10 +351,11 @@ const SrsDB = (() => {
     }
 
     return {
-        init, getCard, putCard, getAllCards, deleteCard,
-        getDueCards, countDue, countNew,
-        logReview, getReviewHistory,
+        init, getCard, putCard, getAllCards, deleteCard, renameCard, bulkWrite,
+        getDueCards, countDue, countNew, countLearning,
+        logReview, deleteReview, getReviewHistory, getReviewsSince, getAllReviews,
+        pruneReviews, deleteReviewsFor,
         getMeta, setMeta,
-        exportAll, importAll
+        clearAll, exportAll, importAll
     };
 })();
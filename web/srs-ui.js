@@ -5,24 +5,54 @@
 const SrsUI = (() => {
     'use strict';
 
-    let _fsrs = null;       // FSRS scheduler instance
+    let _fsrs = null;       // FSRS scheduler instance (global weights)
+    let _deckSchedulers = new Map(); // deck → scheduler with optimized per-deck weights
+    let _optimizer = null;   // running optimizer worker
+    let _optimizerResult = null;
     let _queue = [];         // current due cards
+    let _learnQueue = [];    // cards in (re)learning steps, sorted by due
     let _currentCard = null; // card being reviewed
     let _isFlipped = false;
     let _deckFilter = null;
     let _sessionStats = { reviewed: 0, again: 0, hard: 0, good: 0, easy: 0 };
+    let _undoStack = [];     // { before, reviewId, rating, requeued } per rating, newest last
+    let _busy = false;       // a rating or undo is being written
+
+    const MAX_UNDO = 20;
+    const RATING_KEYS = ['again', 'hard', 'good', 'easy'];
+
+    // Learning cards may be shown this much before they are due when nothing else is left
+    const LEARN_AHEAD_MS = 20 * 60 * 1000;
+
+    // Daily caps (srs_meta 'newPerDay' / 'reviewsPerDay', per-deck overrides in 'deckLimits')
+    const DEFAULT_NEW_PER_DAY = 20;
+    const DEFAULT_REVIEWS_PER_DAY = 200;
+    const MIX_STRATEGIES = {
+        interleaved: 'Gemischt',
+        newFirst: 'Neue zuerst',
+        reviewsFirst: 'Wiederholungen zuerst'
+    };
 
     // ── Initialization ──────────────────────────────────────────────
     async function _initScheduler() {
         const savedWeights = await SrsDB.getMeta('fsrs_weights');
         const savedRetention = await SrsDB.getMeta('requestRetention');
         const savedMaxIvl = await SrsDB.getMeta('maxIntervalDays');
+        const learningSteps = await SrsDB.getMeta('learningSteps');
+        const relearningSteps = await SrsDB.getMeta('relearningSteps');
 
-        _fsrs = FSRS.create({
-            weights: savedWeights || undefined,
+        const deckWeights = (await SrsDB.getMeta('fsrs_weights_by_deck')) || {};
+        const schedulerOpts = {
             requestRetention: savedRetention || 0.9,
-            maxIntervalDays: savedMaxIvl || 3650
-        });
+            maxIntervalDays: savedMaxIvl || 3650,
+            learningSteps: learningSteps || undefined,
+            relearningSteps: relearningSteps || undefined
+        };
+
+        _fsrs = FSRS.create({ ...schedulerOpts, weights: savedWeights || undefined });
+        _deckSchedulers = new Map(
+            Object.entries(deckWeights).map(([deck, weights]) => [deck, FSRS.create({ ...schedulerOpts, weights })])
+        );
 
         // Save defaults if not yet stored
         if (!savedWeights) await SrsDB.setMeta('fsrs_weights', FSRS.DEFAULT_WEIGHTS);
@@ -39,8 +69,8 @@ const SrsUI = (() => {
         await SrsDB.init();
         await _initScheduler();
 
-        // Sync cards from localStorage → IndexedDB
-        await SrsAdapter.syncCards();
+        // Reconcile SRS records with AppState (new, edited, moved, deleted cards)
+        await SrsAdapter.reconcile();
 
         // Build overlay
         _createOverlay();
@@ -59,6 +89,12 @@ const SrsUI = (() => {
         if (overlay) overlay.remove();
         document.body.style.overflow = '';
         _queue = [];
+        _learnQueue = [];
+        _undoStack = [];
+        if (_optimizer) {
+            _optimizer.terminate();
+            _optimizer = null;
+        }
         _currentCard = null;
         _isFlipped = false;
     }
@@ -173,6 +209,7 @@ const SrsUI = (() => {
     // ── Select a deck and show dashboard ─────────────────────────────
     function _selectDeck(deckId) {
         _deckFilter = deckId;
+        _undoStack = [];
         _sessionStats = { reviewed: 0, again: 0, hard: 0, good: 0, easy: 0 };
         _showDashboard();
     }
@@ -183,7 +220,10 @@ const SrsUI = (() => {
         if (!content) return;
 
         const dueCards = await SrsDB.getDueCards(_deckFilter);
+        const plan = await _planSession();
+        const sessionCount = plan.queue.length + plan.learn.length;
         const newCount = await SrsDB.countNew(_deckFilter);
+        const learningCount = await SrsDB.countLearning(_deckFilter);
         const allCards = await SrsDB.getAllCards();
         const totalCount = _deckFilter
             ? allCards.filter(c => c.deck === _deckFilter).length
@@ -217,6 +257,10 @@ const SrsUI = (() => {
                         <span class="srs-stat-number">${newCount}</span>
                         <span class="srs-stat-label">Neue</span>
                     </div>
+                    <div class="srs-stat-card srs-stat-learning">
+                        <span class="srs-stat-number">${learningCount}</span>
+                        <span class="srs-stat-label">Lernen</span>
+                    </div>
                     <div class="srs-stat-card srs-stat-total">
                         <span class="srs-stat-number">${totalCount}</span>
                         <span class="srs-stat-label">Gesamt</span>
@@ -229,18 +273,27 @@ const SrsUI = (() => {
                     </div>
                 ` : ''}
 
-                ${dueCount > 0 ? `
+                <div class="srs-today-info">
+                    Heute: ${plan.newToday} neu · ${plan.reviewsToday} wiederholt
+                    ${plan.heldBack > 0 ? `<br>⏸ ${plan.heldBack} fällige Karten über dem Tageslimit` : ''}
+                </div>
+
+                ${sessionCount > 0 ? `
                     <button class="srs-start-btn" onclick="SrsUI._startReview()">
-                        ▶ ${dueCount} Karten wiederholen
+                        ▶ ${sessionCount} Karten wiederholen
                     </button>
                 ` : `
                     <div class="srs-done-msg">
                         <span class="srs-done-icon">🎉</span>
-                        <p>Alle Karten für heute gelernt!</p>
+                        <p>${dueCount > 0 ? 'Tageslimit erreicht!' : 'Alle Karten für heute gelernt!'}</p>
                         <p class="srs-done-hint">Komm später wieder für neue Wiederholungen.</p>
                     </div>
                 `}
 
+                ${_undoStack.length > 0 ? `
+                    <button class="srs-export-btn" onclick="SrsUI._undo()">↶ Letzte Bewertung rückgängig</button>
+                ` : ''}
+
                 <button class="srs-export-btn" onclick="SrsUI._showExportImport()">
                     📦 SRS Daten verwalten
                 </button>
@@ -248,39 +301,187 @@ const SrsUI = (() => {
         `;
     }
 
+    // ── Daily Limits ────────────────────────────────────────────────
+    async function _loadLimits() {
+        const newPerDay = await SrsDB.getMeta('newPerDay');
+        const reviewsPerDay = await SrsDB.getMeta('reviewsPerDay');
+        return {
+            newPerDay: newPerDay !== null ? newPerDay : DEFAULT_NEW_PER_DAY,
+            reviewsPerDay: reviewsPerDay !== null ? reviewsPerDay : DEFAULT_REVIEWS_PER_DAY,
+            mix: (await SrsDB.getMeta('mixStrategy')) || 'interleaved',
+            decks: (await SrsDB.getMeta('deckLimits')) || {}
+        };
+    }
+
+    function _startOfDay() {
+        const d = new Date();
+        d.setHours(0, 0, 0, 0);
+        return d.getTime();
+    }
+
+    /**
+     * Which limit applies to a deck: its own override, else its chapter's
+     * override (unit decks), else the global caps ('global').
+     */
+    function _limitKey(deck, deckLimits) {
+        if (deckLimits[deck]) return deck;
+        const cat = (typeof AppState !== 'undefined' && AppState.categories || []).find(c => c.id === deck);
+        if (cat && cat.parentId && deckLimits[cat.parentId]) return cat.parentId;
+        return 'global';
+    }
+
+    /**
+     * Build today's session: (re)learning cards are never capped, new and review
+     * cards are taken up to what is left of each limit after today's srs_reviews.
+     * @returns {Promise<Object>} { learn, queue, newToday, reviewsToday, heldBack }
+     */
+    async function _planSession() {
+        const limits = await _loadLimits();
+        const due = await SrsDB.getDueCards(_deckFilter);
+        const allCards = await SrsDB.getAllCards();
+        const deckOf = new Map(allCards.map(c => [c.id, c.deck]));
+
+        // What was already done today, per limit key
+        const done = new Map();
+        const doneFor = (key) => {
+            if (!done.has(key)) done.set(key, { newCount: 0, reviewIds: new Set() });
+            return done.get(key);
+        };
+        let newToday = 0;
+        const reviewedIds = new Set();
+        for (const r of await SrsDB.getReviewsSince(_startOfDay())) {
+            const deck = deckOf.get(r.cardId);
+            if (deck === undefined) continue;
+            // Older log entries have no state: a first review is logged with elapsedDays 0
+            const wasNew = r.state ? r.state === 'new' : r.elapsedDays === 0;
+            const wasReview = r.state ? r.state === 'review' : !wasNew;
+            const entry = doneFor(_limitKey(deck, limits.decks));
+            if (wasNew) entry.newCount++;
+            else if (wasReview) entry.reviewIds.add(r.cardId);
+            if (!_deckFilter || deck === _deckFilter) {
+                if (wasNew) newToday++;
+                else if (wasReview) reviewedIds.add(r.cardId);
+            }
+        }
+
+        const remaining = new Map();
+        const remainingFor = (key) => {
+            if (!remaining.has(key)) {
+                const cap = key === 'global' ? limits : { ...limits, ...limits.decks[key] };
+                const d = doneFor(key);
+                remaining.set(key, {
+                    newCount: Math.max(0, cap.newPerDay - d.newCount),
+                    reviews: Math.max(0, cap.reviewsPerDay - d.reviewIds.size)
+                });
+            }
+            return remaining.get(key);
+        };
+
+        // New cards in deck order, reviews most overdue first
+        const order = new Map((typeof AppState !== 'undefined' ? AppState.cards : []).map((c, i) => [c.id, i]));
+        const fresh = due.filter(c => c.state === 'new')
+            .sort((a, b) => (order.has(a.id) ? order.get(a.id) : Infinity) - (order.has(b.id) ? order.get(b.id) : Infinity));
+        const reviews = due.filter(c => c.state === 'review').sort((a, b) => a.due - b.due);
+
+        const newCards = fresh.filter(c => {
+            const rem = remainingFor(_limitKey(c.deck, limits.decks));
+            if (rem.newCount <= 0) return false;
+            rem.newCount--;
+            return true;
+        });
+        const reviewCards = reviews.filter(c => {
+            const rem = remainingFor(_limitKey(c.deck, limits.decks));
+            if (rem.reviews <= 0) return false;
+            rem.reviews--;
+            return true;
+        });
+
+        return {
+            learn: due.filter(_isLearning).sort((a, b) => a.due - b.due),
+            queue: _mix(newCards, reviewCards, limits.mix),
+            newToday,
+            reviewsToday: reviewedIds.size,
+            heldBack: (fresh.length - newCards.length) + (reviews.length - reviewCards.length)
+        };
+    }
+
+    /** Combine new and review cards according to the mix strategy */
+    function _mix(newCards, reviewCards, strategy) {
+        if (strategy === 'newFirst') return [...newCards, ...reviewCards];
+        if (strategy === 'reviewsFirst') return [...reviewCards, ...newCards];
+        // interleaved: spread new cards evenly between reviews
+        const result = [];
+        let n = 0;
+        let r = 0;
+        while (n < newCards.length || r < reviewCards.length) {
+            const takeNew = r >= reviewCards.length ||
+                (n < newCards.length && n * reviewCards.length <= r * newCards.length);
+            result.push(takeNew ? newCards[n++] : reviewCards[r++]);
+        }
+        return result;
+    }
+
     // ── Start Review Session ────────────────────────────────────────
     async function _startReview() {
-        _queue = await SrsDB.getDueCards(_deckFilter);
-        // Sort: new cards first (state === 'new'), then by due ascending
-        _queue.sort((a, b) => {
-            if (a.state === 'new' && b.state !== 'new') return -1;
-            if (a.state !== 'new' && b.state === 'new') return 1;
-            return a.due - b.due;
-        });
+        const plan = await _planSession();
+        _learnQueue = plan.learn;
+        _queue = plan.queue;
+        _undoStack = [];
 
         _showNextCard();
     }
 
+    function _isLearning(card) {
+        return card.state === 'learning' || card.state === 'relearning';
+    }
+
+    /** Put a (re)learning card back into the session, ordered by due time */
+    function _requeueLearning(card) {
+        const idx = _learnQueue.findIndex(c => c.due > card.due);
+        if (idx === -1) _learnQueue.push(card);
+        else _learnQueue.splice(idx, 0, card);
+    }
+
     // ── Show Next Card ──────────────────────────────────────────────
+    // Learning cards that are due take priority; when the regular queue is
+    // empty, learning cards due within LEARN_AHEAD_MS are shown early.
     function _showNextCard() {
-        if (_queue.length === 0) {
+        const now = Date.now();
+        const nextLearn = _learnQueue[0];
+
+        if (nextLearn && nextLearn.due <= now) {
+            _currentCard = _learnQueue.shift();
+        } else if (_queue.length > 0) {
+            _currentCard = _queue.shift();
+        } else if (nextLearn && nextLearn.due <= now + LEARN_AHEAD_MS) {
+            _currentCard = _learnQueue.shift();
+        } else {
+            _currentCard = null;
             _showDashboard();
             return;
         }
 
-        _currentCard = _queue.shift();
         _isFlipped = false;
         _renderCard();
     }
 
+    function _stateLabel(card) {
+        if (card.state === 'new') return '🆕 Neu';
+        if (_isLearning(card)) return card.state === 'relearning' ? '📕 Neu lernen' : '📘 Lernen';
+        return '🔄 Wiederholung';
+    }
+
     // ── Render Card ─────────────────────────────────────────────────
     function _renderCard() {
         const content = document.getElementById('srsContent');
         if (!content || !_currentCard) return;
 
         const data = SrsAdapter.getDisplayData(_currentCard);
-        const remaining = _queue.length + 1;
+        const remaining = _queue.length + _learnQueue.length + 1;
         const isAr = data.frontLang === 'ar';
+        const undoBtn = _undoStack.length > 0
+            ? '<button class="srs-undo-btn" onclick="SrsUI._undo()" title="Letzte Bewertung rückgängig (Z)">↶</button>'
+            : '';
 
         // Get the note for the current side
         const frontNote = data.frontLang === 'de' ? data.noteDe : data.noteAr;
@@ -291,13 +492,15 @@ const SrsUI = (() => {
             content.innerHTML = `
                 <div class="srs-review-header">
                     <span class="srs-review-count">Noch ${remaining} Karte${remaining !== 1 ? 'n' : ''}</span>
-                    <span class="srs-review-state">${_currentCard.state === 'new' ? '🆕 Neu' : '🔄 Wiederholung'}</span>
+                    ${undoBtn}
+                    <span class="srs-review-state">${_stateLabel(_currentCard)}</span>
                 </div>
                 <div class="srs-card" onclick="SrsUI._flip()">
                     <div class="srs-card-text ${isAr ? 'ar' : ''}">${_renderFormatted(data.front)}</div>
                     ${frontNote ? `<div class="srs-card-note">${_escapeHtml(frontNote)}</div>` : ''}
                     <div class="srs-card-hint">Tippe um die Antwort zu sehen</div>
                 </div>
+                ${isAr ? '<div id="srsPronPractice"></div>' : ''}
             `;
         } else {
             // ── BACK SIDE (flipped) ──
@@ -305,7 +508,8 @@ const SrsUI = (() => {
             content.innerHTML = `
                 <div class="srs-review-header">
                     <span class="srs-review-count">Noch ${remaining} Karte${remaining !== 1 ? 'n' : ''}</span>
-                    <span class="srs-review-state">${_currentCard.state === 'new' ? '🆕 Neu' : '🔄 Wiederholung'}</span>
+                    ${undoBtn}
+                    <span class="srs-review-state">${_stateLabel(_currentCard)}</span>
                 </div>
                 <div class="srs-card srs-card-flipped">
                     <div class="srs-card-text srs-card-front-mini ${isAr ? 'ar' : ''}">${_renderFormatted(data.front)}</div>
@@ -313,7 +517,9 @@ const SrsUI = (() => {
                     <div class="srs-card-text srs-card-back ${backIsAr ? 'ar' : ''}">${_renderFormatted(data.back)}</div>
                     ${backNote ? `<div class="srs-card-note">${_escapeHtml(backNote)}</div>` : ''}
                     ${data.ex ? `<div class="srs-card-example">💡 ${_escapeHtml(data.ex)}</div>` : ''}
+                    <div id="srsMedia"></div>
                 </div>
+                <div id="srsPronPractice"></div>
                 <div class="srs-rating-bar">
                     <button class="srs-rating-btn srs-rating-again" onclick="SrsUI._rate(0)">
                         <span class="srs-rating-label">Nochmal</span>
@@ -334,6 +540,12 @@ const SrsUI = (() => {
                 </div>
             `;
         }
+
+        // Own pronunciation next to the reference, whenever the Arabic side is visible
+        if (isAr || _isFlipped) {
+            Recordings.mount('srsPronPractice', _currentCard.id, isAr ? data.front : data.back);
+        }
+        if (_isFlipped) Attachments.mount('srsMedia', _currentCard.id);
     }
 
     // ── Flip Card ───────────────────────────────────────────────────
@@ -344,7 +556,9 @@ const SrsUI = (() => {
 
     // ── Rate Card ───────────────────────────────────────────────────
     async function _rate(rating) {
-        if (!_currentCard) return;
+        if (!_currentCard || _busy) return;
+        _busy = true;
+        const before = { ..._currentCard };
 
         // Compute elapsed days since last review
         const now = Date.now();
@@ -353,8 +567,11 @@ const SrsUI = (() => {
             ? (now - lastReviewed) / (24 * 60 * 60 * 1000)
             : 0;
 
-        // Schedule via FSRS
-        const result = _fsrs.schedule(_currentCard, rating, elapsedDays);
+        const prevState = _currentCard.state;
+
+        // Schedule via FSRS (per-deck weights if optimized for this deck)
+        const scheduler = _deckSchedulers.get(_currentCard.deck) || _fsrs;
+        const result = scheduler.schedule(_currentCard, rating, elapsedDays);
 
         // Update card record
         _currentCard.stability = result.stability;
@@ -363,28 +580,34 @@ const SrsUI = (() => {
         _currentCard.reps = result.reps;
         _currentCard.lapses = result.lapses;
         _currentCard.state = result.state;
+        _currentCard.step = result.step;
         _currentCard.lastReviewed = now;
 
-        // Persist
-        await SrsDB.putCard(_currentCard);
-
-        // Log review
-        await SrsDB.logReview({
-            cardId: _currentCard.id,
-            rating,
-            elapsedDays,
-            stability: result.stability,
-            difficulty: result.difficulty,
-            interval: result.interval,
-            timestamp: now
-        });
+        // Persist + log review
+        let reviewId;
+        try {
+            await SrsDB.putCard(_currentCard);
+            reviewId = await SrsDB.logReview({
+                cardId: _currentCard.id,
+                rating,
+                state: prevState,
+                elapsedDays,
+                stability: result.stability,
+                difficulty: result.difficulty,
+                interval: result.interval,
+                timestamp: now
+            });
+        } catch (e) {
+            console.error('SRS Bewertung nicht gespeichert:', e);
+            Object.assign(_currentCard, before);
+            _busy = false;
+            if (typeof showToast === 'function') showToast('❌ Bewertung nicht gespeichert', 'error');
+            return;
+        }
 
         // Update session stats
         _sessionStats.reviewed++;
-        if (rating === 0) _sessionStats.again++;
-        else if (rating === 1) _sessionStats.hard++;
-        else if (rating === 2) _sessionStats.good++;
-        else if (rating === 3) _sessionStats.easy++;
+        _sessionStats[RATING_KEYS[rating]]++;
 
         // Haptic feedback if available
         try {
@@ -393,8 +616,56 @@ const SrsUI = (() => {
             }
         } catch (e) { /* ignore */ }
 
+        // Same-day step → card comes back in this session
+        const requeued = _isLearning(_currentCard);
+        if (requeued) _requeueLearning(_currentCard);
+
+        _undoStack.push({ before, reviewId, rating, requeued });
+        if (_undoStack.length > MAX_UNDO) _undoStack.shift();
+
         // Next card
         _showNextCard();
+        _busy = false;
+    }
+
+    // ── Undo Last Rating ────────────────────────────────────────────
+    // Restores the srs_cards record, removes the logged review, rolls back the
+    // session counters and shows the card again (front side first).
+    async function _undo() {
+        if (_busy || _undoStack.length === 0) return;
+        const entry = _undoStack.pop();
+        _busy = true;
+
+        try {
+            await SrsDB.putCard(entry.before);
+            if (entry.reviewId !== undefined) await SrsDB.deleteReview(entry.reviewId);
+        } catch (e) {
+            console.error('SRS Undo fehlgeschlagen:', e);
+            _undoStack.push(entry);
+            _busy = false;
+            if (typeof showToast === 'function') showToast('❌ Rückgängig fehlgeschlagen', 'error');
+            return;
+        }
+
+        _sessionStats.reviewed = Math.max(0, _sessionStats.reviewed - 1);
+        const key = RATING_KEYS[entry.rating];
+        _sessionStats[key] = Math.max(0, _sessionStats[key] - 1);
+
+        // Drop the re-queued learning copy of the card
+        if (entry.requeued) {
+            _learnQueue = _learnQueue.filter(c => c.id !== entry.before.id);
+        }
+
+        // The card on screen goes back to the front of its queue
+        if (_currentCard && _currentCard.id !== entry.before.id) {
+            if (_isLearning(_currentCard)) _learnQueue.unshift(_currentCard);
+            else _queue.unshift(_currentCard);
+        }
+
+        _currentCard = entry.before;
+        _isFlipped = false;
+        _busy = false;
+        _renderCard();
     }
 
     // ── Settings Panel ──────────────────────────────────────────────
@@ -409,6 +680,10 @@ const SrsUI = (() => {
 
         const retention = (await SrsDB.getMeta('requestRetention')) || 0.9;
         const maxIvl = (await SrsDB.getMeta('maxIntervalDays')) || 3650;
+        const learningSteps = (await SrsDB.getMeta('learningSteps')) || FSRS.DEFAULT_LEARNING_STEPS;
+        const relearningSteps = (await SrsDB.getMeta('relearningSteps')) || FSRS.DEFAULT_RELEARNING_STEPS;
+        const limits = await _loadLimits();
+        const limitScopes = _limitScopes();
 
         panel.innerHTML = `
             <div class="srs-settings-content">
@@ -428,26 +703,217 @@ const SrsUI = (() => {
                     <label>Max. Intervall (Tage)</label>
                     <input type="number" id="srsMaxIvl" value="${maxIvl}" min="30" max="36500" class="srs-setting-input">
                 </div>
+                <div class="srs-setting-row">
+                    <label>Lernschritte (Minuten)</label>
+                    <input type="text" id="srsLearningSteps" value="${learningSteps.join(' ')}" placeholder="1 10"
+                           class="srs-setting-input" inputmode="decimal">
+                </div>
+                <div class="srs-setting-row">
+                    <label>Schritte nach „Nochmal“ (Minuten)</label>
+                    <input type="text" id="srsRelearningSteps" value="${relearningSteps.join(' ')}" placeholder="10"
+                           class="srs-setting-input" inputmode="decimal">
+                </div>
+                <div class="srs-setting-row">
+                    <label>Neue Karten pro Tag</label>
+                    <input type="number" id="srsNewPerDay" value="${limits.newPerDay}" min="0" max="9999" class="srs-setting-input">
+                </div>
+                <div class="srs-setting-row">
+                    <label>Wiederholungen pro Tag</label>
+                    <input type="number" id="srsReviewsPerDay" value="${limits.reviewsPerDay}" min="0" max="99999" class="srs-setting-input">
+                </div>
+                <div class="srs-setting-row">
+                    <label>Reihenfolge</label>
+                    <select id="srsMixStrategy" class="srs-setting-input">
+                        ${Object.entries(MIX_STRATEGIES).map(([key, label]) =>
+                            `<option value="${key}" ${limits.mix === key ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </div>
+                ${limitScopes.map(scope => {
+                    const own = limits.decks[scope.id] || {};
+                    return `
+                        <div class="srs-setting-row srs-deck-limit" data-deck="${_escapeHtml(scope.id)}">
+                            <label>Eigenes Limit: ${_escapeHtml(scope.name)} <small>(leer = global)</small></label>
+                            <div class="srs-setting-control">
+                                <input type="number" class="srs-setting-input srs-deck-new" min="0" placeholder="Neu"
+                                       value="${own.newPerDay != null ? own.newPerDay : ''}">
+                                <input type="number" class="srs-setting-input srs-deck-reviews" min="0" placeholder="Wdh."
+                                       value="${own.reviewsPerDay != null ? own.reviewsPerDay : ''}">
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
                 <button class="srs-save-settings-btn" onclick="SrsUI._saveSettings()">💾 Speichern</button>
+
+                <div class="srs-optimizer">
+                    <h4>🧮 Parameter-Optimierung</h4>
+                    <p class="srs-optimizer-info">
+                        Gewichte: ${_deckFilter && _deckSchedulers.has(_deckFilter) ? 'für dieses Kapitel angepasst' : (_isDefaultWeights(_fsrs.weights) ? 'Standard' : 'global angepasst')}
+                    </p>
+                    <button class="srs-export-btn" id="srsOptimizeBtn" onclick="SrsUI._runOptimizer()">
+                        🧮 An meine Wiederholungen anpassen${_deckFilter ? ' (dieses Kapitel)' : ''}
+                    </button>
+                    <div id="srsOptimizerResult"></div>
+                    <button class="srs-export-btn" onclick="SrsUI._resetWeights()">↺ Standard-Gewichte</button>
+                </div>
             </div>
         `;
         panel.classList.add('active');
     }
 
+    function _isDefaultWeights(weights) {
+        return weights.every((v, i) => v === FSRS.DEFAULT_WEIGHTS[i]);
+    }
+
+    // ── Weight Optimizer (fsrs-optimizer.js worker) ─────────────────
+    async function _runOptimizer() {
+        const resultEl = document.getElementById('srsOptimizerResult');
+        const btn = document.getElementById('srsOptimizeBtn');
+        if (!resultEl || _optimizer) return;
+
+        let reviews = await SrsDB.getAllReviews();
+        if (_deckFilter) {
+            const deckIds = new Set((await SrsDB.getAllCards()).filter(c => c.deck === _deckFilter).map(c => c.id));
+            reviews = reviews.filter(r => deckIds.has(r.cardId));
+        }
+
+        const deck = _deckFilter;
+        _optimizerResult = null;
+        if (btn) btn.disabled = true;
+        resultEl.innerHTML = `<p class="srs-optimizer-info">⏳ Analysiere ${reviews.length} Wiederholungen…</p>`;
+
+        _optimizer = new Worker('fsrs-optimizer.js');
+        _optimizer.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.type === 'progress') {
+                resultEl.innerHTML = `<p class="srs-optimizer-info">⏳ Iteration ${msg.iteration}/${msg.iterations} · Log-Loss ${msg.loss.toFixed(4)}</p>`;
+                return;
+            }
+            _optimizer.terminate();
+            _optimizer = null;
+            if (btn) btn.disabled = false;
+
+            if (msg.type === 'error') {
+                resultEl.innerHTML = `<p class="srs-optimizer-info">⚠️ ${_escapeHtml(msg.message)}</p>`;
+                return;
+            }
+
+            _optimizerResult = { deck, weights: msg.weights };
+            const gain = msg.defaultLoss > 0 ? (1 - msg.loss / msg.defaultLoss) * 100 : 0;
+            resultEl.innerHTML = `
+                <p class="srs-optimizer-info">
+                    ${msg.samples} Vorhersagen · Log-Loss <strong>${msg.loss.toFixed(4)}</strong>
+                    (Standard: ${msg.defaultLoss.toFixed(4)}, ${gain >= 0 ? '−' : '+'}${Math.abs(gain).toFixed(1)}%)
+                </p>
+                ${deck ? `<button class="srs-save-settings-btn" onclick="SrsUI._acceptWeights('deck')">✅ Für dieses Kapitel übernehmen</button>` : ''}
+                <button class="srs-save-settings-btn" onclick="SrsUI._acceptWeights('global')">✅ Global übernehmen</button>
+            `;
+        };
+        _optimizer.onerror = (err) => {
+            console.error('FSRS-Optimierung fehlgeschlagen:', err);
+            _optimizer.terminate();
+            _optimizer = null;
+            if (btn) btn.disabled = false;
+            resultEl.innerHTML = '<p class="srs-optimizer-info">❌ Optimierung fehlgeschlagen</p>';
+        };
+
+        const weights = (deck && _deckSchedulers.get(deck)?.weights) || _fsrs.weights;
+        _optimizer.postMessage({
+            reviews: reviews.map(r => ({ cardId: r.cardId, rating: r.rating, elapsedDays: r.elapsedDays, timestamp: r.timestamp })),
+            weights,
+            learningSteps: _fsrs.learningSteps,
+            relearningSteps: _fsrs.relearningSteps
+        });
+    }
+
+    async function _acceptWeights(scope) {
+        if (!_optimizerResult) return;
+        const { deck, weights } = _optimizerResult;
+
+        if (scope === 'deck' && deck) {
+            const byDeck = (await SrsDB.getMeta('fsrs_weights_by_deck')) || {};
+            byDeck[deck] = weights;
+            await SrsDB.setMeta('fsrs_weights_by_deck', byDeck);
+        } else {
+            await SrsDB.setMeta('fsrs_weights', weights);
+        }
+
+        _optimizerResult = null;
+        await _initScheduler();
+        toggleSettings();
+        if (typeof showToast === 'function') {
+            showToast(scope === 'deck' ? '✅ Gewichte für dieses Kapitel übernommen' : '✅ Gewichte global übernommen', 'success');
+        }
+    }
+
+    /** Reset the current deck's weights, or the global ones when no deck is selected */
+    async function _resetWeights() {
+        if (_deckFilter && _deckSchedulers.has(_deckFilter)) {
+            const byDeck = (await SrsDB.getMeta('fsrs_weights_by_deck')) || {};
+            delete byDeck[_deckFilter];
+            await SrsDB.setMeta('fsrs_weights_by_deck', byDeck);
+        } else {
+            await SrsDB.setMeta('fsrs_weights', FSRS.DEFAULT_WEIGHTS);
+        }
+        await _initScheduler();
+        toggleSettings();
+        if (typeof showToast === 'function') showToast('↺ Standard-Gewichte wiederhergestellt', 'success');
+    }
+
     async function _saveSettings() {
         const retention = parseInt(document.getElementById('srsRetention')?.value || '90') / 100;
         const maxIvl = parseInt(document.getElementById('srsMaxIvl')?.value || '3650');
 
         await SrsDB.setMeta('requestRetention', retention);
         await SrsDB.setMeta('maxIntervalDays', maxIvl);
+        await SrsDB.setMeta('learningSteps', _parseSteps(document.getElementById('srsLearningSteps')?.value));
+        await SrsDB.setMeta('relearningSteps', _parseSteps(document.getElementById('srsRelearningSteps')?.value));
+
+        // Daily limits
+        const newPerDay = parseInt(document.getElementById('srsNewPerDay')?.value, 10);
+        const reviewsPerDay = parseInt(document.getElementById('srsReviewsPerDay')?.value, 10);
+        await SrsDB.setMeta('newPerDay', isNaN(newPerDay) ? DEFAULT_NEW_PER_DAY : Math.max(0, newPerDay));
+        await SrsDB.setMeta('reviewsPerDay', isNaN(reviewsPerDay) ? DEFAULT_REVIEWS_PER_DAY : Math.max(0, reviewsPerDay));
+        await SrsDB.setMeta('mixStrategy', document.getElementById('srsMixStrategy')?.value || 'interleaved');
+
+        const deckLimits = (await SrsDB.getMeta('deckLimits')) || {};
+        document.querySelectorAll('.srs-deck-limit').forEach(row => {
+            const override = {};
+            const n = parseInt(row.querySelector('.srs-deck-new').value, 10);
+            const r = parseInt(row.querySelector('.srs-deck-reviews').value, 10);
+            if (!isNaN(n)) override.newPerDay = Math.max(0, n);
+            if (!isNaN(r)) override.reviewsPerDay = Math.max(0, r);
+            if (Object.keys(override).length > 0) deckLimits[row.dataset.deck] = override;
+            else delete deckLimits[row.dataset.deck];
+        });
+        await SrsDB.setMeta('deckLimits', deckLimits);
 
         // Reinit scheduler with new params
         await _initScheduler();
 
         toggleSettings();
+        if (document.querySelector('.srs-stats-grid')) _showDashboard();
         if (typeof showToast === 'function') showToast('✅ Einstellungen gespeichert!', 'success');
     }
 
+    /** Decks that can get their own limit in the settings: the selected unit and its chapter */
+    function _limitScopes() {
+        if (!_deckFilter) return [];
+        const cats = (typeof AppState !== 'undefined' && AppState.categories) || [];
+        const cat = cats.find(c => c.id === _deckFilter);
+        const scopes = [{ id: _deckFilter, name: cat ? cat.name : _deckFilter }];
+        const parent = cat && cat.parentId ? cats.find(c => c.id === cat.parentId) : null;
+        if (parent) scopes.push({ id: parent.id, name: `${parent.name} (ganzes Kapitel)` });
+        return scopes;
+    }
+
+    /** "1 10" / "1, 10" → [1, 10]; invalid or non-positive entries are dropped */
+    function _parseSteps(str) {
+        return (str || '')
+            .split(/[\s,;]+/)
+            .map(v => parseFloat(v.replace(',', '.')))
+            .filter(v => isFinite(v) && v > 0);
+    }
+
     // ── Export / Import ─────────────────────────────────────────────
     function _showExportImport() {
         const content = document.getElementById('srsContent');
@@ -461,6 +927,9 @@ const SrsUI = (() => {
                     📥 SRS Daten importieren
                 </button>
                 <input type="file" id="srsImportFile" accept=".json" style="display:none" onchange="SrsUI._importData(event)">
+                <button class="srs-start-btn srs-import-btn" onclick="SrsUI._cleanup()">
+                    🧹 Abgleichen &amp; aufräumen
+                </button>
                 <button class="srs-export-btn" onclick="SrsUI._showDashboard()">← Zurück</button>
             </div>
         `;
@@ -499,6 +968,29 @@ const SrsUI = (() => {
         event.target.value = '';
     }
 
+    /** Full reconcile incl. removal of review logs for deleted cards */
+    async function _cleanup() {
+        try {
+            const r = await SrsAdapter.reconcile({ gcReviews: true });
+            if (r.skipped) {
+                if (typeof showToast === 'function') showToast('⚠️ Karten nicht geladen — SRS wird nicht aufgeräumt', 'warning');
+                return;
+            }
+            const parts = [];
+            if (r.created) parts.push(`${r.created} neu`);
+            if (r.updated) parts.push(`${r.updated} geändert`);
+            if (r.moved) parts.push(`${r.moved} verschoben`);
+            if (r.removed) parts.push(`${r.removed} entfernt`);
+            if (r.reviewsRemoved) parts.push(`${r.reviewsRemoved} alte Reviews gelöscht`);
+            if (typeof showToast === 'function') {
+                showToast(parts.length ? `✅ SRS: ${parts.join(', ')}` : '✅ SRS ist aktuell', 'success');
+            }
+        } catch (e) {
+            console.error('SRS cleanup error:', e);
+            if (typeof showToast === 'function') showToast('❌ Aufräumen fehlgeschlagen: ' + e.message, 'error');
+        }
+    }
+
     // ── Keyboard shortcuts ──────────────────────────────────────────
     document.addEventListener('keydown', (e) => {
         const overlay = document.getElementById('srsOverlay');
@@ -513,6 +1005,10 @@ const SrsUI = (() => {
             else if (e.key === '3') _rate(2);
             else if (e.key === '4') _rate(3);
         }
+        if ((e.key === 'z' || e.key === 'Z') && !e.target.closest('input, textarea, select')) {
+            e.preventDefault();
+            _undo();
+        }
         if (e.key === 'Escape') close();
     });
 
@@ -532,8 +1028,8 @@ const SrsUI = (() => {
     // Expose internals via underscore convention for onclick handlers
     return {
         open, close, toggleSettings,
-        _startReview, _flip, _rate, _selectDeck,
+        _startReview, _flip, _rate, _undo, _selectDeck,
         _showDashboard, _showDeckPicker, _showExportImport, _exportData, _importData,
-        _saveSettings
+        _saveSettings, _cleanup, _runOptimizer, _acceptWeights, _resetWeights
     };
 })();
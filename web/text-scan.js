@@ -141,6 +141,7 @@ const TextScan = (() => {
             }
 
             AppState.cards.push({
+                id: CardDB.newId(),
                 front: front,
                 back: back,
                 frontLang: 'ar',
@@ -153,7 +154,8 @@ const TextScan = (() => {
                 score: 0,
                 correctCount: 0,
                 wrongCount: 0,
-                lastSeen: null
+                lastSeen: null,
+                created: Date.now()
             });
 
             if (typeof Storage !== 'undefined' && Storage.save) Storage.save();